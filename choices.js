@@ -0,0 +1,46 @@
+const { t, matchOption, translateAnswer } = require('./i18n');
+
+// Fixed-choice questions are sent as reply buttons (up to three options) or a list message when the
+// transport can show them, and otherwise as a numbered list the user answers with "1", "2", ...
+// Either way the selection comes back as the canonical option, e.g. "moderate" or "yes".
+const MAX_BUTTONS = 3;
+const MAX_LIST_ROWS = 10;
+
+function formatLabel(lang, option) {
+  const label = String(translateAnswer(lang, option));
+  return label.charAt(0).toUpperCase() + label.slice(1);
+}
+
+function formatNumberedOptions(options, lang) {
+  const lines = options.map((option, index) => `${index + 1}. ${formatLabel(lang, option)}`);
+  return `${lines.join('\n')}\n${t(lang, 'choice.reply_number', { count: options.length })}`;
+}
+
+// The question as transport content, with its options as buttons, a list or numbered lines
+function buildChoiceMessage(text, options, lang, interactive) {
+  const body = text.trim();
+  const choices = options.map(option => ({ id: option, title: formatLabel(lang, option) }));
+  if (interactive && options.length <= MAX_BUTTONS) {
+    return { text: body, buttons: choices };
+  }
+  if (interactive && options.length <= MAX_LIST_ROWS) {
+    return { text: body, list: { button: t(lang, 'choice.list_button'), title: t(lang, 'choice.list_title'), rows: choices } };
+  }
+  return `${body}\n\n${formatNumberedOptions(options, lang)}`;
+}
+
+// Like matchOption, but also takes the number of an option from the numbered list
+function matchChoice(input, options) {
+  const text = String(input || '').trim();
+  if (/^\d{1,2}$/.test(text)) {
+    const index = parseInt(text) - 1;
+    return index >= 0 && index < options.length ? options[index] : null;
+  }
+  return matchOption(text, options);
+}
+
+module.exports = {
+  buildChoiceMessage,
+  formatNumberedOptions,
+  matchChoice
+};
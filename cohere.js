@@ -1,43 +1,121 @@
-const { CohereClient } = require('cohere-ai');
-require('dotenv').config();
+const { generate } = require('./llm');
+const { t } = require('./i18n');
 
-// Initialize the Cohere client with the API key
-const cohere = new CohereClient({
-  token: process.env.COHERE_API_KEY
-});
+const URGENCY_LEVELS = ['self_care', 'see_doctor', 'urgent', 'emergency'];
+const LIKELIHOODS = ['likely', 'possible', 'less likely'];
 
-async function analyzeSymptoms(symptoms, severity, duration) {
+function isStringList(value) {
+  return Array.isArray(value) && value.length > 0 && value.every(item => typeof item === 'string' && item.trim() !== '');
+}
+
+// Returns a description of the first problem found, or null when the analysis is usable
+function validateSymptomAnalysis(result) {
+  if (!Array.isArray(result.conditions) || result.conditions.length === 0) return '"conditions" must be a non-empty array';
+  for (const condition of result.conditions) {
+    if (!condition || typeof condition.name !== 'string' || condition.name.trim() === '') return 'each condition needs a "name"';
+    if (!LIKELIHOODS.includes(condition.likelihood)) return `each condition "likelihood" must be one of: ${LIKELIHOODS.join(', ')}`;
+  }
+  if (!isStringList(result.home_care)) return '"home_care" must be a non-empty array of strings';
+  if (!isStringList(result.red_flags)) return '"red_flags" must be a non-empty array of strings';
+  if (!URGENCY_LEVELS.includes(result.urgency)) return `"urgency" must be one of: ${URGENCY_LEVELS.join(', ')}`;
+  return null;
+}
+
+function validateAssessmentAnalysis(result) {
+  if (typeof result.analysis !== 'string' || result.analysis.trim() === '') return '"analysis" must be a non-empty string';
+  if (!isStringList(result.recommendations)) return '"recommendations" must be a non-empty array of strings';
+  return null;
+}
+
+function validateIntent(result, intents) {
+  const names = [...Object.keys(intents), 'none'];
+  if (!names.includes(result.intent)) return `"intent" must be one of: ${names.join(', ')}`;
+  if (!result.fields || typeof result.fields !== 'object' || Array.isArray(result.fields)) return '"fields" must be an object';
+  if (Object.values(result.fields).some(value => typeof value !== 'string')) return 'every value in "fields" must be a string';
+  return null;
+}
+
+function parseJsonResponse(text) {
+  const start = text.indexOf('{');
+  const end = text.lastIndexOf('}');
+  if (start === -1 || end <= start) throw new Error('response does not contain a JSON object');
+  return JSON.parse(text.slice(start, end + 1));
+}
+
+// Asks for JSON and validates it; a malformed reply gets one repair pass quoting the problem back to the model
+async function generateStructured(task, prompt, validate) {
+  let text = null;
+  let problem = null;
+  for (let attempt = 0; attempt < 2; attempt++) {
+    const request = attempt === 0 ? prompt : `
+Your previous reply could not be used because ${problem}.
+
+Previous reply:
+${text}
+
+Return only the corrected JSON object for the original request below, with no other text.
+${prompt}
+    `;
+    text = await generate(task, request, attempt === 0 ? {} : { temperature: 0 });
+    try {
+      const result = parseJsonResponse(text);
+      problem = validate(result);
+      if (!problem) return result;
+    } catch (err) {
+      problem = `it was not valid JSON (${err.message})`;
+    }
+    console.error(`Invalid structured response on attempt ${attempt + 1}: ${problem}`);
+  }
+  return null;
+}
+
+function formatProfileSection(profileContext) {
+  if (!profileContext) return '';
+  return `
+${profileContext}
+Take this profile into account. Never suggest anything that conflicts with the user's allergies, chronic conditions or current medications.
+`;
+}
+
+// Replies come back in the user's language; JSON keys and enumerated values stay in English so they validate
+function formatLanguageInstruction(language, structured = false) {
+  const name = t('en', `language.name.${language}`);
+  if (structured) {
+    return `Write every text value in ${name}. Keep the JSON keys and the likelihood and urgency values exactly as shown, in English.`;
+  }
+  return `Write your whole reply in ${name}, including the headings.`;
+}
+
+async function analyzeSymptoms(symptoms, severity, duration, profileContext, language = 'en') {
   try {
     const prompt = `
 You are a health assistant providing symptom analysis for informational purposes only. Based on the following symptoms, severity, and duration, provide possible conditions, home care advice, and any red flags that require immediate medical attention. Do not provide a definitive diagnosis, as you are not a doctor. Always advise the user to consult a doctor for professional medical advice.
-
+${formatProfileSection(profileContext)}
 Symptoms: ${symptoms}
 Severity: ${severity}
 Duration: ${duration}
 
-Format your response as follows:
-**Possible Conditions**: [List possible conditions]
-**Home Care**: [Provide home care advice]
-**Red Flags**: [List any red flags requiring immediate medical attention]
+Respond with only a JSON object in exactly this shape:
+{
+  "conditions": [{ "name": "[Possible condition]", "likelihood": "likely | possible | less likely" }],
+  "home_care": ["[Home care step]"],
+  "red_flags": ["[Sign that requires immediate medical attention]"],
+  "urgency": "self_care | see_doctor | urgent | emergency"
+}
+${formatLanguageInstruction(language, true)}
     `;
-    const response = await cohere.generate({
-      model: 'command-r-plus',
-      prompt: prompt,
-      maxTokens: 300,
-      temperature: 0.7
-    });
-    return response.generations[0].text.trim();
+    return await generateStructured('symptoms', prompt, validateSymptomAnalysis);
   } catch (err) {
     console.error('Error in analyzeSymptoms:', err.message);
     return null;
   }
 }
 
-async function analyzeHealthAssessment(data, score) {
+async function analyzeHealthAssessment(data, score, profileContext, language = 'en') {
   try {
     const prompt = `
 You are a health assistant providing a health assessment analysis for informational purposes only. Based on the following user data and health score, provide an analysis of their overall health and actionable recommendations to improve their health. Do not provide a definitive diagnosis, as you are not a doctor. Always advise the user to consult a doctor for professional medical advice.
-
+${formatProfileSection(profileContext)}
 User Data:
 - Overall Health: ${data.overall_health}
 - Fatigue After Sleep: ${data.fatigue_after_sleep}
@@ -57,28 +135,25 @@ User Data:
 - Weight Changes: ${data.weight_changes}
 Health Score: ${score}/100
 
-Format your response as follows:
-**Analysis**: [Provide a brief analysis of the user's health based on the data and score]
-**Recommendations**: [List actionable recommendations to improve health]
+Respond with only a JSON object in exactly this shape:
+{
+  "analysis": "[Brief analysis of the user's health based on the data and score]",
+  "recommendations": ["[Actionable recommendation to improve health]"]
+}
+${formatLanguageInstruction(language, true)}
     `;
-    const response = await cohere.generate({
-      model: 'command-r-plus',
-      prompt: prompt,
-      maxTokens: 300,
-      temperature: 0.7
-    });
-    return response.generations[0].text.trim();
+    return await generateStructured('assessment', prompt, validateAssessmentAnalysis);
   } catch (err) {
     console.error('Error in analyzeHealthAssessment:', err.message);
     return null;
   }
 }
 
-async function generateFitnessPlan(data) {
+async function generateFitnessPlan(data, profileContext, language = 'en') {
   try {
     const prompt = `
 You are a health assistant creating a personalized fitness plan for informational purposes only. Based on the following user data, provide a weekly fitness plan tailored to their goals, activity level, and availability. Always advise the user to consult a doctor before starting any fitness program.
-
+${formatProfileSection(profileContext)}
 User Data:
 - Fitness Goal: ${data.fitness_goal}
 - Activity Level: ${data.activity_level}
@@ -92,25 +167,20 @@ Format your response as follows:
 - Day 2: [Activity, duration, and details]
 (Continue for the number of available days, or suggest rest days if fewer days are available)
 **Notes**: [Any additional notes or tips]
+${formatLanguageInstruction(language)}
     `;
-    const response = await cohere.generate({
-      model: 'command-r-plus',
-      prompt: prompt,
-      maxTokens: 300,
-      temperature: 0.7
-    });
-    return response.generations[0].text.trim();
+    return await generate('fitness', prompt);
   } catch (err) {
     console.error('Error in generateFitnessPlan:', err.message);
     return null;
   }
 }
 
-async function generateMealPlan(data) {
+async function generateMealPlan(data, profileContext, language = 'en') {
   try {
     const prompt = `
-You are a health assistant creating a personalized meal plan for informational purposes only. Based on the following user data, provide a daily meal plan tailored to their dietary preference, health goal, and number of meals per day. Always advise the user to consult a doctor or nutritionist before starting any diet plan.
-
+You are a health assistant creating a personalized meal plan for informational purposes only. Based on the following user data, provide a daily meal plan tailored to their dietary preference, health goal, and number of meals per day. Always advise the user to consult a doctor or nutritionist before starting any diet plan. Exclude every food the user is allergic to.
+${formatProfileSection(profileContext)}
 User Data:
 - Dietary Preference: ${data.dietary_preference}
 - Health Goal: ${data.health_goal}
@@ -124,47 +194,67 @@ Format your response as follows:
 - Meal 2: [Meal details]
 (Continue for the number of meals per day)
 **Notes**: [Any additional notes or tips]
+${formatLanguageInstruction(language)}
     `;
-    const response = await cohere.generate({
-      model: 'command-r-plus',
-      prompt: prompt,
-      maxTokens: 300,
-      temperature: 0.7
-    });
-    return response.generations[0].text.trim();
+    return await generate('meal', prompt);
   } catch (err) {
     console.error('Error in generateMealPlan:', err.message);
     return null;
   }
 }
 
-async function answerHealthQuestion(question) {
+async function answerHealthQuestion(question, profileContext, language = 'en') {
   try {
     const prompt = `
 You are a health assistant answering a general health-related question for informational purposes only. Provide a clear and concise answer to the following question. Do not provide a definitive diagnosis, as you are not a doctor. Always advise the user to consult a doctor for professional medical advice.
-
+${formatProfileSection(profileContext)}
 Question: ${question}
 
 Format your response as follows:
 **Answer**: [Provide a clear and concise answer]
+${formatLanguageInstruction(language)}
     `;
-    const response = await cohere.generate({
-      model: 'command-r-plus',
-      prompt: prompt,
-      maxTokens: 200,
-      temperature: 0.7
-    });
-    return response.generations[0].text.trim();
+    return await generate('question', prompt);
   } catch (err) {
     console.error('Error in answerHealthQuestion:', err.message);
     return null;
   }
 }
 
+// Fallback for messages the intent rules don't recognise; returns null when the text matches no intent
+async function classifyIntent(text, intents) {
+  try {
+    const prompt = `
+You route messages sent to a WhatsApp health assistant. Decide which of these intents the message below asks for, and copy any of the listed fields the message states. Use "none" when it asks for none of them, e.g. greetings or thanks.
+${Object.entries(intents).map(([name, { fields }]) => `- ${name}${fields.length > 0 ? ` (fields: ${fields.join(', ')})` : ''}`).join('\n')}
+
+Message: ${text}
+
+Respond with only a JSON object in exactly this shape:
+{
+  "intent": "[one of the intents above, or none]",
+  "fields": { "[field]": "[value as written in the message]" }
+}
+Write times as HH:MM in 24-hour format and dates as YYYY-MM-DD. Leave out any field the message does not state.
+    `;
+    const result = await generateStructured('intent', prompt, (candidate) => validateIntent(candidate, intents));
+    if (!result || result.intent === 'none') return null;
+    const fields = {};
+    intents[result.intent].fields.forEach(field => {
+      if (result.fields[field] && result.fields[field].trim()) fields[field] = result.fields[field].trim();
+    });
+    return { intent: result.intent, fields };
+  } catch (err) {
+    console.error('Error in classifyIntent:', err.message);
+    return null;
+  }
+}
+
 module.exports = {
   analyzeSymptoms,
   analyzeHealthAssessment,
   generateFitnessPlan,
   generateMealPlan,
-  answerHealthQuestion
+  answerHealthQuestion,
+  classifyIntent
 };
\ No newline at end of file
@@ -0,0 +1,274 @@
+const { matchOption } = require('./i18n');
+
+// Parses the dates and times people actually type, e.g. "last Monday", "3 days ago", "8am", "after dinner"
+// or "saa 2 asubuhi", into the YYYY-MM-DD and HH:MM values the flows store
+
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+const MONTHS = {
+  jan: ['january', 'januari'],
+  feb: ['february', 'februari'],
+  mar: ['march', 'machi'],
+  apr: ['april', 'aprili'],
+  may: ['mei'],
+  jun: ['june', 'juni'],
+  jul: ['july', 'julai'],
+  aug: ['august', 'agosti'],
+  sep: ['sept', 'september', 'septemba'],
+  oct: ['october', 'oktoba'],
+  nov: ['november', 'novemba'],
+  dec: ['december', 'desemba']
+};
+
+const RELATIVE_DAYS = {
+  today: 0, leo: 0,
+  yesterday: 1, jana: 1,
+  'day before yesterday': 2, 'the day before yesterday': 2, juzi: 2, 'juzi juzi': 3
+};
+
+const UNIT_DAYS = { day: 1, days: 1, siku: 1, week: 7, weeks: 7, wiki: 7 };
+
+// Typical meal and bed times; "before" and "after" move the reminder half an hour either side
+const MEAL_TIMES = {
+  breakfast: '08:00', 'kifungua kinywa': '08:00', 'chai ya asubuhi': '08:00',
+  lunch: '13:00', 'chakula cha mchana': '13:00',
+  dinner: '19:00', supper: '19:00', 'chakula cha jioni': '19:00', 'chakula cha usiku': '19:00',
+  bedtime: '22:00', bed: '22:00', 'going to bed': '22:00', kulala: '22:00'
+};
+
+const MEAL_OFFSET_MINUTES = 30;
+
+const PERIOD_TIMES = {
+  morning: '08:00', asubuhi: '08:00',
+  noon: '12:00', midday: '12:00', adhuhuri: '12:00',
+  afternoon: '14:00', mchana: '14:00', alasiri: '15:00',
+  evening: '18:00', jioni: '18:00',
+  night: '21:00', usiku: '21:00',
+  midnight: '00:00'
+};
+
+const SWAHILI_NUMBERS = {
+  'kumi na moja': 11, 'kumi na mbili': 12, moja: 1, mbili: 2, tatu: 3, nne: 4, tano: 5, sita: 6,
+  saba: 7, nane: 8, tisa: 9, kumi: 10
+};
+
+function pad(value) {
+  return String(value).padStart(2, '0');
+}
+
+function toDateString(date) {
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+function startOfDay(date) {
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate());
+}
+
+function addDays(date, days) {
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+}
+
+// Clamped to the end of the month, so one month before 31 March is the end of February rather than 3 March
+function addMonths(date, months) {
+  const first = new Date(date.getFullYear(), date.getMonth() + months, 1);
+  const lastDay = new Date(first.getFullYear(), first.getMonth() + 1, 0).getDate();
+  return new Date(first.getFullYear(), first.getMonth(), Math.min(date.getDate(), lastDay));
+}
+
+// A real calendar date, or null for e.g. 31 February
+function buildDate(year, month, day) {
+  const date = new Date(year, month, day);
+  return date.getFullYear() === year && date.getMonth() === month && date.getDate() === day ? date : null;
+}
+
+function matchMonth(word) {
+  const key = word.slice(0, 3);
+  if (MONTHS[key] && (word === key || MONTHS[key].includes(word))) return Object.keys(MONTHS).indexOf(key);
+  const found = Object.entries(MONTHS).find(([, names]) => names.includes(word));
+  return found ? Object.keys(MONTHS).indexOf(found[0]) : -1;
+}
+
+function parseCount(word) {
+  if (/^\d+$/.test(word)) return parseInt(word);
+  return { a: 1, an: 1, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, ...SWAHILI_NUMBERS }[word] || null;
+}
+
+function normalizeText(input) {
+  return String(input || '').toLowerCase().replace(/[.,!?]+$/, '').replace(/\s+/g, ' ').trim();
+}
+
+// A date without a year is the most recent one, so "5 October" typed in January means last October
+function resolveDayOfMonth(today, month, day, year) {
+  if (year !== undefined) return buildDate(year, month, day);
+  const thisYear = buildDate(today.getFullYear(), month, day);
+  if (thisYear && thisYear <= today) return thisYear;
+  return buildDate(today.getFullYear() - 1, month, day);
+}
+
+// "monday" is the latest Monday up to today; "last monday" or "jumatatu iliyopita" is strictly before today
+function resolveWeekday(today, weekday, strictlyPast) {
+  let back = (today.getDay() - weekday + 7) % 7;
+  if (back === 0 && strictlyPast) back = 7;
+  return addDays(today, -back);
+}
+
+// Reads an English or Swahili date, e.g. "5 Oct" or "3 days ago", as YYYY-MM-DD or null; now is today as YYYY-MM-DD
+function parseDate(input, now = new Date()) {
+  const text = normalizeText(input).replace(/^(?:on|tarehe|siku ya)\s+/, '');
+  const today = typeof now === 'string' ? new Date(`${now}T00:00:00`) : startOfDay(now);
+  let match;
+
+  if ((match = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/))) {
+    const date = buildDate(parseInt(match[1]), parseInt(match[2]) - 1, parseInt(match[3]));
+    return date ? toDateString(date) : null;
+  }
+  // Day first, as written in Kenya and Tanzania: 5/10/2025 is 5 October
+  if ((match = text.match(/^(\d{1,2})[/.](\d{1,2})(?:[/.](\d{2}|\d{4}))?$/))) {
+    const year = match[3] === undefined ? undefined : parseInt(match[3].length === 2 ? `20${match[3]}` : match[3]);
+    const date = resolveDayOfMonth(today, parseInt(match[2]) - 1, parseInt(match[1]), year);
+    return date ? toDateString(date) : null;
+  }
+
+  if (RELATIVE_DAYS[text] !== undefined) return toDateString(addDays(today, -RELATIVE_DAYS[text]));
+
+  // "3 days ago", "a week ago", "2 weeks back"
+  if ((match = text.match(/^(\w+) (days?|weeks?) (?:ago|back)$/))) {
+    const count = parseCount(match[1]);
+    return count ? toDateString(addDays(today, -count * UNIT_DAYS[match[2]])) : null;
+  }
+  // "siku 3 zilizopita", "wiki 2 zilizopita", "siku tatu zilizopita"
+  if ((match = text.match(/^(siku|wiki) (\w+(?: na \w+)?) (?:zilizopita|iliyopita)$/))) {
+    const count = parseCount(match[2]);
+    return count ? toDateString(addDays(today, -count * UNIT_DAYS[match[1]])) : null;
+  }
+  if (['last week', 'wiki iliyopita'].includes(text)) return toDateString(addDays(today, -7));
+  if ((match = text.match(/^(\w+) months? ago$/))) {
+    const count = parseCount(match[1]);
+    return count ? toDateString(addMonths(today, -count)) : null;
+  }
+  if (['last month', 'mwezi uliopita'].includes(text)) return toDateString(addMonths(today, -1));
+
+  // Weekday names, in any language the bot speaks
+  if ((match = text.match(/^(?:(last|this past|past) )?(\w+)(?: (iliyopita|uliopita|ya wiki iliyopita))?$/))) {
+    const day = matchOption(match[2], WEEKDAYS);
+    if (day) return toDateString(resolveWeekday(today, WEEKDAYS.indexOf(day), Boolean(match[1] || match[3])));
+  }
+
+  // "5 october", "5th oct 2025", "october 5", "oct 5, 2025"
+  const words = text.replace(/,/g, ' ').replace(/\s+/g, ' ').replace(/\b(\d{1,2})(?:st|nd|rd|th)\b/, '$1').replace(/\bof\b/, '').trim().split(' ').filter(Boolean);
+  if (words.length === 2 || words.length === 3) {
+    const [first, second, third] = words;
+    const year = third !== undefined && /^\d{4}$/.test(third) ? parseInt(third) : undefined;
+    if (third !== undefined && year === undefined) return null;
+    let month = -1;
+    let day = NaN;
+    if (/^\d{1,2}$/.test(first) && matchMonth(second) !== -1) {
+      day = parseInt(first);
+      month = matchMonth(second);
+    } else if (matchMonth(first) !== -1 && /^\d{1,2}$/.test(second)) {
+      day = parseInt(second);
+      month = matchMonth(first);
+    }
+    if (month !== -1) {
+      const date = resolveDayOfMonth(today, month, day, year);
+      return date ? toDateString(date) : null;
+    }
+  }
+  return null;
+}
+
+function toMinutes(time) {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+function fromMinutes(total) {
+  const minutes = ((total % (24 * 60)) + 24 * 60) % (24 * 60);
+  return `${pad(Math.floor(minutes / 60))}:${pad(minutes % 60)}`;
+}
+
+function buildTime(hours, minutes) {
+  if (hours > 23 || minutes > 59) return null;
+  return `${pad(hours)}:${pad(minutes)}`;
+}
+
+// Applies a part of the day to a 12-hour clock reading, e.g. 8 + "evening" is 20:00
+function applyPeriod(hours, period) {
+  if (hours > 12) return hours;
+  if (['am', 'a.m', 'a.m.', 'morning', 'in the morning'].includes(period)) return hours === 12 ? 0 : hours;
+  if (['night', 'at night', 'in the night'].includes(period)) return hours === 12 ? 0 : hours < 5 ? hours : hours + 12;
+  return hours === 12 ? 12 : hours + 12;
+}
+
+// Swahili time counts from dawn: "saa 2 asubuhi" is 08:00 and "saa 1 usiku" is 19:00
+function parseSwahiliClock(text) {
+  const match = text.match(/^saa (\d{1,2})(?:[:.](\d{2}))?(?: (asubuhi|alfajiri|mchana|alasiri|jioni|usiku))?$/);
+  if (!match) return null;
+  const hour = parseInt(match[1]);
+  const minutes = parseInt(match[2] || '0');
+  if (hour < 1 || hour > 12) return match[3] ? null : buildTime(hour, minutes);
+  // Without a part of the day the number is read as the clock on the wall, e.g. "saa 14:00"
+  if (!match[3]) return match[2] ? buildTime(hour, minutes) : null;
+  let hours = (hour + 6) % 12;
+  if (['mchana', 'alasiri', 'jioni'].includes(match[3])) hours += 12;
+  if (match[3] === 'usiku' && hours >= 6) hours += 12;
+  return buildTime(hours, minutes);
+}
+
+function replaceSwahiliNumbers(text) {
+  return Object.entries(SWAHILI_NUMBERS).reduce((result, [word, value]) => result.replace(new RegExp(`\\bsaa ${word}\\b`, 'g'), `saa ${value}`), text);
+}
+
+// Reads a time of day, e.g. "8.30 pm", "after dinner" or "saa 2 asubuhi", as 24-hour HH:MM or null
+function parseTime(input) {
+  const text = replaceSwahiliNumbers(normalizeText(input).replace(/^(?:at|around|about|kwenye|karibu)\s+/, ''));
+  let match;
+
+  if (PERIOD_TIMES[text]) return PERIOD_TIMES[text];
+  if ((match = text.match(/^(before|after|with|kabla ya|baada ya|pamoja na|wakati wa) (?:my |the )?(.+)$/))) {
+    const meal = MEAL_TIMES[match[2]];
+    if (!meal) return null;
+    if (['before', 'kabla ya'].includes(match[1])) return fromMinutes(toMinutes(meal) - MEAL_OFFSET_MINUTES);
+    if (['after', 'baada ya'].includes(match[1])) return fromMinutes(toMinutes(meal) + MEAL_OFFSET_MINUTES);
+    return meal;
+  }
+  if (MEAL_TIMES[text]) return MEAL_TIMES[text];
+
+  const swahili = parseSwahiliClock(text);
+  if (swahili) return swahili;
+
+  // "8", "08:00", "8.30", "8am", "8:30 p.m.", "8 in the morning", "8 o'clock at night"
+  match = text.match(/^(\d{1,2})(?:[:.](\d{2}))?(?:\s*o['’]?clock)?(?:\s*(am|pm|a\.m\.?|p\.m\.?|in the morning|in the afternoon|in the evening|at night|in the night|morning|afternoon|evening|night|tonight))?$/);
+  if (!match) return null;
+  let hours = parseInt(match[1]);
+  const minutes = parseInt(match[2] || '0');
+  if (match[3]) {
+    if (hours < 1 || hours > 12) return null;
+    hours = applyPeriod(hours, match[3].replace(/^p\.m\.?$/, 'pm').replace(/^tonight$/, 'evening'));
+  }
+  return buildTime(hours, minutes);
+}
+
+// Reads times such as "8am and 8pm" as sorted unique HH:MM strings, or null if any can't be read
+function parseTimes(input) {
+  const parts = normalizeText(input).split(/\s*(?:,|&|\band\b|\bna\b(?! (?:\w+ )?(?:dinner|lunch|breakfast|chakula)))\s*/).filter(Boolean);
+  if (parts.length === 0) return null;
+  const times = parts.map(parseTime);
+  if (times.some(time => !time)) return null;
+  return [...new Set(times)].sort();
+}
+
+// "Monday, 6 October 2025" in the user's language, for repeating a parsed date back to them
+function formatLongDate(value, language) {
+  const [year, month, day] = value.split('-').map(Number);
+  const locale = language === 'sw' ? 'sw' : 'en-GB';
+  return new Intl.DateTimeFormat(locale, { weekday: 'long', day: 'numeric', month: 'long', year: 'numeric' }).format(new Date(year, month - 1, day));
+}
+
+module.exports = {
+  MEAL_TIMES,
+  parseDate,
+  parseTime,
+  parseTimes,
+  formatLongDate
+};
@@ -0,0 +1,73 @@
+const crypto = require('crypto');
+
+const ALGORITHM = 'aes-256-gcm';
+const PREFIX = 'enc:v1';
+
+// DATA_ENCRYPTION_KEY is a base64-encoded 32-byte key used for all new writes. Retired keys go in
+// DATA_ENCRYPTION_OLD_KEYS (comma-separated) so existing rows can still be read and re-encrypted.
+function parseKey(encoded) {
+  const key = Buffer.from(encoded.trim(), 'base64');
+  if (key.length !== 32) {
+    throw new Error('Encryption keys must be 32 bytes, base64-encoded');
+  }
+  // Stored alongside each value so rows written under an older key can be found after rotation
+  const keyId = crypto.createHash('sha256').update(key).digest('hex').slice(0, 8);
+  return { keyId, key };
+}
+
+let keyring = null;
+
+function getKeyring() {
+  if (keyring) return keyring;
+  if (!process.env.DATA_ENCRYPTION_KEY) {
+    throw new Error('DATA_ENCRYPTION_KEY is not set');
+  }
+  const current = parseKey(process.env.DATA_ENCRYPTION_KEY);
+  const keys = new Map([[current.keyId, current.key]]);
+  (process.env.DATA_ENCRYPTION_OLD_KEYS || '').split(',').filter(entry => entry.trim()).forEach(entry => {
+    const old = parseKey(entry);
+    keys.set(old.keyId, old.key);
+  });
+  keyring = { currentKeyId: current.keyId, keys };
+  return keyring;
+}
+
+function isEncrypted(value) {
+  return typeof value === 'string' && value.startsWith(`${PREFIX}:`);
+}
+
+function encrypt(value) {
+  if (value === null || value === undefined) return value;
+  const { currentKeyId, keys } = getKeyring();
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(ALGORITHM, keys.get(currentKeyId), iv);
+  const data = Buffer.concat([cipher.update(String(value), 'utf8'), cipher.final()]);
+  return [PREFIX, currentKeyId, iv.toString('base64'), cipher.getAuthTag().toString('base64'), data.toString('base64')].join(':');
+}
+
+// Values written before encryption was enabled are returned unchanged
+function decrypt(value) {
+  if (!isEncrypted(value)) return value;
+  const [, , keyId, iv, tag, data] = value.split(':');
+  const key = getKeyring().keys.get(keyId);
+  if (!key) {
+    throw new Error(`No encryption key available for key ID ${keyId}`);
+  }
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, Buffer.from(iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(tag, 'base64'));
+  return Buffer.concat([decipher.update(Buffer.from(data, 'base64')), decipher.final()]).toString('utf8');
+}
+
+// True for plaintext values and values encrypted under a key other than the current one
+function needsReencryption(value) {
+  if (value === null || value === undefined) return false;
+  if (!isEncrypted(value)) return true;
+  return value.split(':')[2] !== getKeyring().currentKeyId;
+}
+
+module.exports = {
+  getKeyring,
+  encrypt,
+  decrypt,
+  needsReencryption
+};
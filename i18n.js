@@ -0,0 +1,64 @@
+// Message catalogues and answer matching for every language the bot speaks. Catalogues live in
+// locales/<code>.js; a key missing from a translation falls back to English. Stored answers always
+// use the canonical English option, so only what users see and type is translated.
+const catalogues = {
+  en: require('./locales/en'),
+  sw: require('./locales/sw')
+};
+
+const LANGUAGES = Object.keys(catalogues);
+const DEFAULT_LANGUAGE = LANGUAGES.includes(process.env.DEFAULT_LANGUAGE) ? process.env.DEFAULT_LANGUAGE : 'en';
+
+// Fills {name} placeholders; a key unknown to every catalogue is returned as is
+function t(language, key, params = {}) {
+  const catalogue = catalogues[language] || catalogues[DEFAULT_LANGUAGE];
+  const template = catalogue.messages[key] !== undefined ? catalogue.messages[key] : catalogues.en.messages[key];
+  if (template === undefined) return key;
+  return template.replace(/\{(\w+)\}/g, (match, name) => params[name] !== undefined && params[name] !== null ? String(params[name]) : match);
+}
+
+function normalizeAnswer(text) {
+  return (text || '').toLowerCase().trim().replace(/\s+/g, ' ');
+}
+
+// Returns the canonical option matching the input in any language, or null. Aliases are only checked
+// against the options offered, so "wastani" is "moderate" for severity and "fair" for overall health.
+function matchOption(input, options) {
+  const answer = normalizeAnswer(input);
+  return options.find(option => option === answer ||
+    Object.values(catalogues).some(({ answers }) => (answers[option] || []).includes(answer))) || null;
+}
+
+// Shows a stored canonical answer, e.g. "female" or "daily", in the user's language
+function translateAnswer(language, value) {
+  const catalogue = catalogues[language];
+  const key = `answer.${normalizeAnswer(String(value))}`;
+  return catalogue && catalogue.messages[key] !== undefined ? catalogue.messages[key] : value;
+}
+
+// Guesses the language of free text from common words; null when there is no clear signal,
+// e.g. for commands, numbers and names
+function detectLanguage(text) {
+  const words = normalizeAnswer(text).replace(/[^a-z'\s]/g, ' ').split(' ').filter(Boolean);
+  let detected = null;
+  let bestScore = 0;
+  for (const [language, { markers }] of Object.entries(catalogues)) {
+    const score = words.filter(word => markers.includes(word)).length;
+    if (score > bestScore) {
+      detected = language;
+      bestScore = score;
+    } else if (score === bestScore) {
+      detected = null;
+    }
+  }
+  return detected;
+}
+
+module.exports = {
+  LANGUAGES,
+  DEFAULT_LANGUAGE,
+  t,
+  matchOption,
+  translateAnswer,
+  detectLanguage
+};
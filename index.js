@@ -1,11 +1,24 @@
 require('dotenv').config();
 
-const { Client, LocalAuth } = require('whatsapp-web.js');
-const qrcode = require('qrcode-terminal');
 const winston = require('winston');
 const pool = require('./db');
 const schedule = require('node-schedule');
-const { analyzeSymptoms, analyzeHealthAssessment, generateFitnessPlan, generateMealPlan, answerHealthQuestion } = require('./cohere');
+const { analyzeSymptoms, analyzeHealthAssessment, generateFitnessPlan, generateMealPlan, answerHealthQuestion, classifyIntent } = require('./cohere');
+const { isAvailable: isAiAvailable } = require('./llm');
+const { isEnabled: isSpeechEnabled, transcribe } = require('./speech');
+const { isEnabled: isOcrEnabled, recognizeText } = require('./ocr');
+const { readMedicationLabel } = require('./labels');
+const { buildProfileContext } = require('./profile');
+const { detectEmergency, getEmergencyNumbers } = require('./triage');
+const { checkMedication } = require('./interactions');
+const { INTENTS, matchIntent } = require('./intents');
+const { reviewText, addDisclaimer } = require('./safety');
+const { LANGUAGES, DEFAULT_LANGUAGE, t, matchOption, translateAnswer, detectLanguage } = require('./i18n');
+const { getKeyring, encrypt, decrypt, needsReencryption } = require('./encryption');
+const { parseDate, parseTime, parseTimes, formatLongDate } = require('./datetime');
+const { buildChoiceMessage, matchChoice } = require('./choices');
+const { startTransports, sendMessage, handleRequest, stopTransports } = require('./transport');
+const { DEFAULT_TIMEZONE, resolveTimezone, inferTimezone, zonedTimeToDate, formatDateInTimezone, formatDateTimeInTimezone } = require('./timezone');
 const http = require('http');
 const fs = require('fs');
 const path = require('path');
@@ -23,18 +36,9 @@ const logger = winston.createLogger({
   ]
 });
 
-// Define the client before using it
-const client = new Client({
-  authStrategy: new LocalAuth(),
-  puppeteer: {
-    args: ['--no-sandbox', '--disable-setuid-sandbox'],
-    headless: true
-  }
-});
-
-
-// HTTP server for Render health check
+// HTTP server for Render health check, also receiving webhooks for the transports that use them
 const server = http.createServer((req, res) => {
+  if (handleRequest(req, res)) return;
   res.writeHead(200, { 'Content-Type': 'text/plain' });
   res.end('Aliya Health Bot is running!');
 });
@@ -43,263 +47,389 @@ server.listen(8080, () => {
   logger.info('HTTP server running on port 8080 for Render health check');
 });
 
-// Now set up event handlers and initialize the client
-client.on('qr', (qr) => {
-  logger.info('QR code event fired');
-  console.log('QR Code Event Fired');
-  qrcode.generate(qr, { small: true }, (code) => {
-    logger.info('QR Code:\n' + code);
-    console.log('QR Code:\n' + code);
-  });
-  console.log('Scan the QR code with your WhatsApp app.');
-});
 
+const userStates = new Map();
 
+// Conversation state is written through to whatsapp_sessions and loaded lazily after a restart.
+// Sessions idle for longer than SESSION_TTL_HOURS are discarded; users returning to a flow after
+// SESSION_RESUME_AFTER_MINUTES are asked whether to resume or restart it.
+const SESSION_TTL_HOURS = parseInt(process.env.SESSION_TTL_HOURS || '24');
+const SESSION_RESUME_AFTER_MINUTES = parseInt(process.env.SESSION_RESUME_AFTER_MINUTES || '30');
 
-const userStates = new Map();
+// Consent is recorded against this version. Bump it when the terms themselves change, which asks every user to
+// re-accept and holds back their reminders until they do; wording fixes to the intro don't need a bump.
+// Translations carry the same terms and are not versioned separately.
+const TNC_VERSION = '1';
 
-const INTRODUCTION_MESSAGE = `
-Hello! I'm Aliya, your health assistant on WhatsApp. I can help with symptom analysis, health assessments, fitness and meal plans, menstrual cycle tracking, medication reminders, and general health questions.
+// The terms, followed by how to read them in the other language
+function getIntroduction(lang) {
+  return `${t(lang, 'intro')}${t(lang, 'language.hint')}`;
+}
+
+const TNC_OPTIONS = ['accept', 'deny'];
+const ASSESSMENT_CHOICE_OPTIONS = ['now', 'later', 'never'];
+
+// Commands that need consent to the current terms; everything else stays available in restricted mode
+const CONSENT_REQUIRED_COMMANDS = ['/diagnose', '/assessment', '/fitness', '/meal', '/cycle', '/medication', '/adherence', '/ask', '/history'];
+
+// Answers to these steps name past conditions, allergies or medicines rather than report an emergency
+const EMERGENCY_EXEMPT_FIELDS = ['medical_history', 'allergies', 'medications', 'medication_name'];
+
+// Tables holding rows keyed by users(id), listed children first so they can be deleted in order
+const USER_DATA_TABLES = [
+  'profile_changes',
+  'symptoms',
+  'assessments',
+  'fitness_plans',
+  'meal_plans',
+  'menstrual_cycles',
+  'medication_doses',
+  'medication_reminders'
+];
 
-⚠️ *Disclaimer*: I am not a doctor. My advice is for informational purposes only and should not replace professional medical advice.
+// Health data encrypted at the application layer before it reaches Postgres
+const ENCRYPTED_COLUMNS = {
+  users: ['medical_history', 'chronic_conditions', 'allergies', 'medications'],
+  profile_changes: ['old_value', 'new_value'],
+  symptoms: ['symptoms'],
+  menstrual_cycles: ['last_period_date', 'predicted_next_period'],
+  safety_flags: ['excerpt'],
+  // Flow answers in progress, e.g. medical history during onboarding or symptoms during /diagnose
+  whatsapp_sessions: ['session_data']
+};
 
-📋 *Terms and Conditions*:
-- I will collect and store your personal and health data (e.g., name, age, medical history) to provide personalized services.
-- Your data will be stored securely in a database and used only for health-related features.
-- You can stop using my services at any time, and your data will be handled per our privacy policy.
+function decryptRow(table, row) {
+  if (!row) return row;
+  const decrypted = { ...row };
+  (ENCRYPTED_COLUMNS[table] || []).forEach(column => {
+    decrypted[column] = decrypt(decrypted[column]);
+  });
+  return decrypted;
+}
 
-Please reply with *accept* to agree to the terms and start onboarding, or *deny* to exit.
-`;
+// Steps hold catalogue keys: the prompt, and the validation error returned by validate. The options of a
+// choice step are offered as buttons or a numbered list. validate and normalize also get the step context
+// from getStepContext.
+function choiceStep(field, prompt, options, error) {
+  return {
+    field,
+    prompt,
+    options,
+    validate: (input) => matchOption(input, options) ? null : error,
+    normalize: (input) => matchOption(input, options)
+  };
+}
 
-const HELP_MESSAGE = `
-*Aliya Health Assistant - Available Commands*
+const FREQUENCY_OPTIONS = ['often', 'sometimes', 'rarely', 'never'];
+const YES_NO_OPTIONS = ['yes', 'no'];
+const WEEKDAYS = ['mon', 'tue', 'wed', 'thu', 'fri', 'sat', 'sun'];
 
-/start - Begin the onboarding process (if not already completed)
-/diagnose - Analyze symptoms and get potential conditions (after onboarding)
-/assessment - Take a health assessment test (after onboarding)
-/fitness - Get a personalized fitness plan (after onboarding)
-/meal - Get a personalized meal plan (after onboarding)
-/cycle - Track or update your menstrual cycle (after onboarding, for applicable users)
-/medication - Set or update medication reminders (after onboarding)
-/ask - Ask general health-related questions (after onboarding)
-/help - Show this help menu
-/cancel - Cancel the current operation (e.g., onboarding, diagnosis)
-`;
+// Free-text answers keep what the user wrote, except "none" in any language
+const normalizeNone = (input) => matchOption(input, ['none']) || input;
 
 const ONBOARDING_STEPS = [
-  { field: 'name', prompt: 'Please provide your name.', validate: (input) => input.trim() !== '' ? null : 'Name cannot be empty.' },
-  { field: 'age', prompt: 'Please provide your age (e.g., 25).', validate: (input) => {
+  choiceStep('language', 'onboarding.language', [...LANGUAGES, 'auto'], 'error.language'),
+  { field: 'name', prompt: 'onboarding.name', validate: (input) => input.trim() !== '' ? null : 'error.name_empty' },
+  { field: 'age', prompt: 'onboarding.age', validate: (input) => {
       const age = parseInt(input);
-      return isNaN(age) || age < 1 || age > 120 ? 'Please provide a valid age (1-120).' : null;
-    }
-  },
-  { field: 'sex', prompt: 'Please provide your sex (male, female, other).', validate: (input) => {
-      const valid = ['male', 'female', 'other'].includes(input.toLowerCase());
-      return valid ? null : 'Please provide male, female, or other.';
+      return isNaN(age) || age < 1 || age > 120 ? 'error.age' : null;
     }
   },
-  { field: 'height_cm', prompt: 'Please provide your height in centimeters (e.g., 170).', validate: (input) => {
+  choiceStep('sex', 'onboarding.sex', ['male', 'female', 'other'], 'error.sex'),
+  { field: 'height_cm', prompt: 'onboarding.height_cm', validate: (input) => {
       const height = parseInt(input);
-      return isNaN(height) || height < 50 || height > 300 ? 'Please provide a valid height (50-300 cm).' : null;
+      return isNaN(height) || height < 50 || height > 300 ? 'error.height' : null;
     }
   },
-  { field: 'weight_kg', prompt: 'Please provide your weight in kilograms (e.g., 70).', validate: (input) => {
+  { field: 'weight_kg', prompt: 'onboarding.weight_kg', validate: (input) => {
       const weight = parseInt(input);
-      return isNaN(weight) || weight < 20 || weight > 500 ? 'Please provide a valid weight (20-500 kg).' : null;
+      return isNaN(weight) || weight < 20 || weight > 500 ? 'error.weight' : null;
     }
   },
-  { field: 'location', prompt: 'Please provide your location (e.g., New York).', validate: (input) => input.trim() !== '' ? null : 'Location cannot be empty.' },
-  { field: 'medical_history', prompt: 'Please provide a brief medical history (or type "none").', validate: () => null },
-  { field: 'chronic_conditions', prompt: 'Please list any chronic conditions (or type "none").', validate: () => null },
-  { field: 'allergies', prompt: 'Please list any allergies (or type "none").', validate: () => null },
-  { field: 'medications', prompt: 'Please list any current medications (or type "none").', validate: () => null }
+  { field: 'location', prompt: 'onboarding.location', validate: (input) => input.trim() !== '' ? null : 'error.location_empty' },
+  { field: 'medical_history', prompt: 'onboarding.medical_history', validate: () => null, normalize: normalizeNone },
+  { field: 'chronic_conditions', prompt: 'onboarding.chronic_conditions', validate: () => null, normalize: normalizeNone },
+  { field: 'allergies', prompt: 'onboarding.allergies', validate: () => null, normalize: normalizeNone },
+  { field: 'medications', prompt: 'onboarding.medications', validate: () => null, normalize: normalizeNone }
 ];
 
-const MENSTRUAL_CYCLE_STEP = {
-  field: 'menstrual_cycle_type',
-  prompt: 'Please specify your menstrual cycle type (regular, irregular, or none).',
-  validate: (input) => {
-    const valid = ['regular', 'irregular', 'none'].includes(input.toLowerCase());
-    return valid ? null : 'Please provide regular, irregular, or none.';
-  }
-};
+const MENSTRUAL_CYCLE_STEP = choiceStep('menstrual_cycle_type', 'onboarding.menstrual_cycle_type', ['regular', 'irregular', 'none'], 'error.menstrual_cycle_type');
 
 const DIAGNOSIS_STEPS = [
-  { field: 'symptoms', prompt: 'Please describe your symptoms (e.g., fever, cough).', validate: (input) => input.trim() !== '' ? null : 'Symptoms cannot be empty.' },
-  { field: 'severity', prompt: 'How severe are your symptoms? (mild, moderate, severe)', validate: (input) => {
-      const valid = ['mild', 'moderate', 'severe'].includes(input.toLowerCase());
-      return valid ? null : 'Please provide mild, moderate, or severe.';
-    }
-  },
-  { field: 'duration', prompt: 'How long have you had these symptoms? (e.g., 2 days, 1 week)', validate: (input) => input.trim() !== '' ? null : 'Duration cannot be empty.' }
+  { field: 'symptoms', prompt: 'diagnosis.symptoms', validate: (input) => input.trim() !== '' ? null : 'error.symptoms_empty' },
+  choiceStep('severity', 'diagnosis.severity', ['mild', 'moderate', 'severe'], 'error.severity'),
+  { field: 'duration', prompt: 'diagnosis.duration', validate: (input) => input.trim() !== '' ? null : 'error.duration_empty' }
 ];
 
 const ASSESSMENT_STEPS = [
-  { field: 'overall_health', prompt: 'How would you rate your overall health? (excellent, good, fair, poor)', validate: (input) => {
-      const valid = ['excellent', 'good', 'fair', 'poor'].includes(input.toLowerCase());
-      return valid ? null : 'Please provide excellent, good, fair, or poor.';
-    }
-  },
-  { field: 'fatigue_after_sleep', prompt: 'Do you often feel fatigued even after adequate sleep? (often, sometimes, rarely, never)', validate: (input) => {
-      const valid = ['often', 'sometimes', 'rarely', 'never'].includes(input.toLowerCase());
-      return valid ? null : 'Please provide often, sometimes, rarely, or never.';
-    }
-  },
-  { field: 'fruit_veggie_servings', prompt: 'How many servings of fruits/vegetables do you eat daily? (e.g., 3)', validate: (input) => {
+  choiceStep('overall_health', 'assessment.overall_health', ['excellent', 'good', 'fair', 'poor'], 'error.overall_health'),
+  choiceStep('fatigue_after_sleep', 'assessment.fatigue_after_sleep', FREQUENCY_OPTIONS, 'error.frequency'),
+  { field: 'fruit_veggie_servings', prompt: 'assessment.fruit_veggie_servings', validate: (input) => {
       const servings = parseInt(input);
-      return isNaN(servings) || servings < 0 || servings > 20 ? 'Please provide a valid number (0-20).' : null;
-    }
-  },
-  { field: 'sugary_drinks_snacks', prompt: 'Do you consume sugary drinks or snacks daily? (yes, no)', validate: (input) => {
-      const valid = ['yes', 'no'].includes(input.toLowerCase());
-      return valid ? null : 'Please provide yes or no.';
+      return isNaN(servings) || servings < 0 || servings > 20 ? 'error.servings' : null;
     }
   },
-  { field: 'exercise_days', prompt: 'How many days per week do you exercise ≥30 minutes? (0-7)', validate: (input) => {
+  choiceStep('sugary_drinks_snacks', 'assessment.sugary_drinks_snacks', YES_NO_OPTIONS, 'error.yes_no'),
+  { field: 'exercise_days', prompt: 'assessment.exercise_days', validate: (input) => {
       const days = parseInt(input);
-      return isNaN(days) || days < 0 || days > 7 ? 'Please provide a valid number (0-7).' : null;
-    }
-  },
-  { field: 'breaks_from_sitting', prompt: 'Do you take breaks from sitting every hour? (yes, no)', validate: (input) => {
-      const valid = ['yes', 'no'].includes(input.toLowerCase());
-      return valid ? null : 'Please provide yes or no.';
+      return isNaN(days) || days < 0 || days > 7 ? 'error.days_per_week' : null;
     }
   },
-  { field: 'sleep_hours', prompt: 'On average, how many hours do you sleep per night? (e.g., 7)', validate: (input) => {
+  choiceStep('breaks_from_sitting', 'assessment.breaks_from_sitting', YES_NO_OPTIONS, 'error.yes_no'),
+  { field: 'sleep_hours', prompt: 'assessment.sleep_hours', validate: (input) => {
       const hours = parseInt(input);
-      return isNaN(hours) || hours < 0 || hours > 24 ? 'Please provide a valid number (0-24).' : null;
-    }
-  },
-  { field: 'wake_refreshed', prompt: 'Do you wake up feeling refreshed most mornings? (often, sometimes, rarely, never)', validate: (input) => {
-      const valid = ['often', 'sometimes', 'rarely', 'never'].includes(input.toLowerCase());
-      return valid ? null : 'Please provide often, sometimes, rarely, or never.';
-    }
-  },
-  { field: 'stress_anxiety', prompt: 'How often do you feel stressed or anxious? (often, sometimes, rarely, never)', validate: (input) => {
-      const valid = ['often', 'sometimes', 'rarely', 'never'].includes(input.toLowerCase());
-      return valid ? null : 'Please provide often, sometimes, rarely, or never.';
-    }
-  },
-  { field: 'relaxation_techniques', prompt: 'Do you practice relaxation techniques? (yes, no)', validate: (input) => {
-      const valid = ['yes', 'no'].includes(input.toLowerCase());
-      return valid ? null : 'Please provide yes or no.';
-    }
-  },
-  { field: 'chronic_conditions', prompt: 'Do you have any diagnosed chronic conditions? (yes, no)', validate: (input) => {
-      const valid = ['yes', 'no'].includes(input.toLowerCase());
-      return valid ? null : 'Please provide yes or no.';
-    }
-  },
-  { field: 'family_history', prompt: 'Is there a family history of heart disease or diabetes? (yes, no)', validate: (input) => {
-      const valid = ['yes', 'no'].includes(input.toLowerCase());
-      return valid ? null : 'Please provide yes or no.';
-    }
-  },
-  { field: 'smoking_vaping', prompt: 'Do you smoke or vape? (yes, no)', validate: (input) => {
-      const valid = ['yes', 'no'].includes(input.toLowerCase());
-      return valid ? null : 'Please provide yes or no.';
+      return isNaN(hours) || hours < 0 || hours > 24 ? 'error.sleep_hours' : null;
     }
   },
-  { field: 'alcohol_drinks', prompt: 'How many alcoholic drinks do you have weekly? (e.g., 2)', validate: (input) => {
+  choiceStep('wake_refreshed', 'assessment.wake_refreshed', FREQUENCY_OPTIONS, 'error.frequency'),
+  choiceStep('stress_anxiety', 'assessment.stress_anxiety', FREQUENCY_OPTIONS, 'error.frequency'),
+  choiceStep('relaxation_techniques', 'assessment.relaxation_techniques', YES_NO_OPTIONS, 'error.yes_no'),
+  choiceStep('chronic_conditions', 'assessment.chronic_conditions', YES_NO_OPTIONS, 'error.yes_no'),
+  choiceStep('family_history', 'assessment.family_history', YES_NO_OPTIONS, 'error.yes_no'),
+  choiceStep('smoking_vaping', 'assessment.smoking_vaping', YES_NO_OPTIONS, 'error.yes_no'),
+  { field: 'alcohol_drinks', prompt: 'assessment.alcohol_drinks', validate: (input) => {
       const drinks = parseInt(input);
-      return isNaN(drinks) || drinks < 0 || drinks > 100 ? 'Please provide a valid number (0-100).' : null;
-    }
-  },
-  { field: 'headaches_body_aches', prompt: 'Do you experience frequent headaches or body aches? (often, sometimes, rarely, never)', validate: (input) => {
-      const valid = ['often', 'sometimes', 'rarely', 'never'].includes(input.toLowerCase());
-      return valid ? null : 'Please provide often, sometimes, rarely, or never.';
+      return isNaN(drinks) || drinks < 0 || drinks > 100 ? 'error.alcohol_drinks' : null;
     }
   },
-  { field: 'weight_changes', prompt: 'Have you had unexplained weight changes in the past year? (yes, no)', validate: (input) => {
-      const valid = ['yes', 'no'].includes(input.toLowerCase());
-      return valid ? null : 'Please provide yes or no.';
-    }
-  }
+  choiceStep('headaches_body_aches', 'assessment.headaches_body_aches', FREQUENCY_OPTIONS, 'error.frequency'),
+  choiceStep('weight_changes', 'assessment.weight_changes', YES_NO_OPTIONS, 'error.yes_no')
 ];
 
 const FITNESS_STEPS = [
-  { field: 'fitness_goal', prompt: 'What is your fitness goal? (e.g., weight loss, muscle gain, general fitness)', validate: (input) => {
-      const valid = ['weight loss', 'muscle gain', 'general fitness'].includes(input.toLowerCase());
-      return valid ? null : 'Please provide weight loss, muscle gain, or general fitness.';
-    }
-  },
-  { field: 'activity_level', prompt: 'What is your current activity level? (beginner, intermediate, advanced)', validate: (input) => {
-      const valid = ['beginner', 'intermediate', 'advanced'].includes(input.toLowerCase());
-      return valid ? null : 'Please provide beginner, intermediate, or advanced.';
-    }
-  },
-  { field: 'available_days', prompt: 'How many days per week can you exercise? (0-7)', validate: (input) => {
+  choiceStep('fitness_goal', 'fitness.fitness_goal', ['weight loss', 'muscle gain', 'general fitness'], 'error.fitness_goal'),
+  choiceStep('activity_level', 'fitness.activity_level', ['beginner', 'intermediate', 'advanced'], 'error.activity_level'),
+  { field: 'available_days', prompt: 'fitness.available_days', validate: (input) => {
       const days = parseInt(input);
-      return isNaN(days) || days < 0 || days > 7 ? 'Please provide a valid number (0-7).' : null;
+      return isNaN(days) || days < 0 || days > 7 ? 'error.days_per_week' : null;
     }
   },
-  { field: 'available_minutes', prompt: 'How many minutes can you exercise per session? (e.g., 30)', validate: (input) => {
+  { field: 'available_minutes', prompt: 'fitness.available_minutes', validate: (input) => {
       const minutes = parseInt(input);
-      return isNaN(minutes) || minutes < 10 || minutes > 180 ? 'Please provide a valid number (10-180 minutes).' : null;
+      return isNaN(minutes) || minutes < 10 || minutes > 180 ? 'error.minutes' : null;
     }
   }
 ];
 
 const MEAL_STEPS = [
-  { field: 'dietary_preference', prompt: 'What is your dietary preference? (e.g., vegetarian, vegan, omnivore)', validate: (input) => {
-      const valid = ['vegetarian', 'vegan', 'omnivore'].includes(input.toLowerCase());
-      return valid ? null : 'Please provide vegetarian, vegan, or omnivore.';
-    }
-  },
-  { field: 'health_goal', prompt: 'What is your health goal? (e.g., weight loss, muscle gain, general health)', validate: (input) => {
-      const valid = ['weight loss', 'muscle gain', 'general health'].includes(input.toLowerCase());
-      return valid ? null : 'Please provide weight loss, muscle gain, or general health.';
-    }
-  },
-  { field: 'meals_per_day', prompt: 'How many meals do you want per day? (2-5)', validate: (input) => {
+  choiceStep('dietary_preference', 'meal.dietary_preference', ['vegetarian', 'vegan', 'omnivore'], 'error.dietary_preference'),
+  choiceStep('health_goal', 'meal.health_goal', ['weight loss', 'muscle gain', 'general health'], 'error.health_goal'),
+  { field: 'meals_per_day', prompt: 'meal.meals_per_day', validate: (input) => {
       const meals = parseInt(input);
-      return isNaN(meals) || meals < 2 || meals > 5 ? 'Please provide a valid number (2-5).' : null;
+      return isNaN(meals) || meals < 2 || meals > 5 ? 'error.meals_per_day' : null;
     }
   }
 ];
 
 const CYCLE_STEPS = [
-  { field: 'last_period_date', prompt: 'When did your last period start? (e.g., YYYY-MM-DD, like 2025-04-01)', validate: (input) => {
-      const date = new Date(input);
-      const today = new Date();
-      return isNaN(date) || date > today ? 'Please provide a valid past date in YYYY-MM-DD format.' : null;
-    }
+  { field: 'last_period_date', prompt: 'cycle.last_period_date', validate: (input, { today }) => {
+      const date = parseDate(input, today);
+      return !date || date > today ? 'error.last_period_date' : null;
+    },
+    normalize: (input, { today }) => parseDate(input, today),
+    exact: /^\d{4}-\d{2}-\d{2}$/,
+    describe: formatLongDate
   },
-  { field: 'average_cycle_length', prompt: 'What is your average cycle length in days? (e.g., 28, typically 21-35)', validate: (input) => {
+  { field: 'average_cycle_length', prompt: 'cycle.average_cycle_length', validate: (input) => {
       const length = parseInt(input);
-      return isNaN(length) || length < 21 || length > 35 ? 'Please provide a valid number (21-35 days).' : null;
+      return isNaN(length) || length < 21 || length > 35 ? 'error.cycle_length' : null;
     }
   }
 ];
 
+// "Daily" or a list of weekdays in any language, stored as e.g. "daily" or "mon,wed,fri"
+function parseDaysOfWeek(input) {
+  if (matchOption(input, ['daily'])) return 'daily';
+  const days = input.split(/\s*(?:,|\band\b|\bna\b)\s*/i).map(day => matchOption(day, WEEKDAYS));
+  return days.every(Boolean) ? days.join(',') : null;
+}
+
 const MEDICATION_STEPS = [
-  { field: 'medication_name', prompt: 'What is the name of the medication? (e.g., Ibuprofen)', validate: (input) => input.trim() !== '' ? null : 'Medication name cannot be empty.' },
-  { field: 'dosage', prompt: 'What is the dosage? (e.g., 200 mg, 1 tablet)', validate: (input) => input.trim() !== '' ? null : 'Dosage cannot be empty.' },
-  { field: 'schedule_time', prompt: 'What time should I remind you to take it? (e.g., 08:00, in 24-hour format)', validate: (input) => {
-      const timeRegex = /^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/;
-      return timeRegex.test(input) ? null : 'Please provide a valid time in HH:MM format (e.g., 08:00).';
+  { field: 'medication_name', prompt: 'medication.medication_name', validate: (input) => input.trim() !== '' ? null : 'error.medication_name_empty' },
+  { field: 'dosage', prompt: 'medication.dosage', validate: (input) => input.trim() !== '' ? null : 'error.dosage_empty' },
+  { field: 'schedule_time', prompt: 'medication.schedule_time', validate: (input) => {
+      return parseScheduleTimes(input) ? null : 'error.schedule_time';
+    },
+    normalize: (input) => parseScheduleTimes(input).join(','),
+    exact: /^\d{2}:\d{2}(?:\s*,\s*\d{2}:\d{2})*$/,
+    describe: (value) => value.split(',').join(', ')
+  },
+  { field: 'days_of_week', prompt: 'medication.days_of_week', validate: (input) => {
+      return parseDaysOfWeek(input) ? null : 'error.days_of_week';
+    },
+    normalize: parseDaysOfWeek
+  },
+  { field: 'course_days', prompt: 'medication.course_days', validate: (input) => {
+      if (matchOption(input, ['ongoing'])) return null;
+      const days = parseInt(input);
+      return isNaN(days) || days < 1 || days > 365 ? 'error.course_days' : null;
+    },
+    normalize: (input) => matchOption(input, ['ongoing']) || input
+  },
+  { field: 'pill_count', prompt: 'medication.pill_count', validate: (input) => {
+      if (matchOption(input, ['none'])) return null;
+      const count = parseInt(input);
+      return isNaN(count) || count < 0 || count > 1000 ? 'error.pill_count' : null;
+    },
+    normalize: normalizeNone
+  }
+];
+
+// Common dosing frequencies and the reminder times they expand to
+const DOSE_FREQUENCY_TIMES = {
+  'once daily': ['08:00'],
+  'twice daily': ['08:00', '20:00'],
+  'three times daily': ['08:00', '14:00', '20:00'],
+  'four times daily': ['08:00', '12:00', '16:00', '20:00']
+};
+
+// Times can be written as "08:00,20:00", "8am and 8pm", "after dinner" or "saa 2 asubuhi"; see datetime.js
+function parseScheduleTimes(input) {
+  const text = input.toLowerCase().trim();
+  const frequency = matchOption(text, Object.keys(DOSE_FREQUENCY_TIMES));
+  if (frequency) return DOSE_FREQUENCY_TIMES[frequency];
+
+  // "every 8 hours from 6am" or in Swahili "kila saa 8 kuanzia saa 12 asubuhi"
+  const interval = text.match(/^(?:every\s+(\d{1,2})\s+hours?|kila\s+saa\s+(\d{1,2}))(?:\s+(?:from|starting at|starting|kuanzia)\s+(.+))?$/);
+  if (interval) {
+    const hours = parseInt(interval[1] || interval[2]);
+    const start = parseTime(interval[3] || '08:00');
+    if (hours < 1 || hours > 24 || !start) return null;
+    const startMinutes = parseInt(start.slice(0, 2)) * 60 + parseInt(start.slice(3));
+    const times = [];
+    for (let offset = 0; offset < 24 * 60; offset += hours * 60) {
+      const total = (startMinutes + offset) % (24 * 60);
+      times.push(`${String(Math.floor(total / 60)).padStart(2, '0')}:${String(total % 60).padStart(2, '0')}`);
+    }
+    return [...new Set(times)].sort();
+  }
+
+  return parseTimes(text);
+}
+
+function formatDate(date) {
+  // Cycle dates are stored encrypted, so they come back as plain YYYY-MM-DD strings
+  if (typeof date === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(date)) return date;
+  const d = new Date(date);
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+}
+
+function formatList(items) {
+  return items.map(item => `- ${item}`).join('\n');
+}
+
+function formatDaysOfWeek(daysOfWeek, lang) {
+  return daysOfWeek.split(',').map(day => translateAnswer(lang, day.trim())).join(',');
+}
+
+function describeMedicationSchedule(reminder, lang) {
+  let description = t(lang, 'medication.schedule', {
+    dosage: reminder.dosage,
+    times: reminder.schedule_time,
+    days: formatDaysOfWeek(reminder.days_of_week, lang)
+  });
+  if (reminder.end_date) description += t(lang, 'medication.schedule_until', { date: formatDate(reminder.end_date) });
+  if (reminder.pill_count !== null && reminder.pill_count !== undefined) description += t(lang, 'medication.schedule_doses_left', { count: reminder.pill_count });
+  return description;
+}
+
+function isCourseFinished(reminder, timeZone) {
+  return reminder.end_date && formatDate(reminder.end_date) < formatDateInTimezone(new Date(), timeZone);
+}
+
+function needsRefill(stock, timeZone) {
+  if (stock.refill_threshold === null || stock.pill_count >= stock.refill_threshold) return false;
+  if (!stock.end_date) return true;
+  // No refill is needed when the remaining doses last until the end of the course
+  const daysLeft = Math.round((new Date(`${formatDate(stock.end_date)}T00:00:00`) - new Date(`${formatDateInTimezone(new Date(), timeZone)}T00:00:00`)) / (24 * 60 * 60 * 1000));
+  return stock.pill_count < daysLeft * stock.schedule_time.split(',').length;
+}
+
+// Editable profile fields reuse the onboarding prompts and validation
+const PROFILE_FIELDS = [...ONBOARDING_STEPS, MENSTRUAL_CYCLE_STEP];
+
+const HISTORY_PAGE_SIZE = 5;
+
+// Records users can browse with /history, keyed by the filter name they type
+const HISTORY_SOURCES = {
+  symptoms: {
+    table: 'symptoms',
+    summarize: (row, lang) => `${row.symptoms} (${translateAnswer(lang, row.severity)})`,
+    detail: (row, lang) => {
+      // Older entries stored the whole analysis in every column; newer ones have separate sections
+      const analysis = row.urgency ? formatSymptomSections(row, lang) : row.diagnosis || t(lang, 'history.no_analysis');
+      return t(lang, 'history.symptoms_detail', {
+        symptoms: row.symptoms,
+        severity: translateAnswer(lang, row.severity),
+        duration: row.duration,
+        analysis
+      });
     }
   },
-  { field: 'days_of_week', prompt: 'Which days should I remind you? (e.g., Daily or Mon,Wed,Fri)', validate: (input) => {
-      if (input.toLowerCase() === 'daily') return null;
-      const days = input.split(',').map(d => d.trim());
-      const validDays = ['mon', 'tue', 'wed', 'thu', 'fri', 'sat', 'sun'];
-      const isValid = days.every(day => validDays.includes(day.toLowerCase()));
-      return isValid ? null : 'Please provide "Daily" or days like Mon,Wed,Fri.';
+  assessments: {
+    table: 'assessments',
+    summarize: (row, lang) => t(lang, 'history.assessment_summary', { score: row.score }),
+    detail: (row, lang) => {
+      let text = t(lang, 'history.assessment_detail', { score: row.score, analysis: row.analysis || t(lang, 'history.no_analysis') });
+      if (row.recommendations && row.recommendations !== row.analysis) {
+        text += t(lang, 'history.assessment_recommendations', { recommendations: row.recommendations });
+      }
+      return text;
     }
+  },
+  fitness: {
+    table: 'fitness_plans',
+    summarize: (row, lang) => `${translateAnswer(lang, row.fitness_goal)}, ${translateAnswer(lang, row.activity_level)}`,
+    detail: (row, lang) => t(lang, 'history.fitness_detail', {
+      goal: translateAnswer(lang, row.fitness_goal),
+      level: translateAnswer(lang, row.activity_level),
+      days: row.available_days,
+      minutes: row.available_minutes,
+      plan: row.fitness_plan || t(lang, 'history.no_plan')
+    })
+  },
+  meals: {
+    table: 'meal_plans',
+    summarize: (row, lang) => `${translateAnswer(lang, row.dietary_preference)}, ${translateAnswer(lang, row.health_goal)}`,
+    detail: (row, lang) => t(lang, 'history.meal_detail', {
+      preference: translateAnswer(lang, row.dietary_preference),
+      goal: translateAnswer(lang, row.health_goal),
+      meals: row.meals_per_day,
+      plan: row.meal_plan || t(lang, 'history.no_plan')
+    })
   }
-];
+};
+
+const HISTORY_FILTER_ALIASES = {
+  symptom: 'symptoms',
+  diagnoses: 'symptoms',
+  diagnosis: 'symptoms',
+  assessment: 'assessments',
+  meal: 'meals',
+  'meal plans': 'meals',
+  'fitness plans': 'fitness'
+};
+
+const FLOW_STEPS = {
+  onboarding: ONBOARDING_STEPS,
+  diagnosing: DIAGNOSIS_STEPS,
+  assessing: ASSESSMENT_STEPS,
+  fitness: FITNESS_STEPS,
+  meal: MEAL_STEPS,
+  cycle_tracking: CYCLE_STEPS,
+  medication_setup: MEDICATION_STEPS
+};
 
 async function saveSession(userId, sessionData) {
   try {
     const query = `
-      INSERT INTO whatsapp_sessions (user_id, session_data)
-      VALUES ($1, $2)
+      INSERT INTO whatsapp_sessions (user_id, session_data, updated_at)
+      VALUES ($1, $2, CURRENT_TIMESTAMP)
       ON CONFLICT (user_id)
-      DO UPDATE SET session_data = EXCLUDED.session_data
+      DO UPDATE SET session_data = EXCLUDED.session_data, updated_at = CURRENT_TIMESTAMP
       RETURNING id
     `;
-    const values = [userId, JSON.stringify(sessionData)];
+    const values = [userId, encrypt(JSON.stringify(sessionData))];
     const res = await pool.query(query, values);
     logger.info(`Saved session for ${userId} with ID ${res.rows[0].id}`);
   } catch (err) {
@@ -307,8 +437,71 @@ async function saveSession(userId, sessionData) {
   }
 }
 
+async function loadSession(userId) {
+  try {
+    const res = await pool.query('SELECT session_data FROM whatsapp_sessions WHERE user_id = $1', [userId]);
+    return res.rows.length > 0 ? JSON.parse(decrypt(res.rows[0].session_data)) : null;
+  } catch (err) {
+    logger.error(`Error loading session for ${userId}: ${err.stack}`);
+    return null;
+  }
+}
+
+async function deleteSession(userId) {
+  try {
+    await pool.query('DELETE FROM whatsapp_sessions WHERE user_id = $1', [userId]);
+    logger.info(`Deleted session for ${userId}`);
+  } catch (err) {
+    logger.error(`Error deleting session for ${userId}: ${err.stack}`);
+  }
+}
+
+async function getUserState(userId) {
+  let userState = userStates.get(userId);
+  if (!userState) {
+    userState = await loadSession(userId);
+    if (userState) logger.info(`Loaded stored session for ${userId} in state ${userState.state}`);
+  }
+  if (!userState) return { state: 'initial', data: {} };
+
+  const idleMs = Date.now() - (userState.updatedAt || 0);
+  if (userState.state !== 'initial' && idleMs > SESSION_TTL_HOURS * 60 * 60 * 1000) {
+    userStates.delete(userId);
+    await deleteSession(userId);
+    logger.info(`Session for ${userId} in state ${userState.state} expired after ${SESSION_TTL_HOURS} hours`);
+    return { state: 'initial', data: {} };
+  }
+
+  userStates.set(userId, userState);
+  return userState;
+}
+
+async function setUserState(userId, userState) {
+  userState.updatedAt = Date.now();
+  userStates.set(userId, userState);
+  await saveSession(userId, userState);
+}
+
+function getFlowSteps(userState) {
+  if (userState.state === 'onboarding' && userState.data.sex === 'female') {
+    return [...ONBOARDING_STEPS, MENSTRUAL_CYCLE_STEP];
+  }
+  return FLOW_STEPS[userState.state] || null;
+}
 
+// Skips steps already answered, e.g. fields taken from a free-text request like "remind me to take metformin at 8"
+function getNextStep(steps, data, from) {
+  let step = from;
+  while (step < steps.length && data[steps[step].field] !== undefined) step++;
+  return step;
+}
 
+function shouldPromptResume(userState) {
+  const steps = getFlowSteps(userState);
+  if (!steps || !userState.step || userState.step >= steps.length) return false;
+  const idleMs = Date.now() - (userState.updatedAt || 0);
+  return idleMs > SESSION_RESUME_AFTER_MINUTES * 60 * 1000;
+}
 
 async function initializeDatabase() {
   try {
@@ -330,6 +523,21 @@ async function initializeDatabase() {
         created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
       );
 
+      ALTER TABLE users ADD COLUMN IF NOT EXISTS timezone VARCHAR(64);
+      ALTER TABLE users ADD COLUMN IF NOT EXISTS profile_version INTEGER NOT NULL DEFAULT 1;
+      ALTER TABLE users ADD COLUMN IF NOT EXISTS language VARCHAR(10) NOT NULL DEFAULT 'auto';
+      ALTER TABLE users ADD COLUMN IF NOT EXISTS detected_language VARCHAR(10);
+
+      CREATE TABLE IF NOT EXISTS profile_changes (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER REFERENCES users(id),
+        field VARCHAR(50) NOT NULL,
+        old_value TEXT,
+        new_value TEXT,
+        profile_version INTEGER NOT NULL,
+        changed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+
       
 
       CREATE TABLE IF NOT EXISTS symptoms (
@@ -393,9 +601,9 @@ async function initializeDatabase() {
       CREATE TABLE IF NOT EXISTS menstrual_cycles (
         id SERIAL PRIMARY KEY,
         user_id INTEGER REFERENCES users(id),
-        last_period_date DATE NOT NULL,
+        last_period_date TEXT NOT NULL,
         average_cycle_length INTEGER NOT NULL,
-        predicted_next_period DATE NOT NULL,
+        predicted_next_period TEXT NOT NULL,
         created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
         updated_at TIMESTAMP
       );
@@ -405,10 +613,88 @@ async function initializeDatabase() {
         user_id INTEGER REFERENCES users(id),
         medication_name VARCHAR(100) NOT NULL,
         dosage VARCHAR(50) NOT NULL,
-        schedule_time VARCHAR(5) NOT NULL,
+        schedule_time VARCHAR(100) NOT NULL,
         days_of_week VARCHAR(50) NOT NULL,
         created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
       );
+
+      ALTER TABLE symptoms ADD COLUMN IF NOT EXISTS profile_version INTEGER;
+      ALTER TABLE symptoms ADD COLUMN IF NOT EXISTS urgency VARCHAR(20);
+      ALTER TABLE menstrual_cycles ALTER COLUMN last_period_date TYPE TEXT;
+      ALTER TABLE menstrual_cycles ALTER COLUMN predicted_next_period TYPE TEXT;
+      ALTER TABLE assessments ADD COLUMN IF NOT EXISTS profile_version INTEGER;
+      ALTER TABLE fitness_plans ADD COLUMN IF NOT EXISTS profile_version INTEGER;
+      ALTER TABLE meal_plans ADD COLUMN IF NOT EXISTS profile_version INTEGER;
+
+      ALTER TABLE medication_reminders ADD COLUMN IF NOT EXISTS active BOOLEAN NOT NULL DEFAULT TRUE;
+      ALTER TABLE medication_reminders ALTER COLUMN schedule_time TYPE VARCHAR(100);
+      ALTER TABLE medication_reminders ADD COLUMN IF NOT EXISTS start_date DATE;
+      ALTER TABLE medication_reminders ADD COLUMN IF NOT EXISTS end_date DATE;
+      ALTER TABLE medication_reminders ADD COLUMN IF NOT EXISTS pill_count INTEGER;
+      ALTER TABLE medication_reminders ADD COLUMN IF NOT EXISTS refill_threshold INTEGER;
+
+      CREATE TABLE IF NOT EXISTS medication_doses (
+        id SERIAL PRIMARY KEY,
+        reminder_id INTEGER REFERENCES medication_reminders(id) ON DELETE CASCADE,
+        user_id INTEGER REFERENCES users(id),
+        scheduled_for TIMESTAMPTZ NOT NULL,
+        status VARCHAR(20) NOT NULL DEFAULT 'pending',
+        resent BOOLEAN NOT NULL DEFAULT FALSE,
+        responded_at TIMESTAMPTZ,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE TABLE IF NOT EXISTS whatsapp_sessions (
+        id SERIAL PRIMARY KEY,
+        user_id VARCHAR(50) UNIQUE NOT NULL,
+        session_data JSONB NOT NULL,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+      ALTER TABLE whatsapp_sessions ALTER COLUMN session_data TYPE TEXT;
+
+      CREATE TABLE IF NOT EXISTS consent_records (
+        id SERIAL PRIMARY KEY,
+        whatsapp_id VARCHAR(50) NOT NULL,
+        tnc_version VARCHAR(64) NOT NULL,
+        decision VARCHAR(20) NOT NULL,
+        created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE TABLE IF NOT EXISTS escalation_events (
+        id SERIAL PRIMARY KEY,
+        whatsapp_id VARCHAR(50) NOT NULL,
+        category VARCHAR(50) NOT NULL,
+        matched_phrase VARCHAR(100) NOT NULL,
+        source VARCHAR(30) NOT NULL,
+        created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE TABLE IF NOT EXISTS safety_flags (
+        id SERIAL PRIMARY KEY,
+        whatsapp_id VARCHAR(50) NOT NULL,
+        task VARCHAR(20) NOT NULL,
+        rule VARCHAR(50) NOT NULL,
+        action VARCHAR(20) NOT NULL,
+        excerpt TEXT,
+        created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE TABLE IF NOT EXISTS scheduled_jobs (
+        id SERIAL PRIMARY KEY,
+        job_key VARCHAR(150) UNIQUE NOT NULL,
+        whatsapp_id VARCHAR(50) NOT NULL,
+        job_type VARCHAR(30) NOT NULL,
+        cron_rule VARCHAR(100),
+        run_at TIMESTAMPTZ,
+        payload JSONB,
+        status VARCHAR(20) NOT NULL DEFAULT 'pending',
+        last_run_at TIMESTAMPTZ,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+
+      ALTER TABLE scheduled_jobs ADD COLUMN IF NOT EXISTS starts_at TIMESTAMPTZ;
+      ALTER TABLE scheduled_jobs ADD COLUMN IF NOT EXISTS ends_at TIMESTAMPTZ;
+      ALTER TABLE scheduled_jobs ADD COLUMN IF NOT EXISTS tz VARCHAR(64);
     `);
     logger.info('Database schema initialized successfully');
   } catch (err) {
@@ -417,6 +703,72 @@ async function initializeDatabase() {
   }
 }
 
+// Encrypts plaintext rows left from before encryption was enabled and re-encrypts rows written
+// under a retired key. Runs at startup, so rotating keys only needs the new key and a restart.
+async function migrateEncryptedColumns() {
+  getKeyring();
+  try {
+    // Period reminders used to carry the predicted date in their payload
+    await pool.query("UPDATE scheduled_jobs SET payload = '{}' WHERE job_type = 'period' AND payload->>'predicted_date' IS NOT NULL");
+    let migrated = 0;
+    for (const [table, columns] of Object.entries(ENCRYPTED_COLUMNS)) {
+      let lastId = 0;
+      for (;;) {
+        const res = await pool.query(
+          `SELECT id, ${columns.join(', ')} FROM ${table} WHERE id > $1 ORDER BY id LIMIT 500`,
+          [lastId]
+        );
+        if (res.rows.length === 0) break;
+        for (const row of res.rows) {
+          if (!columns.some(column => needsReencryption(row[column]))) continue;
+          const values = columns.map(column => encrypt(decrypt(row[column])));
+          const assignments = columns.map((column, index) => `${column} = $${index + 1}`).join(', ');
+          await pool.query(`UPDATE ${table} SET ${assignments} WHERE id = $${columns.length + 1}`, [...values, row.id]);
+          migrated++;
+        }
+        lastId = res.rows[res.rows.length - 1].id;
+      }
+    }
+    logger.info(`Encrypted column migration complete, ${migrated} rows updated`);
+  } catch (err) {
+    logger.error(`Error migrating encrypted columns: ${err.stack}`);
+    throw new Error('Encrypted column migration failed');
+  }
+}
+
+// Users who signed up before time zones were stored would otherwise stay on UTC: give them the zone inferred
+// from their number and location, as onboarding does, and rebuild their reminders in it
+async function backfillTimezones() {
+  try {
+    const res = await pool.query('SELECT whatsapp_id, location FROM users WHERE timezone IS NULL');
+    for (const row of res.rows) {
+      await updateUserTimezone(row.whatsapp_id, inferTimezone(row.whatsapp_id, row.location));
+      await rescheduleUserJobs(row.whatsapp_id);
+    }
+    logger.info(`Time zone backfill complete, ${res.rows.length} users updated`);
+  } catch (err) {
+    logger.error(`Error backfilling time zones: ${err.stack}`);
+    throw new Error('Time zone backfill failed');
+  }
+}
+
+// Users onboarded before consent was recorded accepted the terms to get through onboarding, so they get an
+// 'accepted' record dated from their sign-up rather than losing their reminders
+async function backfillConsent() {
+  try {
+    const res = await pool.query(`
+      INSERT INTO consent_records (whatsapp_id, tnc_version, decision, created_at)
+      SELECT u.whatsapp_id, $1, 'accepted', u.created_at
+      FROM users u LEFT JOIN consent_records c ON c.whatsapp_id = u.whatsapp_id
+      WHERE c.id IS NULL
+    `, [TNC_VERSION]);
+    logger.info(`Consent backfill complete, ${res.rowCount} users updated`);
+  } catch (err) {
+    logger.error(`Error backfilling consent: ${err.stack}`);
+    throw new Error('Consent backfill failed');
+  }
+}
+
 async function testDatabase() {
   try {
     const res = await pool.query('SELECT NOW()');
@@ -447,15 +799,212 @@ async function getUserDetails(whatsappId) {
   }
 }
 
+async function getUserProfile(whatsappId) {
+  try {
+    const res = await pool.query('SELECT * FROM users WHERE whatsapp_id = $1', [whatsappId]);
+    return res.rows.length > 0 ? decryptRow('users', res.rows[0]) : null;
+  } catch (err) {
+    logger.error(`Error fetching user profile for ${whatsappId}: ${err.stack}`);
+    throw new Error('Failed to fetch user profile');
+  }
+}
+
+async function updateUserProfileField(whatsappId, field, value) {
+  if (!PROFILE_FIELDS.some(f => f.field === field)) {
+    throw new Error(`Unknown profile field ${field}`);
+  }
+  const dbClient = await pool.connect();
+  try {
+    await dbClient.query('BEGIN');
+    const userRes = await dbClient.query(`SELECT id, ${field} AS old_value FROM users WHERE whatsapp_id = $1 FOR UPDATE`, [whatsappId]);
+    if (userRes.rows.length === 0) {
+      await dbClient.query('ROLLBACK');
+      logger.error(`User ${whatsappId} not found in database`);
+      return false;
+    }
+    const isEncrypted = ENCRYPTED_COLUMNS.users.includes(field);
+    const userDbId = userRes.rows[0].id;
+    const oldValue = isEncrypted ? decrypt(userRes.rows[0].old_value) : userRes.rows[0].old_value;
+    const updateRes = await dbClient.query(
+      `UPDATE users SET ${field} = $1, profile_version = profile_version + 1 WHERE id = $2 RETURNING profile_version`,
+      [isEncrypted ? encrypt(value) : value, userDbId]
+    );
+    const profileVersion = updateRes.rows[0].profile_version;
+    await dbClient.query(
+      'INSERT INTO profile_changes (user_id, field, old_value, new_value, profile_version) VALUES ($1, $2, $3, $4, $5)',
+      [userDbId, field, oldValue === null ? null : encrypt(String(oldValue)), encrypt(String(value)), profileVersion]
+    );
+    await dbClient.query('COMMIT');
+    logger.info(`Updated ${field} for user ${whatsappId}, profile version ${profileVersion}`);
+    return true;
+  } catch (err) {
+    await dbClient.query('ROLLBACK');
+    logger.error(`Error updating ${field} for ${whatsappId}: ${err.stack}`);
+    throw new Error('Failed to update user profile');
+  } finally {
+    dbClient.release();
+  }
+}
+
+async function getUserDataExport(whatsappId) {
+  try {
+    const userRes = await pool.query('SELECT * FROM users WHERE whatsapp_id = $1', [whatsappId]);
+    const data = { exported_at: new Date().toISOString(), user: decryptRow('users', userRes.rows[0]) || null };
+    for (const table of USER_DATA_TABLES) {
+      const res = userRes.rows.length > 0
+        ? await pool.query(`SELECT * FROM ${table} WHERE user_id = $1 ORDER BY id`, [userRes.rows[0].id])
+        : { rows: [] };
+      data[table] = res.rows.map(row => decryptRow(table, row));
+    }
+    const sessionRes = await pool.query('SELECT * FROM whatsapp_sessions WHERE user_id = $1', [whatsappId]);
+    data.whatsapp_sessions = sessionRes.rows.map(row => ({ ...row, session_data: JSON.parse(decrypt(row.session_data)) }));
+    const jobsRes = await pool.query('SELECT * FROM scheduled_jobs WHERE whatsapp_id = $1 ORDER BY id', [whatsappId]);
+    data.scheduled_jobs = jobsRes.rows;
+    const consentRes = await pool.query('SELECT * FROM consent_records WHERE whatsapp_id = $1 ORDER BY id', [whatsappId]);
+    data.consent_records = consentRes.rows;
+    const escalationRes = await pool.query('SELECT * FROM escalation_events WHERE whatsapp_id = $1 ORDER BY id', [whatsappId]);
+    data.escalation_events = escalationRes.rows;
+    const safetyRes = await pool.query('SELECT * FROM safety_flags WHERE whatsapp_id = $1 ORDER BY id', [whatsappId]);
+    data.safety_flags = safetyRes.rows.map(row => decryptRow('safety_flags', row));
+    return data;
+  } catch (err) {
+    logger.error(`Error exporting data for ${whatsappId}: ${err.stack}`);
+    throw new Error('Failed to export user data');
+  }
+}
+
+function formatCsvValue(value) {
+  if (value === null || value === undefined) return '';
+  const text = value instanceof Date ? value.toISOString() : typeof value === 'object' ? JSON.stringify(value) : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Flattens the export into one row per stored value so every table fits a single CSV file
+function formatExportCsv(data) {
+  const lines = ['table,record_id,field,value'];
+  const addRows = (table, rows) => rows.forEach(row => {
+    Object.entries(row).forEach(([field, value]) => {
+      lines.push([table, row.id, field, value].map(formatCsvValue).join(','));
+    });
+  });
+  if (data.user) addRows('users', [data.user]);
+  [...USER_DATA_TABLES, 'whatsapp_sessions', 'scheduled_jobs', 'consent_records', 'escalation_events', 'safety_flags'].forEach(table => addRows(table, data[table]));
+  return lines.join('\n');
+}
+
+async function deleteUserData(whatsappId) {
+  const dbClient = await pool.connect();
+  try {
+    await dbClient.query('BEGIN');
+    const jobsRes = await dbClient.query('DELETE FROM scheduled_jobs WHERE whatsapp_id = $1 RETURNING job_key', [whatsappId]);
+    await dbClient.query('DELETE FROM whatsapp_sessions WHERE user_id = $1', [whatsappId]);
+    await dbClient.query('DELETE FROM consent_records WHERE whatsapp_id = $1', [whatsappId]);
+    await dbClient.query('DELETE FROM escalation_events WHERE whatsapp_id = $1', [whatsappId]);
+    await dbClient.query('DELETE FROM safety_flags WHERE whatsapp_id = $1', [whatsappId]);
+    const userRes = await dbClient.query('SELECT id FROM users WHERE whatsapp_id = $1 FOR UPDATE', [whatsappId]);
+    if (userRes.rows.length > 0) {
+      for (const table of USER_DATA_TABLES) {
+        await dbClient.query(`DELETE FROM ${table} WHERE user_id = $1`, [userRes.rows[0].id]);
+      }
+      await dbClient.query('DELETE FROM users WHERE id = $1', [userRes.rows[0].id]);
+    }
+    await dbClient.query('COMMIT');
+    // Live jobs are only dropped once the rows are gone, so a failed delete leaves reminders intact
+    jobsRes.rows.forEach(row => schedule.cancelJob(row.job_key));
+    userLanguages.delete(whatsappId);
+    logger.info(`Deleted all data for ${whatsappId} including ${jobsRes.rows.length} scheduled jobs`);
+  } catch (err) {
+    await dbClient.query('ROLLBACK');
+    logger.error(`Error deleting data for ${whatsappId}: ${err.stack}`);
+    throw new Error('Failed to delete user data');
+  } finally {
+    dbClient.release();
+  }
+}
+
+async function recordConsent(whatsappId, decision) {
+  try {
+    await pool.query(
+      'INSERT INTO consent_records (whatsapp_id, tnc_version, decision) VALUES ($1, $2, $3)',
+      [whatsappId, TNC_VERSION, decision]
+    );
+    logger.info(`Recorded consent decision ${decision} for ${whatsappId} on T&C version ${TNC_VERSION}`);
+    if (decision === 'accepted') remindersPausedNotified.delete(whatsappId);
+  } catch (err) {
+    logger.error(`Error recording consent for ${whatsappId}: ${err.stack}`);
+    throw new Error('Failed to record consent');
+  }
+}
+
+async function getLatestConsent(whatsappId) {
+  try {
+    const res = await pool.query(
+      'SELECT * FROM consent_records WHERE whatsapp_id = $1 ORDER BY created_at DESC, id DESC LIMIT 1',
+      [whatsappId]
+    );
+    return res.rows.length > 0 ? res.rows[0] : null;
+  } catch (err) {
+    logger.error(`Error fetching consent for ${whatsappId}: ${err.stack}`);
+    throw new Error('Failed to fetch consent');
+  }
+}
+
+// 'current' when the latest decision accepts the terms in force; 'withdrawn' puts the account in restricted mode
+function getConsentStatus(consent) {
+  if (!consent) return 'missing';
+  if (consent.decision === 'withdrawn') return 'withdrawn';
+  if (consent.decision !== 'accepted') return 'missing';
+  return consent.tnc_version === TNC_VERSION ? 'current' : 'outdated';
+}
+
+async function saveEscalationEvent(whatsappId, emergency, source) {
+  try {
+    await pool.query(
+      'INSERT INTO escalation_events (whatsapp_id, category, matched_phrase, source) VALUES ($1, $2, $3, $4)',
+      [whatsappId, emergency.category, emergency.phrase, source]
+    );
+  } catch (err) {
+    // The user has already been given emergency guidance; a failed audit write must not block that
+    logger.error(`Error saving escalation event for ${whatsappId}: ${err.stack}`);
+  }
+}
+
+async function saveSafetyFlags(whatsappId, task, interventions) {
+  try {
+    for (const intervention of interventions) {
+      await pool.query(
+        'INSERT INTO safety_flags (whatsapp_id, task, rule, action, excerpt) VALUES ($1, $2, $3, $4, $5)',
+        [whatsappId, task, intervention.rule, intervention.action, encrypt(intervention.excerpt)]
+      );
+    }
+  } catch (err) {
+    // The reply has already been made safe; a failed audit write must not stop it being sent
+    logger.error(`Error saving safety flags for ${whatsappId}: ${err.stack}`);
+  }
+}
+
+// Runs AI text through the safety review before it is saved or sent, recording every intervention
+async function applySafetyChecks(whatsappId, task, text, lang) {
+  const review = reviewText(text, lang);
+  if (review.interventions.length > 0) {
+    logger.warn(`Safety review changed ${task} reply for ${whatsappId}: ${review.interventions.map(intervention => `${intervention.rule} (${intervention.action})`).join(', ')}`);
+    await saveSafetyFlags(whatsappId, task, review.interventions);
+  }
+  return review.text;
+}
+
 async function saveUserProfile(whatsappId, data) {
   try {
     const query = `
       INSERT INTO users (
         whatsapp_id, name, age, sex, height_cm, weight_kg, location,
-        medical_history, chronic_conditions, allergies, medications, menstrual_cycle_type
-      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+        medical_history, chronic_conditions, allergies, medications, menstrual_cycle_type, timezone,
+        language, detected_language
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15)
       RETURNING id
     `;
+    const settings = await getLanguageSettings(whatsappId);
+    const language = data.language || 'auto';
     const values = [
       whatsappId,
       data.name,
@@ -464,13 +1013,17 @@ async function saveUserProfile(whatsappId, data) {
       data.height_cm,
       data.weight_kg,
       data.location,
-      data.medical_history,
-      data.chronic_conditions,
-      data.allergies,
-      data.medications,
-      data.menstrual_cycle_type || null
+      encrypt(data.medical_history),
+      encrypt(data.chronic_conditions),
+      encrypt(data.allergies),
+      encrypt(data.medications),
+      data.menstrual_cycle_type || null,
+      data.timezone || DEFAULT_TIMEZONE,
+      language,
+      settings.detected
     ];
     const res = await pool.query(query, values);
+    userLanguages.set(whatsappId, { ...settings, preference: language });
     logger.info(`User ${whatsappId} profile saved with ID ${res.rows[0].id}`);
     return true;
   } catch (err) {
@@ -479,9 +1032,81 @@ async function saveUserProfile(whatsappId, data) {
   }
 }
 
+async function getProfileContext(whatsappId) {
+  return buildProfileContext(await getUserProfile(whatsappId));
+}
+
+async function getUserTimezone(whatsappId) {
+  try {
+    const res = await pool.query('SELECT timezone FROM users WHERE whatsapp_id = $1', [whatsappId]);
+    return res.rows.length > 0 && res.rows[0].timezone ? res.rows[0].timezone : DEFAULT_TIMEZONE;
+  } catch (err) {
+    logger.error(`Error fetching time zone for ${whatsappId}: ${err.stack}`);
+    throw new Error('Failed to fetch time zone');
+  }
+}
+
+async function updateUserTimezone(whatsappId, timeZone) {
+  try {
+    await pool.query('UPDATE users SET timezone = $1 WHERE whatsapp_id = $2', [timeZone, whatsappId]);
+    logger.info(`Updated time zone for ${whatsappId} to ${timeZone}`);
+    return true;
+  } catch (err) {
+    logger.error(`Error updating time zone for ${whatsappId}: ${err.stack}`);
+    throw new Error('Failed to update time zone');
+  }
+}
+
+// Language settings are cached per user: the chosen language ('en', 'sw' or 'auto') and the language
+// last detected in their messages. Users who have not finished onboarding only have the cached entry.
+const userLanguages = new Map();
+
+async function getLanguageSettings(whatsappId) {
+  if (userLanguages.has(whatsappId)) return userLanguages.get(whatsappId);
+  try {
+    const res = await pool.query('SELECT language, detected_language FROM users WHERE whatsapp_id = $1', [whatsappId]);
+    const settings = res.rows.length > 0
+      ? { preference: res.rows[0].language || 'auto', detected: res.rows[0].detected_language }
+      : { preference: 'auto', detected: null };
+    userLanguages.set(whatsappId, settings);
+    return settings;
+  } catch (err) {
+    logger.error(`Error fetching language for ${whatsappId}: ${err.stack}`);
+    throw new Error('Failed to fetch language');
+  }
+}
+
+// The language every reply, reminder and AI answer for the user is written in
+async function getUserLanguage(whatsappId) {
+  const { preference, detected } = await getLanguageSettings(whatsappId);
+  if (LANGUAGES.includes(preference)) return preference;
+  return detected || DEFAULT_LANGUAGE;
+}
+
+function setLanguagePreference(whatsappId, preference) {
+  const settings = userLanguages.get(whatsappId) || { detected: null };
+  userLanguages.set(whatsappId, { ...settings, preference });
+}
+
+// Remembers the language of messages with a clear signal, so 'auto' follows the user when they switch
+async function updateDetectedLanguage(whatsappId, text) {
+  const detected = detectLanguage(text);
+  if (!detected) return;
+  const settings = await getLanguageSettings(whatsappId);
+  if (settings.detected === detected) return;
+  userLanguages.set(whatsappId, { ...settings, detected });
+  try {
+    await pool.query('UPDATE users SET detected_language = $1 WHERE whatsapp_id = $2', [detected, whatsappId]);
+    logger.info(`Detected language ${detected} for ${whatsappId}`);
+  } catch (err) {
+    logger.error(`Error saving detected language for ${whatsappId}: ${err.stack}`);
+    throw new Error('Failed to save detected language');
+  }
+}
+
 async function saveDiagnosis(userId, data) {
   try {
-    const userRes = await pool.query('SELECT id FROM users WHERE whatsapp_id = $1', [userId]);
+    const userRes = await pool.query('SELECT id, profile_version FROM users WHERE whatsapp_id = $1', [userId]);
     if (userRes.rows.length === 0) {
       logger.error(`User ${userId} not found in database`);
       return false;
@@ -489,18 +1114,20 @@ async function saveDiagnosis(userId, data) {
     const userDbId = userRes.rows[0].id;
     const query = `
       INSERT INTO symptoms (
-        user_id, symptoms, severity, duration, diagnosis, home_care, red_flags
-      ) VALUES ($1, $2, $3, $4, $5, $6, $7)
+        user_id, symptoms, severity, duration, diagnosis, home_care, red_flags, urgency, profile_version
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
       RETURNING id
     `;
     const values = [
       userDbId,
-      data.symptoms,
+      encrypt(data.symptoms),
       data.severity,
       data.duration,
       data.diagnosis || null,
       data.home_care || null,
-      data.red_flags || null
+      data.red_flags || null,
+      data.urgency || null,
+      userRes.rows[0].profile_version
     ];
     const res = await pool.query(query, values);
     logger.info(`Diagnosis saved for user ${userId} with ID ${res.rows[0].id}`);
@@ -513,7 +1140,7 @@ async function saveDiagnosis(userId, data) {
 
 async function saveAssessment(userId, data) {
   try {
-    const userRes = await pool.query('SELECT id FROM users WHERE whatsapp_id = $1', [userId]);
+    const userRes = await pool.query('SELECT id, profile_version FROM users WHERE whatsapp_id = $1', [userId]);
     if (userRes.rows.length === 0) {
       logger.error(`User ${userId} not found in database`);
       return false;
@@ -525,8 +1152,8 @@ async function saveAssessment(userId, data) {
         sugary_drinks_snacks, exercise_days, breaks_from_sitting, sleep_hours,
         wake_refreshed, stress_anxiety, relaxation_techniques, chronic_conditions,
         family_history, smoking_vaping, alcohol_drinks, headaches_body_aches,
-        weight_changes, score, analysis, recommendations
-      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20)
+        weight_changes, score, analysis, recommendations, profile_version
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20, $21)
       RETURNING id
     `;
     const values = [
@@ -549,7 +1176,8 @@ async function saveAssessment(userId, data) {
       data.weight_changes,
       data.score,
       data.analysis || null,
-      data.recommendations || null
+      data.recommendations || null,
+      userRes.rows[0].profile_version
     ];
     const res = await pool.query(query, values);
     logger.info(`Assessment saved for user ${userId} with ID ${res.rows[0].id}`);
@@ -562,7 +1190,7 @@ async function saveAssessment(userId, data) {
 
 async function saveFitnessPlan(userId, data) {
   try {
-    const userRes = await pool.query('SELECT id FROM users WHERE whatsapp_id = $1', [userId]);
+    const userRes = await pool.query('SELECT id, profile_version FROM users WHERE whatsapp_id = $1', [userId]);
     if (userRes.rows.length === 0) {
       logger.error(`User ${userId} not found in database`);
       return false;
@@ -570,8 +1198,8 @@ async function saveFitnessPlan(userId, data) {
     const userDbId = userRes.rows[0].id;
     const query = `
       INSERT INTO fitness_plans (
-        user_id, fitness_goal, activity_level, available_days, available_minutes, fitness_plan
-      ) VALUES ($1, $2, $3, $4, $5, $6)
+        user_id, fitness_goal, activity_level, available_days, available_minutes, fitness_plan, profile_version
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7)
       RETURNING id
     `;
     const values = [
@@ -580,7 +1208,8 @@ async function saveFitnessPlan(userId, data) {
       data.activity_level,
       data.available_days,
       data.available_minutes,
-      data.fitness_plan || null
+      data.fitness_plan || null,
+      userRes.rows[0].profile_version
     ];
     const res = await pool.query(query, values);
     logger.info(`Fitness plan saved for user ${userId} with ID ${res.rows[0].id}`);
@@ -593,7 +1222,7 @@ async function saveFitnessPlan(userId, data) {
 
 async function saveMealPlan(userId, data) {
   try {
-    const userRes = await pool.query('SELECT id FROM users WHERE whatsapp_id = $1', [userId]);
+    const userRes = await pool.query('SELECT id, profile_version FROM users WHERE whatsapp_id = $1', [userId]);
     if (userRes.rows.length === 0) {
       logger.error(`User ${userId} not found in database`);
       return false;
@@ -601,8 +1230,8 @@ async function saveMealPlan(userId, data) {
     const userDbId = userRes.rows[0].id;
     const query = `
       INSERT INTO meal_plans (
-        user_id, dietary_preference, health_goal, meals_per_day, meal_plan
-      ) VALUES ($1, $2, $3, $4, $5)
+        user_id, dietary_preference, health_goal, meals_per_day, meal_plan, profile_version
+      ) VALUES ($1, $2, $3, $4, $5, $6)
       RETURNING id
     `;
     const values = [
@@ -610,7 +1239,8 @@ async function saveMealPlan(userId, data) {
       data.dietary_preference,
       data.health_goal,
       data.meals_per_day,
-      data.meal_plan || null
+      data.meal_plan || null,
+      userRes.rows[0].profile_version
     ];
     const res = await pool.query(query, values);
     logger.info(`Meal plan saved for user ${userId} with ID ${res.rows[0].id}`);
@@ -640,9 +1270,9 @@ async function saveMenstrualCycle(userId, data) {
         RETURNING id
       `;
       const values = [
-        data.last_period_date,
+        encrypt(data.last_period_date),
         data.average_cycle_length,
-        data.predicted_next_period,
+        encrypt(data.predicted_next_period),
         userDbId
       ];
       const res = await pool.query(query, values);
@@ -657,9 +1287,9 @@ async function saveMenstrualCycle(userId, data) {
       `;
       const values = [
         userDbId,
-        data.last_period_date,
+        encrypt(data.last_period_date),
         data.average_cycle_length,
-        data.predicted_next_period
+        encrypt(data.predicted_next_period)
       ];
       const res = await pool.query(query, values);
       logger.info(`Saved menstrual cycle for user ${userId} with ID ${res.rows[0].id}`);
@@ -680,30 +1310,65 @@ async function saveMedicationReminder(userId, data) {
     }
     const userDbId = userRes.rows[0].id;
 
+    if (data.id) {
+      const query = `
+        UPDATE medication_reminders
+        SET medication_name = $1, dosage = $2, schedule_time = $3, days_of_week = $4,
+          start_date = $5, end_date = $6, pill_count = $7, refill_threshold = $8
+        WHERE id = $9 AND user_id = $10
+        RETURNING id
+      `;
+      const values = [
+        data.medication_name,
+        data.dosage,
+        data.schedule_time,
+        data.days_of_week,
+        data.start_date || null,
+        data.end_date || null,
+        data.pill_count,
+        data.refill_threshold,
+        data.id,
+        userDbId
+      ];
+      const res = await pool.query(query, values);
+      if (res.rows.length === 0) {
+        logger.error(`Medication reminder ${data.id} not found for user ${userId}`);
+        return false;
+      }
+      logger.info(`Updated medication reminder for user ${userId} with ID ${res.rows[0].id}`);
+      return res.rows[0].id;
+    }
+
     const existingRecord = await pool.query('SELECT id FROM medication_reminders WHERE user_id = $1 AND medication_name = $2', [userDbId, data.medication_name]);
     
     if (existingRecord.rows.length > 0) {
       const query = `
         UPDATE medication_reminders
-        SET dosage = $1, schedule_time = $2, days_of_week = $3, created_at = CURRENT_TIMESTAMP
-        WHERE user_id = $4 AND medication_name = $5
+        SET dosage = $1, schedule_time = $2, days_of_week = $3, start_date = $4, end_date = $5,
+          pill_count = $6, refill_threshold = $7, active = TRUE, created_at = CURRENT_TIMESTAMP
+        WHERE user_id = $8 AND medication_name = $9
         RETURNING id
       `;
       const values = [
         data.dosage,
         data.schedule_time,
         data.days_of_week,
+        data.start_date || null,
+        data.end_date || null,
+        data.pill_count,
+        data.refill_threshold,
         userDbId,
         data.medication_name
       ];
       const res = await pool.query(query, values);
       logger.info(`Updated medication reminder for user ${userId} with ID ${res.rows[0].id}`);
-      return true;
+      return res.rows[0].id;
     } else {
       const query = `
         INSERT INTO medication_reminders (
-          user_id, medication_name, dosage, schedule_time, days_of_week
-        ) VALUES ($1, $2, $3, $4, $5)
+          user_id, medication_name, dosage, schedule_time, days_of_week,
+          start_date, end_date, pill_count, refill_threshold
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
         RETURNING id
       `;
       const values = [
@@ -711,11 +1376,15 @@ async function saveMedicationReminder(userId, data) {
         data.medication_name,
         data.dosage,
         data.schedule_time,
-        data.days_of_week
+        data.days_of_week,
+        data.start_date || null,
+        data.end_date || null,
+        data.pill_count,
+        data.refill_threshold
       ];
       const res = await pool.query(query, values);
       logger.info(`Saved medication reminder for user ${userId} with ID ${res.rows[0].id}`);
-      return true;
+      return res.rows[0].id;
     }
   } catch (err) {
     logger.error(`Error saving medication reminder for ${userId}: ${err.stack}`);
@@ -732,7 +1401,7 @@ async function getMenstrualCycle(userId) {
     }
     const userDbId = userRes.rows[0].id;
     const res = await pool.query('SELECT * FROM menstrual_cycles WHERE user_id = $1 ORDER BY created_at DESC LIMIT 1', [userDbId]);
-    return res.rows.length > 0 ? res.rows[0] : null;
+    return res.rows.length > 0 ? decryptRow('menstrual_cycles', res.rows[0]) : null;
   } catch (err) {
     logger.error(`Error fetching menstrual cycle for ${userId}: ${err.stack}`);
     throw new Error('Failed to fetch menstrual cycle data');
@@ -747,7 +1416,7 @@ async function getMedicationReminders(userId) {
       return null;
     }
     const userDbId = userRes.rows[0].id;
-    const res = await pool.query('SELECT * FROM medication_reminders WHERE user_id = $1', [userDbId]);
+    const res = await pool.query('SELECT * FROM medication_reminders WHERE user_id = $1 ORDER BY id', [userDbId]);
     return res.rows;
   } catch (err) {
     logger.error(`Error fetching medication reminders for ${userId}: ${err.stack}`);
@@ -755,6 +1424,47 @@ async function getMedicationReminders(userId) {
   }
 }
 
+async function setMedicationReminderActive(userId, reminderId, active) {
+  try {
+    const query = `
+      UPDATE medication_reminders
+      SET active = $1
+      WHERE id = $2 AND user_id = (SELECT id FROM users WHERE whatsapp_id = $3)
+      RETURNING id
+    `;
+    const res = await pool.query(query, [active, reminderId, userId]);
+    if (res.rows.length === 0) {
+      logger.error(`Medication reminder ${reminderId} not found for user ${userId}`);
+      return false;
+    }
+    logger.info(`Set medication reminder ${reminderId} for user ${userId} to ${active ? 'active' : 'paused'}`);
+    return true;
+  } catch (err) {
+    logger.error(`Error updating medication reminder ${reminderId} for ${userId}: ${err.stack}`);
+    throw new Error('Failed to update medication reminder');
+  }
+}
+
+async function deleteMedicationReminder(userId, reminderId) {
+  try {
+    const query = `
+      DELETE FROM medication_reminders
+      WHERE id = $1 AND user_id = (SELECT id FROM users WHERE whatsapp_id = $2)
+      RETURNING id
+    `;
+    const res = await pool.query(query, [reminderId, userId]);
+    if (res.rows.length === 0) {
+      logger.error(`Medication reminder ${reminderId} not found for user ${userId}`);
+      return false;
+    }
+    logger.info(`Deleted medication reminder ${reminderId} for user ${userId}`);
+    return true;
+  } catch (err) {
+    logger.error(`Error deleting medication reminder ${reminderId} for ${userId}: ${err.stack}`);
+    throw new Error('Failed to delete medication reminder');
+  }
+}
+
 async function getLatestFitnessPlan(userId) {
   try {
     const userRes = await pool.query('SELECT id FROM users WHERE whatsapp_id = $1', [userId]);
@@ -787,6 +1497,189 @@ async function getLatestMealPlan(userId) {
   }
 }
 
+async function createDoseLog(userId, reminderId) {
+  try {
+    // A new dose closes any earlier dose of the same medication that was never answered
+    await pool.query(
+      "UPDATE medication_doses SET status = 'missed' WHERE reminder_id = $1 AND status IN ('pending', 'snoozed')",
+      [reminderId]
+    );
+    const query = `
+      INSERT INTO medication_doses (reminder_id, user_id, scheduled_for)
+      SELECT id, user_id, CURRENT_TIMESTAMP FROM medication_reminders WHERE id = $1
+      RETURNING id
+    `;
+    const res = await pool.query(query, [reminderId]);
+    if (res.rows.length === 0) {
+      logger.error(`Medication reminder ${reminderId} not found for user ${userId}`);
+      return null;
+    }
+    logger.info(`Logged dose ${res.rows[0].id} for user ${userId} and reminder ${reminderId}`);
+    return res.rows[0].id;
+  } catch (err) {
+    logger.error(`Error logging dose for ${userId}: ${err.stack}`);
+    throw new Error('Failed to log medication dose');
+  }
+}
+
+async function getDose(doseId) {
+  try {
+    const res = await pool.query('SELECT * FROM medication_doses WHERE id = $1', [doseId]);
+    return res.rows.length > 0 ? res.rows[0] : null;
+  } catch (err) {
+    logger.error(`Error fetching dose ${doseId}: ${err.stack}`);
+    throw new Error('Failed to fetch medication dose');
+  }
+}
+
+async function getOpenDoses(userId) {
+  try {
+    const query = `
+      SELECT d.*, r.medication_name, r.dosage
+      FROM medication_doses d
+      JOIN medication_reminders r ON r.id = d.reminder_id
+      JOIN users u ON u.id = d.user_id
+      WHERE u.whatsapp_id = $1 AND d.status IN ('pending', 'snoozed') AND d.scheduled_for >= $2
+      ORDER BY CASE WHEN d.status = 'pending' THEN 0 ELSE 1 END, d.scheduled_for DESC, d.id DESC
+    `;
+    const since = new Date(Date.now() - DOSE_RESPONSE_WINDOW_HOURS * 60 * 60 * 1000);
+    const res = await pool.query(query, [userId, since]);
+    return res.rows;
+  } catch (err) {
+    logger.error(`Error fetching open doses for ${userId}: ${err.stack}`);
+    throw new Error('Failed to fetch open medication doses');
+  }
+}
+
+async function updateDoseStatus(doseId, status, fields = {}) {
+  try {
+    const respondedAt = ['taken', 'skipped', 'snoozed'].includes(status) ? new Date() : null;
+    const query = `
+      UPDATE medication_doses
+      SET status = $1, responded_at = COALESCE($2, responded_at), resent = COALESCE($3, resent)
+      WHERE id = $4
+    `;
+    await pool.query(query, [status, respondedAt, fields.resent === undefined ? null : fields.resent, doseId]);
+    logger.info(`Set dose ${doseId} to ${status}`);
+  } catch (err) {
+    logger.error(`Error updating dose ${doseId} to ${status}: ${err.stack}`);
+    throw new Error('Failed to update medication dose');
+  }
+}
+
+async function decrementPillCount(reminderId) {
+  try {
+    const query = `
+      UPDATE medication_reminders
+      SET pill_count = GREATEST(pill_count - 1, 0)
+      WHERE id = $1 AND pill_count IS NOT NULL
+      RETURNING pill_count, refill_threshold, schedule_time, end_date
+    `;
+    const res = await pool.query(query, [reminderId]);
+    return res.rows.length > 0 ? res.rows[0] : null;
+  } catch (err) {
+    logger.error(`Error updating pill count for reminder ${reminderId}: ${err.stack}`);
+    throw new Error('Failed to update pill count');
+  }
+}
+
+async function getDoseHistory(userId, days) {
+  try {
+    const query = `
+      SELECT r.id AS reminder_id, r.medication_name, d.status, d.scheduled_for
+      FROM medication_reminders r
+      JOIN users u ON u.id = r.user_id
+      LEFT JOIN medication_doses d ON d.reminder_id = r.id AND d.scheduled_for >= $2
+      WHERE u.whatsapp_id = $1
+      ORDER BY r.id
+    `;
+    const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+    const res = await pool.query(query, [userId, since]);
+    return res.rows;
+  } catch (err) {
+    logger.error(`Error fetching dose history for ${userId}: ${err.stack}`);
+    throw new Error('Failed to fetch medication dose history');
+  }
+}
+
+function calculateAdherence(doses, days) {
+  const since = Date.now() - days * 24 * 60 * 60 * 1000;
+  // Doses still waiting for an answer are neither taken nor missed yet
+  const settled = doses.filter(d => new Date(d.scheduled_for).getTime() >= since && !['pending', 'snoozed'].includes(d.status));
+  const taken = settled.filter(d => d.status === 'taken').length;
+  return {
+    taken,
+    total: settled.length,
+    percentage: settled.length > 0 ? Math.round((taken / settled.length) * 100) : null
+  };
+}
+
+function formatAdherenceReport(rows, lang) {
+  const medications = new Map();
+  rows.forEach(row => {
+    if (!medications.has(row.reminder_id)) {
+      medications.set(row.reminder_id, { name: row.medication_name, doses: [] });
+    }
+    if (row.status) medications.get(row.reminder_id).doses.push(row);
+  });
+
+  let report = t(lang, 'adherence.title');
+  medications.forEach(({ name, doses }) => {
+    const week = calculateAdherence(doses, 7);
+    const month = calculateAdherence(doses, 30);
+    if (month.total === 0) {
+      report += t(lang, 'adherence.no_answers', { name });
+      return;
+    }
+    const weekText = week.total > 0 ? `${week.percentage}% (${week.taken}/${week.total})` : t(lang, 'adherence.no_doses');
+    report += t(lang, 'adherence.line', { name, week: weekText, percentage: month.percentage, taken: month.taken, total: month.total });
+  });
+  return report;
+}
+
+async function getHistoryEntries(userId, sourceKeys, offset, limit) {
+  try {
+    // Each table is read up to the end of the requested page, then merged by date
+    const rows = [];
+    for (const key of sourceKeys) {
+      const source = HISTORY_SOURCES[key];
+      const query = `
+        SELECT t.* FROM ${source.table} t
+        JOIN users u ON u.id = t.user_id
+        WHERE u.whatsapp_id = $1
+        ORDER BY t.created_at DESC, t.id DESC
+        LIMIT $2
+      `;
+      const res = await pool.query(query, [userId, offset + limit + 1]);
+      res.rows.forEach(row => rows.push({ source: key, row: decryptRow(source.table, row) }));
+    }
+    rows.sort((a, b) => new Date(b.row.created_at) - new Date(a.row.created_at));
+    return {
+      entries: rows.slice(offset, offset + limit),
+      hasMore: rows.length > offset + limit
+    };
+  } catch (err) {
+    logger.error(`Error fetching history for ${userId}: ${err.stack}`);
+    throw new Error('Failed to fetch history');
+  }
+}
+
+async function getHistoryEntry(userId, sourceKey, entryId) {
+  try {
+    const source = HISTORY_SOURCES[sourceKey];
+    const query = `
+      SELECT t.* FROM ${source.table} t
+      JOIN users u ON u.id = t.user_id
+      WHERE u.whatsapp_id = $1 AND t.id = $2
+    `;
+    const res = await pool.query(query, [userId, entryId]);
+    return res.rows.length > 0 ? decryptRow(source.table, res.rows[0]) : null;
+  } catch (err) {
+    logger.error(`Error fetching ${sourceKey} history entry ${entryId} for ${userId}: ${err.stack}`);
+    throw new Error('Failed to fetch history entry');
+  }
+}
+
 function calculateNextPeriod(lastPeriodDate, cycleLength) {
   const lastDate = new Date(lastPeriodDate);
   const nextDate = new Date(lastDate);
@@ -794,9 +1687,232 @@ function calculateNextPeriod(lastPeriodDate, cycleLength) {
   return nextDate.toISOString().split('T')[0];
 }
 
-function schedulePeriodReminder(userId, predictedDate) {
-  const reminderDate = new Date(predictedDate);
-  reminderDate.setDate(reminderDate.getDate() - 3);
+// Catch-up policy for one-shot reminders whose run time passed while the bot was down:
+// 'all' sends every missed reminder, 'recent' only those missed within
+// REMINDER_CATCHUP_WINDOW_HOURS, 'none' skips them.
+const REMINDER_CATCHUP_POLICY = (process.env.REMINDER_CATCHUP_POLICY || 'recent').toLowerCase();
+const REMINDER_CATCHUP_WINDOW_HOURS = parseInt(process.env.REMINDER_CATCHUP_WINDOW_HOURS || '24');
+
+// Unanswered medication reminders are re-sent once after DOSE_FOLLOW_UP_MINUTES; taken/skip/snooze
+// replies are matched to doses sent within the last DOSE_RESPONSE_WINDOW_HOURS.
+const DOSE_FOLLOW_UP_MINUTES = parseInt(process.env.DOSE_FOLLOW_UP_MINUTES || '30');
+const DOSE_RESPONSE_WINDOW_HOURS = parseInt(process.env.DOSE_RESPONSE_WINDOW_HOURS || '12');
+// A refill reminder is sent once the remaining doses cover fewer than this many days
+const REFILL_THRESHOLD_DAYS = parseInt(process.env.REFILL_THRESHOLD_DAYS || '3');
+// Local time of day at which period reminders are sent, three days before the predicted date
+const PERIOD_REMINDER_TIME = '09:00';
+const DOSE_REPLY_PATTERN = /^(taken|nimetumia|nimemeza|skip|ruka|(?:snooze|ahirisha)(?:\s+(\d+))?)$/;
+
+const REMINDER_HANDLERS = {
+  period: async (userId) => {
+    // The date is read from the encrypted cycle record rather than kept in the job payload
+    const cycleData = await getMenstrualCycle(userId);
+    if (!cycleData) return;
+    const lang = await getUserLanguage(userId);
+    await sendMessage(userId, t(lang, 'reminder.period', { date: formatDate(cycleData.predicted_next_period) }));
+    logger.info(`Sent period reminder to ${userId}`);
+  },
+  medication: async (userId, payload) => {
+    const doseId = await createDoseLog(userId, payload.reminder_id);
+    const lang = await getUserLanguage(userId);
+    await sendMessage(userId, t(lang, 'reminder.medication', { name: payload.medication_name, dosage: payload.dosage, hint: t(lang, 'dose.hint') }));
+    logger.info(`Sent medication reminder to ${userId} for ${payload.medication_name} at ${payload.schedule_time}`);
+    if (doseId) await scheduleDoseFollowUp(userId, doseId, payload);
+  },
+  dose_follow_up: async (userId, payload) => {
+    const dose = await getDose(payload.dose_id);
+    if (!dose || dose.status !== 'pending' || dose.resent) return;
+    const lang = await getUserLanguage(userId);
+    await sendMessage(userId, t(lang, 'reminder.dose_follow_up', { name: payload.medication_name, dosage: payload.dosage, hint: t(lang, 'dose.hint') }));
+    await updateDoseStatus(dose.id, 'pending', { resent: true });
+    logger.info(`Re-sent unanswered medication reminder to ${userId} for dose ${dose.id}`);
+  },
+  dose_snooze: async (userId, payload) => {
+    const dose = await getDose(payload.dose_id);
+    if (!dose || dose.status !== 'snoozed') return;
+    const lang = await getUserLanguage(userId);
+    await sendMessage(userId, t(lang, 'reminder.medication', { name: payload.medication_name, dosage: payload.dosage, hint: t(lang, 'dose.hint') }));
+    await updateDoseStatus(dose.id, 'pending');
+    logger.info(`Sent snoozed medication reminder to ${userId} for dose ${dose.id}`);
+    if (!dose.resent) await scheduleDoseFollowUp(userId, dose.id, payload);
+  },
+  fitness: async (userId) => {
+    const fitnessPlan = await getLatestFitnessPlan(userId);
+    if (fitnessPlan) {
+      const lang = await getUserLanguage(userId);
+      await sendMessage(userId, t(lang, 'reminder.fitness', { goal: translateAnswer(lang, fitnessPlan.fitness_goal) }));
+      logger.info(`Sent fitness reminder to ${userId}`);
+    }
+  },
+  meal: async (userId) => {
+    const mealPlan = await getLatestMealPlan(userId);
+    if (mealPlan) {
+      const lang = await getUserLanguage(userId);
+      await sendMessage(userId, t(lang, 'reminder.meal', { preference: translateAnswer(lang, mealPlan.dietary_preference), goal: translateAnswer(lang, mealPlan.health_goal) }));
+      logger.info(`Sent meal reminder to ${userId}`);
+    }
+  },
+  assessment: async (userId) => {
+    await sendMessage(userId, t(await getUserLanguage(userId), 'reminder.assessment'));
+    logger.info(`Sent assessment reminder to ${userId}`);
+  },
+  follow_up: async (userId) => {
+    await sendMessage(userId, t(await getUserLanguage(userId), 'reminder.follow_up'));
+    logger.info(`Sent follow-up reminder to ${userId}`);
+  }
+};
+
+async function saveScheduledJob(jobKey, userId, jobType, { cronRule = null, runAt = null, startsAt = null, endsAt = null, tz = null, payload = {} }) {
+  try {
+    const query = `
+      INSERT INTO scheduled_jobs (job_key, whatsapp_id, job_type, cron_rule, run_at, starts_at, ends_at, tz, payload, status)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, 'pending')
+      ON CONFLICT (job_key)
+      DO UPDATE SET cron_rule = EXCLUDED.cron_rule, run_at = EXCLUDED.run_at, starts_at = EXCLUDED.starts_at,
+        ends_at = EXCLUDED.ends_at, tz = EXCLUDED.tz, payload = EXCLUDED.payload, status = 'pending', last_run_at = NULL
+      RETURNING *
+    `;
+    const values = [jobKey, userId, jobType, cronRule, runAt, startsAt, endsAt, tz, JSON.stringify(payload)];
+    const res = await pool.query(query, values);
+    return res.rows[0];
+  } catch (err) {
+    logger.error(`Error saving scheduled job ${jobKey} for ${userId}: ${err.stack}`);
+    throw new Error('Failed to save scheduled job');
+  }
+}
+
+async function updateScheduledJobStatus(jobKey, status) {
+  try {
+    await pool.query('UPDATE scheduled_jobs SET status = $1, last_run_at = CURRENT_TIMESTAMP WHERE job_key = $2', [status, jobKey]);
+  } catch (err) {
+    logger.error(`Error updating scheduled job ${jobKey} to ${status}: ${err.stack}`);
+  }
+}
+
+// Users told their reminders are held back until they accept the current terms; kept in memory, so after a
+// restart the notice goes out again at most once
+const remindersPausedNotified = new Set();
+
+async function sendRemindersPausedNotice(userId) {
+  if (remindersPausedNotified.has(userId)) return;
+  remindersPausedNotified.add(userId);
+  const lang = await getUserLanguage(userId);
+  await sendMessage(userId, t(lang, 'consent.reminders_paused'));
+  logger.info(`Told ${userId} their reminders are paused until they accept T&C version ${TNC_VERSION}`);
+}
+
+async function runScheduledJob(job) {
+  const handler = REMINDER_HANDLERS[job.job_type];
+  const isOneShot = !job.cron_rule;
+  try {
+    // Reminders only go out under the terms in force; recurring ones resume once the user accepts them
+    const consentStatus = getConsentStatus(await getLatestConsent(job.whatsapp_id));
+    if (consentStatus !== 'current') {
+      await updateScheduledJobStatus(job.job_key, isOneShot ? 'skipped' : 'pending');
+      logger.info(`Skipped ${job.job_type} reminder ${job.job_key}: consent ${consentStatus}`);
+      // A withdrawal was confirmed with a message saying reminders stop
+      if (consentStatus !== 'withdrawn') await sendRemindersPausedNotice(job.whatsapp_id);
+      return;
+    }
+    await handler(job.whatsapp_id, job.payload || {});
+    await updateScheduledJobStatus(job.job_key, isOneShot ? 'completed' : 'pending');
+  } catch (err) {
+    logger.error(`Error sending ${job.job_type} reminder to ${job.whatsapp_id}: ${err.message}`);
+    if (isOneShot) await updateScheduledJobStatus(job.job_key, 'failed');
+  }
+}
+
+function startScheduledJob(job) {
+  if (!REMINDER_HANDLERS[job.job_type]) {
+    logger.error(`Unknown job type ${job.job_type} for scheduled job ${job.job_key}`);
+    return;
+  }
+  // node-schedule keeps jobs by name, so replace any live job with the same key
+  schedule.cancelJob(job.job_key);
+  let spec = job.cron_rule ? job.cron_rule : new Date(job.run_at);
+  if (job.cron_rule && (job.starts_at || job.ends_at || job.tz)) {
+    // Recurring rules fire on the user's wall clock rather than the server's
+    spec = { rule: job.cron_rule };
+    if (job.tz) spec.tz = job.tz;
+    if (job.starts_at) spec.start = new Date(job.starts_at);
+    if (job.ends_at) spec.end = new Date(job.ends_at);
+  }
+  schedule.scheduleJob(job.job_key, spec, () => runScheduledJob(job));
+}
+
+// Cancels a job and any jobs keyed under it, e.g. `medication:12` also cancels `medication:12:08:00`
+async function cancelScheduledJobs(keyPrefix) {
+  try {
+    const res = await pool.query(
+      "SELECT job_key FROM scheduled_jobs WHERE (job_key = $1 OR job_key LIKE $2) AND status = 'pending'",
+      [keyPrefix, `${keyPrefix}:%`]
+    );
+    for (const row of res.rows) {
+      await cancelScheduledJob(row.job_key);
+    }
+  } catch (err) {
+    logger.error(`Error cancelling scheduled jobs under ${keyPrefix}: ${err.stack}`);
+    throw new Error('Failed to cancel scheduled jobs');
+  }
+}
+
+async function cancelScheduledJob(jobKey) {
+  schedule.cancelJob(jobKey);
+  try {
+    await pool.query("UPDATE scheduled_jobs SET status = 'cancelled' WHERE job_key = $1 AND status = 'pending'", [jobKey]);
+    logger.info(`Cancelled scheduled job ${jobKey}`);
+  } catch (err) {
+    logger.error(`Error cancelling scheduled job ${jobKey}: ${err.stack}`);
+    throw new Error('Failed to cancel scheduled job');
+  }
+}
+
+function shouldCatchUp(job, now) {
+  if (REMINDER_CATCHUP_POLICY === 'all') return true;
+  if (REMINDER_CATCHUP_POLICY === 'recent') {
+    const missedByHours = (now - new Date(job.run_at)) / (60 * 60 * 1000);
+    return missedByHours <= REMINDER_CATCHUP_WINDOW_HOURS;
+  }
+  return false;
+}
+
+async function restoreScheduledJobs() {
+  try {
+    const res = await pool.query("SELECT * FROM scheduled_jobs WHERE status = 'pending' ORDER BY id");
+    const now = new Date();
+    let restored = 0;
+    let caughtUp = 0;
+    for (const job of res.rows) {
+      if (job.cron_rule && job.ends_at && new Date(job.ends_at) <= now) {
+        await updateScheduledJobStatus(job.job_key, 'completed');
+        logger.info(`Scheduled job ${job.job_key} ended on ${job.ends_at}`);
+        continue;
+      }
+      if (!job.cron_rule && new Date(job.run_at) <= now) {
+        if (shouldCatchUp(job, now)) {
+          await runScheduledJob(job);
+          caughtUp++;
+        } else {
+          await updateScheduledJobStatus(job.job_key, 'skipped');
+          logger.info(`Skipped missed ${job.job_type} reminder ${job.job_key} (catch-up policy: ${REMINDER_CATCHUP_POLICY})`);
+        }
+        continue;
+      }
+      startScheduledJob(job);
+      restored++;
+    }
+    logger.info(`Restored ${restored} scheduled jobs, sent ${caughtUp} missed reminders`);
+  } catch (err) {
+    logger.error(`Error restoring scheduled jobs: ${err.stack}`);
+    throw new Error('Failed to restore scheduled jobs');
+  }
+}
+
+async function schedulePeriodReminder(userId, predictedDate) {
+  const timeZone = await getUserTimezone(userId);
+  const reminderDay = new Date(`${formatDate(predictedDate)}T00:00:00`);
+  reminderDay.setDate(reminderDay.getDate() - 3);
+  const reminderDate = zonedTimeToDate(formatDate(reminderDay), PERIOD_REMINDER_TIME, timeZone);
   const now = new Date();
 
   if (reminderDate < now) {
@@ -804,100 +1920,123 @@ function schedulePeriodReminder(userId, predictedDate) {
     return;
   }
 
-  schedule.scheduleJob(reminderDate, async () => {
-    try {
-      await client.sendMessage(userId, `Reminder: Your next period is predicted to start on ${predictedDate}. Prepare accordingly! Reply with /cycle to update your details.`);
-      logger.info(`Sent period reminder to ${userId} for ${predictedDate}`);
-    } catch (err) {
-      logger.error(`Error sending period reminder to ${userId}: ${err.message}`);
-    }
-  });
-  logger.info(`Scheduled period reminder for ${userId} on ${reminderDate} for period on ${predictedDate}`);
+  const job = await saveScheduledJob(`period:${userId}`, userId, 'period', { runAt: reminderDate });
+  startScheduledJob(job);
+  logger.info(`Scheduled period reminder for ${userId} on ${formatDateTimeInTimezone(reminderDate, timeZone)} (${timeZone}) for period on ${predictedDate}`);
 }
 
-function scheduleMedicationReminder(userId, data) {
-  const { medication_name, dosage, schedule_time, days_of_week } = data;
-  const [hour, minute] = schedule_time.split(':').map(Number);
+async function scheduleMedicationReminder(userId, data) {
+  const { id, medication_name, dosage, schedule_time, days_of_week, start_date, end_date } = data;
   const days = days_of_week.toLowerCase() === 'daily' 
     ? '*'
     : days_of_week.split(',').map(day => {
         const dayMap = { mon: 1, tue: 2, wed: 3, thu: 4, fri: 5, sat: 6, sun: 0 };
-        return dayMap[day.toLowerCase()];
+        return dayMap[day.trim().toLowerCase()];
       }).join(',');
 
-  const rule = days === '*' 
-    ? { hour, minute }
-    : `${minute} ${hour} * * ${days}`;
+  // Dose times can change on edit, so drop every job of this reminder before scheduling the new ones
+  await cancelScheduledJobs(`medication:${id}`);
+  const timeZone = await getUserTimezone(userId);
+  if (isCourseFinished(data, timeZone)) {
+    logger.info(`Medication course for ${userId} - ${medication_name} ended on ${formatDate(end_date)}, skipping scheduling`);
+    return;
+  }
 
-  schedule.scheduleJob(rule, async () => {
-    try {
-      await client.sendMessage(userId, `Reminder: Time to take your ${medication_name} (${dosage})!`);
-      logger.info(`Sent medication reminder to ${userId} for ${medication_name} at ${schedule_time}`);
-    } catch (err) {
-      logger.error(`Error sending medication reminder to ${userId}: ${err.message}`);
-    }
+  const startsAt = start_date ? zonedTimeToDate(formatDate(start_date), '00:00', timeZone) : null;
+  const endsAt = end_date ? zonedTimeToDate(formatDate(end_date), '23:59:59', timeZone) : null;
+  for (const time of schedule_time.split(',')) {
+    const [hour, minute] = time.split(':').map(Number);
+    const job = await saveScheduledJob(`medication:${id}:${time}`, userId, 'medication', {
+      cronRule: `${minute} ${hour} * * ${days}`,
+      startsAt,
+      endsAt,
+      tz: timeZone,
+      payload: { reminder_id: id, medication_name, dosage, schedule_time: time }
+    });
+    startScheduledJob(job);
+  }
+  logger.info(`Scheduled medication reminder for ${userId} - ${medication_name} at ${schedule_time} on ${days_of_week} (${timeZone})`);
+}
+
+async function scheduleDoseFollowUp(userId, doseId, payload) {
+  const runAt = new Date(Date.now() + DOSE_FOLLOW_UP_MINUTES * 60 * 1000);
+  const job = await saveScheduledJob(`dose_follow_up:${doseId}`, userId, 'dose_follow_up', {
+    runAt,
+    payload: { dose_id: doseId, medication_name: payload.medication_name, dosage: payload.dosage }
   });
-  logger.info(`Scheduled medication reminder for ${userId} - ${medication_name} at ${schedule_time} on ${days_of_week}`);
+  startScheduledJob(job);
+  logger.info(`Scheduled follow-up for dose ${doseId} of ${userId} on ${runAt}`);
 }
 
-function scheduleFitnessReminder(userId) {
-  const rule = { hour: 7, minute: 0 }; // Daily at 7:00 AM
-  schedule.scheduleJob(rule, async () => {
-    try {
-      const fitnessPlan = await getLatestFitnessPlan(userId);
-      if (fitnessPlan) {
-        await client.sendMessage(userId, `Reminder: Follow your fitness plan today! Goal: ${fitnessPlan.fitness_goal}. Use /fitness to view or update your plan.`);
-        logger.info(`Sent fitness reminder to ${userId}`);
-      }
-    } catch (err) {
-      logger.error(`Error sending fitness reminder to ${userId}: ${err.message}`);
-    }
+async function scheduleDoseSnooze(userId, dose, minutes) {
+  const runAt = new Date(Date.now() + minutes * 60 * 1000);
+  const job = await saveScheduledJob(`dose_snooze:${dose.id}`, userId, 'dose_snooze', {
+    runAt,
+    payload: { dose_id: dose.id, medication_name: dose.medication_name, dosage: dose.dosage }
   });
-  logger.info(`Scheduled daily fitness reminder for ${userId} at 07:00`);
+  startScheduledJob(job);
+  logger.info(`Snoozed dose ${dose.id} of ${userId} until ${runAt}`);
 }
 
-function scheduleMealReminder(userId) {
-  const rule = { hour: 8, minute: 0 }; // Daily at 8:00 AM
-  schedule.scheduleJob(rule, async () => {
-    try {
-      const mealPlan = await getLatestMealPlan(userId);
-      if (mealPlan) {
-        await client.sendMessage(userId, `Reminder: Follow your meal plan today! Preference: ${mealPlan.dietary_preference}, Goal: ${mealPlan.health_goal}. Use /meal to view or update your plan.`);
-        logger.info(`Sent meal reminder to ${userId}`);
+async function scheduleFitnessReminder(userId) {
+  const timeZone = await getUserTimezone(userId);
+  const job = await saveScheduledJob(`fitness:${userId}`, userId, 'fitness', {
+    cronRule: '0 7 * * *', // Daily at 7:00 AM
+    tz: timeZone
+  });
+  startScheduledJob(job);
+  logger.info(`Scheduled daily fitness reminder for ${userId} at 07:00 (${timeZone})`);
+}
+
+async function scheduleMealReminder(userId) {
+  const timeZone = await getUserTimezone(userId);
+  const job = await saveScheduledJob(`meal:${userId}`, userId, 'meal', {
+    cronRule: '0 8 * * *', // Daily at 8:00 AM
+    tz: timeZone
+  });
+  startScheduledJob(job);
+  logger.info(`Scheduled daily meal reminder for ${userId} at 08:00 (${timeZone})`);
+}
+
+// Re-creates the wall-clock reminders of a user after their time zone changed
+async function rescheduleUserJobs(userId) {
+  try {
+    const res = await pool.query("SELECT job_type FROM scheduled_jobs WHERE whatsapp_id = $1 AND status = 'pending'", [userId]);
+    const jobTypes = new Set(res.rows.map(row => row.job_type));
+    if (jobTypes.has('medication')) {
+      const reminders = await getMedicationReminders(userId);
+      for (const reminder of reminders.filter(r => r.active)) {
+        await scheduleMedicationReminder(userId, reminder);
       }
-    } catch (err) {
-      logger.error(`Error sending meal reminder to ${userId}: ${err.message}`);
     }
-  });
-  logger.info(`Scheduled daily meal reminder for ${userId} at 08:00`);
+    if (jobTypes.has('fitness')) await scheduleFitnessReminder(userId);
+    if (jobTypes.has('meal')) await scheduleMealReminder(userId);
+    // Period jobs carry no payload; the date is read from the encrypted cycle record
+    if (jobTypes.has('period')) {
+      const cycleData = await getMenstrualCycle(userId);
+      if (cycleData) await schedulePeriodReminder(userId, cycleData.predicted_next_period);
+    }
+    logger.info(`Rescheduled reminders for ${userId} after time zone change`);
+  } catch (err) {
+    logger.error(`Error rescheduling reminders for ${userId}: ${err.stack}`);
+    throw new Error('Failed to reschedule reminders');
+  }
 }
 
-function scheduleAssessmentReminder(userId) {
+async function scheduleAssessmentReminder(userId) {
   const reminderDate = new Date();
   reminderDate.setHours(reminderDate.getHours() + 48);
-  schedule.scheduleJob(reminderDate, async () => {
-    try {
-      await client.sendMessage(userId, 'Reminder: Would you like to take your health assessment test now? Reply with /assessment to start.');
-      logger.info(`Sent assessment reminder to ${userId}`);
-    } catch (err) {
-      logger.error(`Error sending assessment reminder to ${userId}: ${err.message}`);
-    }
-  });
+  const job = await saveScheduledJob(`assessment:${userId}`, userId, 'assessment', { runAt: reminderDate });
+  startScheduledJob(job);
   logger.info(`Scheduled assessment reminder for ${userId} on ${reminderDate}`);
 }
 
-function scheduleFollowUpReminder(userId, severity) {
+async function scheduleFollowUpReminder(userId, severity) {
   if (severity.toLowerCase() !== 'severe') return;
   const reminderDate = new Date();
   reminderDate.setDate(reminderDate.getDate() + 2);
-  schedule.scheduleJob(reminderDate, async () => {
-    try {
-      await client.sendMessage(userId, 'Follow-up: How are your symptoms now? Reply with /diagnose to update or consult a doctor if symptoms persist.');
-      logger.info(`Sent follow-up reminder to ${userId}`);
-    } catch (err) {
-      logger.error(`Error sending follow-up reminder to ${userId}: ${err.message}`);
-    }
-  });
+  const job = await saveScheduledJob(`follow_up:${userId}`, userId, 'follow_up', { runAt: reminderDate });
+  startScheduledJob(job);
   logger.info(`Scheduled follow-up reminder for ${userId} on ${reminderDate}`);
 }
 
@@ -953,58 +2092,838 @@ function calculateHealthScore(data) {
   return score;
 }
 
-client.on('ready', async () => {
-  logger.info('WhatsApp client is ready!');
-  console.log('WhatsApp client is ready!');
+function getStepPrompt(userState, step, lang) {
+  const { existing, pending, draft } = userState.data;
+  if (pending && pending.field === step.field) {
+    return t(lang, 'flow.confirm_value', { value: step.describe(pending.value, lang) });
+  }
+  if (draft && draft[step.field] !== undefined) {
+    const value = draft[step.field];
+    return t(lang, 'flow.draft_value', { prompt: t(lang, step.prompt), value: step.describe ? step.describe(value, lang) : translateAnswer(lang, value) });
+  }
+  if (existing && existing[step.field] !== undefined) {
+    return t(lang, 'flow.current_value', { prompt: t(lang, step.prompt), value: translateAnswer(lang, existing[step.field]) });
+  }
+  return t(lang, step.prompt);
+}
+
+// Falls back to the numbered list when the transport or account can't send buttons or lists
+async function replyWithChoices(message, text, options, lang) {
+  if (message.interactive) {
+    try {
+      await message.reply(buildChoiceMessage(text, options, lang, true));
+      return;
+    } catch (err) {
+      logger.warn(`Interactive reply to ${message.from} failed, sending numbered options: ${err.message}`);
+    }
+  }
+  await message.reply(buildChoiceMessage(text, options, lang, false));
+}
+
+// The answers offered for a step, or null for free-text steps; a value read from free text is confirmed with yes or no
+function getStepChoices(userState, step) {
+  const { existing, pending } = userState.data;
+  if (pending && pending.field === step.field) return YES_NO_OPTIONS;
+  if (!step.options) return null;
+  return existing && existing[step.field] !== undefined ? [...step.options, 'keep'] : step.options;
+}
+
+async function replyWithStep(message, userState, step, lang) {
+  const choices = getStepChoices(userState, step);
+  const text = getStepPrompt(userState, step, lang);
+  if (choices) {
+    await replyWithChoices(message, text, choices, lang);
+  } else {
+    await message.reply(text);
+  }
+}
+
+function formatMedicationReminders(reminders, timeZone, lang) {
+  let reminderList = t(lang, 'medication.list_title');
+  reminders.forEach((r, index) => {
+    const status = isCourseFinished(r, timeZone) ? t(lang, 'medication.status_finished') : r.active ? '' : t(lang, 'medication.status_paused');
+    reminderList += `${index + 1}. ${r.medication_name}: ${describeMedicationSchedule(r, lang)}${status}\n`;
+  });
+  return reminderList;
+}
+
+function getEditableProfileFields(profile) {
+  return PROFILE_FIELDS.filter(step => step.field !== 'menstrual_cycle_type' || profile.sex === 'female');
+}
+
+function formatProfileValue(field, value, lang) {
+  if (value === null || value === undefined) return t(lang, 'profile.not_set');
+  if (field === 'language') return t(lang, `language.name.${value}`);
+  return translateAnswer(lang, value);
+}
+
+function formatProfile(profile, lang) {
+  let text = t(lang, 'profile.title');
+  getEditableProfileFields(profile).forEach((step, index) => {
+    text += `${index + 1}. ${t(lang, `profile.label.${step.field}`)}: ${formatProfileValue(step.field, profile[step.field], lang)}\n`;
+  });
+  text += t(lang, 'profile.timezone', { timezone: profile.timezone || DEFAULT_TIMEZONE });
+  return text;
+}
+
+async function sendHistoryPage(message, userId, userState) {
+  const { sources, offset } = userState.data;
+  const timeZone = await getUserTimezone(userId);
+  const lang = await getUserLanguage(userId);
+  const { entries, hasMore } = await getHistoryEntries(userId, sources, offset, HISTORY_PAGE_SIZE);
+
+  if (entries.length === 0 && offset === 0) {
+    userState = { state: 'initial', data: {} };
+    await setUserState(userId, userState);
+    await message.reply(t(lang, 'history.empty'));
+    logger.info(`User ${userId} has no history for ${sources.join(', ')}`);
+    return;
+  }
+
+  let text = offset === 0 ? t(lang, 'history.title') : '';
+  entries.forEach((entry, index) => {
+    const source = HISTORY_SOURCES[entry.source];
+    const number = offset + index + 1;
+    text += `${number}. ${formatDateTimeInTimezone(entry.row.created_at, timeZone)} - ${t(lang, `history.label.${entry.source}`)}: ${source.summarize(entry.row, lang)}\n`;
+    userState.data.entries[number] = { source: entry.source, id: entry.row.id };
+  });
+  text += t(lang, hasMore ? 'history.page_footer_more' : 'history.page_footer');
+
+  userState.data.offset = offset + entries.length;
+  userState.data.hasMore = hasMore;
+  await setUserState(userId, userState);
+  await message.reply(text);
+  logger.info(`Sent history page at offset ${offset} to ${userId}`);
+}
+
+function getTimezonePrompt(timeZone, lang) {
+  return t(lang, 'timezone.prompt', { timezone: timeZone, local_time: formatDateTimeInTimezone(new Date(), timeZone) });
+}
+
+async function completeOnboarding(message, userId, userState) {
+  userState.data.timezone = inferTimezone(userId, userState.data.location);
+  const saved = await saveUserProfile(userId, userState.data);
+  if (saved) {
+    userState = { state: 'awaiting_timezone_confirmation', data: { timezone: userState.data.timezone, onboarding: true } };
+    await setUserState(userId, userState);
+    const lang = await getUserLanguage(userId);
+    await message.reply(t(lang, 'onboarding.complete', { timezonePrompt: getTimezonePrompt(userState.data.timezone, lang) }));
+    logger.info(`User ${userId} completed onboarding, prompted to confirm time zone ${userState.data.timezone}`);
+  }
+}
+
+// Renders the stored sections of a symptom analysis, as saved in the symptoms table
+function formatSymptomSections(data, lang) {
+  const urgency = data.urgency ? t(lang, `urgency.${data.urgency}`) : data.urgency;
+  return t(lang, 'diagnosis.sections', { diagnosis: data.diagnosis, home_care: data.home_care, red_flags: data.red_flags, urgency });
+}
+
+// Longer voice notes are refused rather than tying up the speech-to-text engine. Not every transport reports a
+// duration (the WhatsApp Cloud API doesn't), so downloaded audio is also capped at VOICE_NOTE_MAX_BYTES, about
+// two minutes of a compressed audio file.
+const VOICE_NOTE_MAX_SECONDS = parseInt(process.env.VOICE_NOTE_MAX_SECONDS || '120');
+const VOICE_NOTE_MAX_BYTES = parseInt(process.env.VOICE_NOTE_MAX_BYTES || '2000000');
+
+function isVoiceNote(message) {
+  return message.hasMedia && (message.type === 'ptt' || message.type === 'audio');
+}
+
+// Puts the transcript of a voice note in message.body, so it is routed exactly like the same words typed, and
+// echoes it so the user can correct it; replies and returns false when the note can't be used
+async function transcribeVoiceNote(message, userId) {
+  let lang = DEFAULT_LANGUAGE;
+  try {
+    lang = await getUserLanguage(userId);
+    if (!isSpeechEnabled()) {
+      await message.reply(t(lang, 'voice.unavailable'));
+      logger.info(`Ignored voice note from ${userId}: speech-to-text is off`);
+      return false;
+    }
+    if (parseInt(message.duration) > VOICE_NOTE_MAX_SECONDS) {
+      await message.reply(t(lang, 'voice.too_long', { seconds: VOICE_NOTE_MAX_SECONDS }));
+      logger.info(`Ignored ${message.duration} s voice note from ${userId}`);
+      return false;
+    }
+
+    const media = await message.downloadMedia();
+    if (!media) throw new Error('voice note could not be downloaded');
+    const audio = Buffer.from(media.data, 'base64');
+    if (audio.length > VOICE_NOTE_MAX_BYTES) {
+      await message.reply(t(lang, 'voice.too_long', { seconds: VOICE_NOTE_MAX_SECONDS }));
+      logger.info(`Ignored ${audio.length} byte voice note from ${userId}`);
+      return false;
+    }
+    // The engine detects the language unless the user picked one
+    const { preference } = await getLanguageSettings(userId);
+    const transcript = await transcribe(audio, { language: LANGUAGES.includes(preference) ? preference : undefined });
+    if (!transcript) {
+      await message.reply(t(lang, 'voice.empty'));
+      logger.info(`No speech found in voice note from ${userId}`);
+      return false;
+    }
+
+    message.body = transcript;
+    await message.reply(t(lang, 'voice.heard', { text: transcript }));
+    logger.info(`Transcribed ${message.duration || 'unknown'} s voice note from ${userId}`);
+    return true;
+  } catch (err) {
+    logger.error(`Error transcribing voice note from ${userId}: ${err.stack}`);
+    await message.reply(t(lang, 'voice.failed')).catch(() => {});
+    return false;
+  }
+}
+
+// A photo replaces an unfinished medication reminder, but never another flow
+const PHOTO_STATES = ['initial', 'medication_setup'];
+
+function isPhoto(message) {
+  return message.hasMedia && message.type === 'image';
+}
+
+// Reads a photo of a pill box or prescription and starts a new medication reminder with what it found,
+// asking the user to accept or correct each detail
+async function handleMedicationPhoto(message, userId, lang) {
+  if (!await isUserOnboarded(userId)) {
+    await message.reply(t(lang, 'reply.onboarding_required'));
+    logger.info(`User ${userId} sent a photo without onboarding`);
+    return;
+  }
+  if (!await checkConsent(message, userId, '/medication', lang)) return;
+  if (!isOcrEnabled()) {
+    await message.reply(t(lang, 'photo.unavailable'));
+    logger.info(`Ignored photo from ${userId}: OCR is off`);
+    return;
+  }
+
+  let fields;
+  try {
+    const media = await message.downloadMedia();
+    if (!media) throw new Error('photo could not be downloaded');
+    fields = readMedicationLabel(await recognizeText(Buffer.from(media.data, 'base64')));
+  } catch (err) {
+    logger.error(`Error reading photo from ${userId}: ${err.stack}`);
+    await message.reply(t(lang, 'photo.failed'));
+    return;
+  }
+  if (!fields.medication_name && !fields.dosage) {
+    await message.reply(t(lang, 'photo.nothing_found'));
+    logger.info(`No medication details found in photo from ${userId}`);
+    return;
+  }
+
+  await message.reply(t(lang, 'photo.read'));
+  await startFlow(message, userId, 'medication_setup', fields, lang, { draft: true });
+}
+
+// INTENT_AI_FALLBACK=false keeps intent recognition to the local rules, with no AI call per unknown message
+const INTENT_AI_FALLBACK = process.env.INTENT_AI_FALLBACK !== 'false';
+const INTENT_AI_MIN_WORDS = 3;
+
+// After AI_SLOW_REPLY_MS without an answer the user is told we're still working on it
+const AI_SLOW_REPLY_MS = parseInt(process.env.AI_SLOW_REPLY_MS || '5000');
+
+// Runs an AI call with a typing indicator; returns null without calling out while every provider is down
+async function withAiProgress(message, lang, generateFn) {
+  if (!isAiAvailable()) return null;
+  try {
+    await message.sendTyping();
+  } catch (err) {
+    logger.error(`Error sending typing indicator to ${message.from}: ${err.message}`);
+  }
+  const slowTimer = setTimeout(() => {
+    message.reply(t(lang, 'ai.working'))
+      .catch(err => logger.error(`Error sending progress message to ${message.from}: ${err.message}`));
+  }, AI_SLOW_REPLY_MS);
+  try {
+    return await generateFn();
+  } finally {
+    clearTimeout(slowTimer);
+    await message.clearTyping().catch(() => {});
+  }
+}
+
+// The flow stays on its final step with every answer saved, so *retry* only repeats the AI call
+async function replyAiFailure(message, lang, failureKey) {
+  const text = t(lang, isAiAvailable() ? failureKey : 'ai.busy');
+  await message.reply(`${text}\n\n${t(lang, 'flow.answers_saved')}`);
+}
+
+async function completeDiagnosis(message, userId, userState) {
+  const lang = await getUserLanguage(userId);
+  const analysis = await withAiProgress(message, lang, async () => analyzeSymptoms(userState.data.symptoms, userState.data.severity, userState.data.duration, await getProfileContext(userId), lang));
+  if (!analysis) {
+    await replyAiFailure(message, lang, 'diagnosis.failed');
+    logger.error(`Failed to analyze symptoms for ${userId}`);
+    return;
+  }
+
+  userState.data.diagnosis = await applySafetyChecks(userId, 'symptoms', formatList(analysis.conditions.map(condition => `${condition.name} (${t(lang, `likelihood.${condition.likelihood}`)})`)), lang);
+  userState.data.home_care = await applySafetyChecks(userId, 'symptoms', formatList(analysis.home_care), lang);
+  userState.data.red_flags = await applySafetyChecks(userId, 'symptoms', formatList(analysis.red_flags), lang);
+  userState.data.urgency = analysis.urgency;
+
+  const saved = await saveDiagnosis(userId, userState.data);
+  if (!saved) {
+    await message.reply(t(lang, 'diagnosis.save_failed'));
+    logger.error(`Failed to save diagnosis for ${userId}`);
+    userState = { state: 'initial', data: {} };
+    await setUserState(userId, userState);
+    return;
+  }
+
+  await scheduleFollowUpReminder(userId, userState.data.severity);
+
+  await message.reply(t(lang, 'diagnosis.results', { sections: addDisclaimer(formatSymptomSections(userState.data, lang), 'symptoms', lang) }));
+  logger.info(`Sent diagnosis results to ${userId}`);
+  userState = { state: 'initial', data: {} };
+  await setUserState(userId, userState);
+}
+
+async function completeAssessment(message, userId, userState) {
+  const score = calculateHealthScore(userState.data);
+  userState.data.score = score;
+
+  const lang = await getUserLanguage(userId);
+  const analysis = await withAiProgress(message, lang, async () => analyzeHealthAssessment(userState.data, score, await getProfileContext(userId), lang));
+  if (!analysis) {
+    await replyAiFailure(message, lang, 'assessment.failed');
+    logger.error(`Failed to analyze health assessment for ${userId}`);
+    return;
+  }
+
+  userState.data.analysis = await applySafetyChecks(userId, 'assessment', analysis.analysis, lang);
+  userState.data.recommendations = await applySafetyChecks(userId, 'assessment', formatList(analysis.recommendations), lang);
+
+  const saved = await saveAssessment(userId, userState.data);
+  if (!saved) {
+    await message.reply(t(lang, 'assessment.save_failed'));
+    logger.error(`Failed to save health assessment for ${userId}`);
+    userState = { state: 'initial', data: {} };
+    await setUserState(userId, userState);
+    return;
+  }
+
+  await message.reply(t(lang, 'assessment.results', {
+    score,
+    analysis: userState.data.analysis,
+    recommendations: addDisclaimer(t(lang, 'assessment.recommendations', { recommendations: userState.data.recommendations }), 'assessment', lang)
+  }));
+  logger.info(`Sent health assessment results to ${userId}`);
+  userState = { state: 'initial', data: {} };
+  await setUserState(userId, userState);
+}
+
+async function completeFitnessPlan(message, userId, userState) {
+  const lang = await getUserLanguage(userId);
+  const fitnessPlan = await withAiProgress(message, lang, async () => generateFitnessPlan(userState.data, await getProfileContext(userId), lang));
+  if (!fitnessPlan) {
+    await replyAiFailure(message, lang, 'fitness.failed');
+    logger.error(`Failed to generate fitness plan for ${userId}`);
+    return;
+  }
+
+  userState.data.fitness_plan = await applySafetyChecks(userId, 'fitness', fitnessPlan, lang);
+
+  const saved = await saveFitnessPlan(userId, userState.data);
+  if (!saved) {
+    await message.reply(t(lang, 'fitness.save_failed'));
+    logger.error(`Failed to save fitness plan for ${userId}`);
+    userState = { state: 'initial', data: {} };
+    await setUserState(userId, userState);
+    return;
+  }
+
+  await scheduleFitnessReminder(userId);
+
+  await message.reply(t(lang, 'fitness.results', { plan: addDisclaimer(userState.data.fitness_plan, 'fitness', lang) }));
+  logger.info(`Sent fitness plan to ${userId}`);
+  userState = { state: 'initial', data: {} };
+  await setUserState(userId, userState);
+}
+
+async function completeMealPlan(message, userId, userState) {
+  const lang = await getUserLanguage(userId);
+  const mealPlan = await withAiProgress(message, lang, async () => generateMealPlan(userState.data, await getProfileContext(userId), lang));
+  if (!mealPlan) {
+    await replyAiFailure(message, lang, 'meal.failed');
+    logger.error(`Failed to generate meal plan for ${userId}`);
+    return;
+  }
+
+  userState.data.meal_plan = await applySafetyChecks(userId, 'meal', mealPlan, lang);
+
+  const saved = await saveMealPlan(userId, userState.data);
+  if (!saved) {
+    await message.reply(t(lang, 'meal.save_failed'));
+    logger.error(`Failed to save meal plan for ${userId}`);
+    userState = { state: 'initial', data: {} };
+    await setUserState(userId, userState);
+    return;
+  }
+
+  await scheduleMealReminder(userId);
+
+  await message.reply(t(lang, 'meal.results', { plan: addDisclaimer(userState.data.meal_plan, 'meal', lang) }));
+  logger.info(`Sent meal plan to ${userId}`);
+  userState = { state: 'initial', data: {} };
+  await setUserState(userId, userState);
+}
+
+async function completeCycleTracking(message, userId, userState) {
+  const lastPeriodDate = userState.data.last_period_date;
+  const cycleLength = userState.data.average_cycle_length;
+  const predictedNextPeriod = calculateNextPeriod(lastPeriodDate, cycleLength);
+
+  userState.data.predicted_next_period = predictedNextPeriod;
+
+  const lang = await getUserLanguage(userId);
+  const saved = await saveMenstrualCycle(userId, userState.data);
+  if (!saved) {
+    await message.reply(t(lang, 'cycle.save_failed'));
+    logger.error(`Failed to save cycle data for ${userId}`);
+    userState = { state: 'initial', data: {} };
+    await setUserState(userId, userState);
+    return;
+  }
+
+  await schedulePeriodReminder(userId, predictedNextPeriod);
+
+  await message.reply(t(lang, 'cycle.results', { last_period: lastPeriodDate, cycle_length: cycleLength, next_period: predictedNextPeriod }));
+  logger.info(`Saved and scheduled reminder for cycle data for ${userId}`);
+  userState = { state: 'initial', data: {} };
+  await setUserState(userId, userState);
+}
+
+// Warnings for the medication being saved against the profile's allergies and medications and the other active reminders
+async function getMedicationWarnings(userId, data, lang) {
+  const profile = await getUserProfile(userId);
+  const reminders = await getMedicationReminders(userId) || [];
+  const otherMedications = reminders
+    .filter(reminder => reminder.active && reminder.id !== data.id)
+    .map(reminder => reminder.medication_name);
+  return checkMedication(data.medication_name, {
+    allergies: profile ? profile.allergies : '',
+    profileMedications: profile ? profile.medications : '',
+    otherMedications
+  }, lang);
+}
+
+async function completeMedicationSetup(message, userId, userState) {
+  const data = userState.data;
+  const lang = await getUserLanguage(userId);
+  const isNewMedication = !data.existing || data.existing.medication_name !== data.medication_name;
+  if (isNewMedication && !data.conflicts_confirmed) {
+    const warnings = await getMedicationWarnings(userId, data, lang);
+    if (warnings.length > 0) {
+      userState = { state: 'medication_conflict_confirm', data };
+      await setUserState(userId, userState);
+      await replyWithChoices(message, t(lang, 'medication.warnings', { name: data.medication_name, warnings: warnings.map(warning => `- ${warning.message}`).join('\n') }), YES_NO_OPTIONS, lang);
+      logger.warn(`Medication warnings for ${userId} adding ${data.medication_name}: ${warnings.map(warning => warning.type).join(', ')}`);
+      return;
+    }
+  }
+  const dosesPerDay = data.schedule_time.split(',').length;
+  data.start_date = (data.existing && data.existing.start_date) || formatDateInTimezone(new Date(), await getUserTimezone(userId));
+  if (data.course_days === 'ongoing') {
+    data.end_date = null;
+  } else {
+    const endDate = new Date(`${formatDate(data.start_date)}T00:00:00`);
+    endDate.setDate(endDate.getDate() + parseInt(data.course_days) - 1);
+    data.end_date = formatDate(endDate);
+  }
+  data.pill_count = data.pill_count === 'none' ? null : parseInt(data.pill_count);
+  data.refill_threshold = data.pill_count === null ? null : dosesPerDay * REFILL_THRESHOLD_DAYS;
+
+  const saved = await saveMedicationReminder(userId, data);
+  if (!saved) {
+    await message.reply(t(lang, 'medication.save_failed'));
+    logger.error(`Failed to save medication reminder for ${userId}`);
+    userState = { state: 'initial', data: {} };
+    await setUserState(userId, userState);
+    return;
+  }
+
+  // Edits to a paused reminder stay paused until the user resumes it
+  const isPaused = userState.data.existing && !userState.data.existing.active;
+  if (!isPaused) {
+    await scheduleMedicationReminder(userId, { ...userState.data, id: saved });
+  }
+
+  await message.reply(t(lang, 'medication.saved', {
+    title: t(lang, userState.data.id ? 'medication.saved_title_updated' : 'medication.saved_title_set'),
+    name: userState.data.medication_name,
+    dosage: userState.data.dosage,
+    times: userState.data.schedule_time,
+    days: formatDaysOfWeek(userState.data.days_of_week, lang),
+    course: data.end_date ? t(lang, 'medication.course_until', { date: data.end_date }) : t(lang, 'medication.course_ongoing'),
+    doses_left: data.pill_count === null ? t(lang, 'medication.not_tracked') : data.pill_count,
+    footer: t(lang, isPaused ? 'medication.saved_paused' : 'medication.saved_active')
+  }));
+  logger.info(`Set medication reminder for ${userId}: ${userState.data.medication_name}`);
+  userState = { state: 'initial', data: {} };
+  await setUserState(userId, userState);
+}
+
+const FLOW_COMPLETIONS = {
+  onboarding: completeOnboarding,
+  diagnosing: completeDiagnosis,
+  assessing: completeAssessment,
+  fitness: completeFitnessPlan,
+  meal: completeMealPlan,
+  cycle_tracking: completeCycleTracking,
+  medication_setup: completeMedicationSetup
+};
+
+// Answers already written in the stored format are taken as they are; anything that had to be interpreted
+// is repeated back first
+function needsConfirmation(step, input) {
+  return Boolean(step.describe) && !step.exact.test(input.trim());
+}
+
+// Relative answers like "yesterday" are read against the user's own calendar day, not the server's
+async function getStepContext(userId) {
+  return { today: formatDateInTimezone(new Date(), await getUserTimezone(userId)) };
+}
+
+async function handleFlowStep(message, userId, userState, userMessage) {
+  const steps = getFlowSteps(userState);
+  const currentStep = userState.step;
+  const complete = FLOW_COMPLETIONS[userState.state];
+  let lang = await getUserLanguage(userId);
+
+  // Every answer is in but the final step failed, e.g. the AI call; only *retry* runs it again
+  if (currentStep >= steps.length) {
+    if (matchOption(userMessage, ['retry'])) {
+      logger.info(`User ${userId} retrying final step of ${userState.state}`);
+      await complete(message, userId, userState);
+    } else {
+      await message.reply(t(lang, 'flow.answers_saved'));
+    }
+    return;
+  }
+
+  const step = steps[currentStep];
+  const choices = getStepChoices(userState, step);
+  if (choices) userMessage = matchChoice(userMessage, choices) || userMessage;
+  const { existing, pending, draft } = userState.data;
+  const confirming = pending && pending.field === step.field;
+  if (confirming) delete userState.data.pending;
+  const drafted = draft && draft[step.field] !== undefined;
+  let value;
+
+  if (confirming && matchOption(userMessage, ['yes'])) {
+    value = pending.value;
+  } else if (confirming && matchOption(userMessage, ['no'])) {
+    await setUserState(userId, userState);
+    await message.reply(t(lang, 'flow.confirm_retry', { prompt: t(lang, step.prompt) }));
+    logger.info(`User ${userId} rejected interpreted ${step.field}`);
+    return;
+  } else if (drafted && matchOption(userMessage, ['yes'])) {
+    value = draft[step.field];
+    delete draft[step.field];
+  } else {
+    // Anything other than yes or no while confirming is taken as a fresh answer
+    const keepExisting = existing && matchOption(userMessage, ['keep']) && existing[step.field] !== undefined;
+    const context = await getStepContext(userId);
+    const validationError = keepExisting ? null : step.validate(userMessage, context);
+
+    if (validationError) {
+      await message.reply(t(lang, validationError));
+      logger.info(`Validation error for ${userId} on ${step.field}: ${userMessage}`);
+      return;
+    }
+
+    value = keepExisting ? existing[step.field] : step.normalize ? step.normalize(userMessage, context) : userMessage;
+    if (drafted) delete draft[step.field];
+    // Dates and times read from words, e.g. "last Monday" or "after dinner", are repeated back before they're saved
+    if (!keepExisting && needsConfirmation(step, userMessage)) {
+      userState.data.pending = { field: step.field, value };
+      await setUserState(userId, userState);
+      await replyWithStep(message, userState, step, lang);
+      logger.info(`Asked ${userId} to confirm ${step.field} read as ${value}`);
+      return;
+    }
+  }
+
+  userState.data[step.field] = value;
+  // Steps can depend on earlier answers (e.g. the menstrual cycle question for female users)
+  const updatedSteps = getFlowSteps(userState);
+  userState.step = getNextStep(updatedSteps, userState.data, currentStep + 1);
+  await setUserState(userId, userState);
+  // The rest of onboarding is asked in the language just chosen
+  if (step.field === 'language') {
+    setLanguagePreference(userId, userState.data.language);
+    lang = await getUserLanguage(userId);
+  }
+
+  if (userState.step < updatedSteps.length) {
+    await replyWithStep(message, userState, updatedSteps[userState.step], lang);
+    logger.info(`Prompted ${userId} for ${updatedSteps[userState.step].field}`);
+  } else {
+    await complete(message, userId, userState);
+  }
+}
+
+// Starts a flow with any answers given up front; only the missing steps are asked, and a flow with
+// every answer given runs straight away. With draft set every step is still asked, offering the answer
+// given up front for the user to accept, e.g. for details read from a photo.
+async function startFlow(message, userId, state, answers, lang, { draft = false } = {}) {
+  const data = draft ? { draft: {} } : {};
+  const context = await getStepContext(userId);
+  FLOW_STEPS[state].forEach(step => {
+    const value = answers[step.field];
+    if (value === undefined || step.validate(value, context)) return;
+    const normalized = step.normalize ? step.normalize(value, context) : value;
+    if (draft) data.draft[step.field] = normalized;
+    // Held back until the user confirms it when the flow reaches that question
+    else if (needsConfirmation(step, value)) data.pending = { field: step.field, value: normalized };
+    else data[step.field] = normalized;
+  });
+  const userState = { state, data, step: 0 };
+  const steps = getFlowSteps(userState);
+  userState.step = getNextStep(steps, data, 0);
+  await setUserState(userId, userState);
+  const filledIn = Object.keys(data.draft || data).filter(key => key !== 'pending');
+  logger.info(`Started ${state} flow for ${userId} with ${filledIn.join(', ') || 'no'} answers ${draft ? 'drafted' : 'filled in'}`);
+  if (userState.step < steps.length) {
+    await replyWithStep(message, userState, steps[userState.step], lang);
+  } else {
+    await FLOW_COMPLETIONS[state](message, userId, userState);
+  }
+}
+
+// Health features need the current terms accepted; replies and returns false when they aren't
+async function checkConsent(message, userId, command, lang) {
+  if (!CONSENT_REQUIRED_COMMANDS.includes(command) || !await isUserOnboarded(userId)) return true;
+  const consentStatus = getConsentStatus(await getLatestConsent(userId));
+  if (consentStatus === 'withdrawn') {
+    await message.reply(t(lang, 'consent.restricted'));
+    logger.info(`Blocked ${command} for ${userId}: consent withdrawn`);
+    return false;
+  }
+  if (consentStatus !== 'current') {
+    await setUserState(userId, { state: 'awaiting_tnc_response', data: { reaccept: true } });
+    await replyWithChoices(message, t(lang, 'consent.updated', { intro: getIntroduction(lang) }), TNC_OPTIONS, lang);
+    logger.info(`Asked ${userId} to re-accept T&C version ${TNC_VERSION} (consent ${consentStatus})`);
+    return false;
+  }
+  return true;
+}
+
+// Profiles with no sex or cycle type recorded aren't offered cycle tracking
+function isCycleEligible(userDetails) {
+  return (userDetails.sex || '').toLowerCase() === 'female' && !['', 'none'].includes((userDetails.menstrual_cycle_type || '').toLowerCase());
+}
+
+async function answerQuestion(message, userId, question, lang) {
+  const answer = await withAiProgress(message, lang, async () => answerHealthQuestion(question, await getProfileContext(userId), lang));
+  if (!answer) {
+    await message.reply(t(lang, isAiAvailable() ? 'ask.failed' : 'ai.busy'));
+    logger.error(`Failed to answer health question for ${userId}: ${question}`);
+    return;
+  }
+
+  await message.reply(t(lang, 'ask.results', {
+    question,
+    answer: addDisclaimer(await applySafetyChecks(userId, 'question', answer, lang), 'question', lang)
+  }));
+  logger.info(`Answered health question for ${userId}: ${question}`);
+}
+
+// Free text is matched by the intent rules first; the AI is only asked about longer messages from onboarded users
+async function recognizeIntent(userId, text) {
+  const matched = matchIntent(text);
+  if (matched) return { ...matched, source: 'rules' };
+  if (!INTENT_AI_FALLBACK || text.trim().split(/\s+/).length < INTENT_AI_MIN_WORDS || !isAiAvailable()) return null;
+  if (!await isUserOnboarded(userId)) return null;
+  // Free text only goes to the AI provider under the terms in force
+  if (getConsentStatus(await getLatestConsent(userId)) !== 'current') return null;
+  const classified = await classifyIntent(text, INTENTS);
+  return classified ? { ...classified, source: 'ai' } : null;
+}
+
+async function handleIntent(message, userId, intent, lang) {
+  const { command, flow } = INTENTS[intent.intent];
+  logger.info(`Recognised ${intent.intent} intent for ${userId} (${intent.source}) with fields: ${Object.keys(intent.fields).join(', ') || 'none'}`);
+  if (!await isUserOnboarded(userId)) {
+    await message.reply(t(lang, 'reply.onboarding_required'));
+    return;
+  }
+  if (!await checkConsent(message, userId, command, lang)) return;
+
+  if (intent.intent === 'question') {
+    await answerQuestion(message, userId, intent.fields.question || message.body.trim(), lang);
+    return;
+  }
+  if (intent.intent === 'cycle') {
+    const userDetails = await getUserDetails(userId);
+    if (!userDetails) {
+      await message.reply(t(lang, 'reply.profile_error'));
+      logger.error(`Failed to retrieve profile for ${userId}`);
+      return;
+    }
+    if (!isCycleEligible(userDetails)) {
+      await message.reply(t(lang, 'cycle.ineligible'));
+      logger.info(`User ${userId} ineligible for cycle tracking`);
+      return;
+    }
+  }
+  await startFlow(message, userId, flow, intent.fields, lang);
+}
+
+async function handleDoseReply(message, userId, openDoses, doseReply) {
+  const [dose, ...otherDoses] = openDoses;
+  const action = matchOption(doseReply[1].split(/\s+/)[0], ['taken', 'skip', 'snooze']);
+  const lang = await getUserLanguage(userId);
+
+  await cancelScheduledJob(`dose_follow_up:${dose.id}`);
+  if (action === 'taken') {
+    await updateDoseStatus(dose.id, 'taken');
+    await message.reply(t(lang, 'dose.taken', { name: dose.medication_name }));
+    const stock = await decrementPillCount(dose.reminder_id);
+    if (stock && stock.pill_count === 0) {
+      await message.reply(t(lang, 'dose.none_left', { name: dose.medication_name }));
+    } else if (stock && needsRefill(stock, await getUserTimezone(userId))) {
+      await message.reply(t(lang, 'dose.refill_soon', { count: stock.pill_count, name: dose.medication_name }));
+    }
+  } else if (action === 'skip') {
+    await updateDoseStatus(dose.id, 'skipped');
+    await message.reply(t(lang, 'dose.skipped', { name: dose.medication_name }));
+  } else {
+    const minutes = Math.min(Math.max(parseInt(doseReply[2] || '15'), 1), 240);
+    await updateDoseStatus(dose.id, 'snoozed');
+    await scheduleDoseSnooze(userId, dose, minutes);
+    await message.reply(t(lang, 'dose.snoozed', { name: dose.medication_name, minutes }));
+  }
+  logger.info(`User ${userId} replied ${action} to dose ${dose.id}`);
+
+  if (otherDoses.length > 0) {
+    await message.reply(t(lang, 'dose.also_open', { name: otherDoses[0].medication_name, dosage: otherDoses[0].dosage, hint: t(lang, 'dose.hint') }));
+  }
+}
+
+async function handleMedicationSelection(message, userId, userState, selection) {
+  const reminder = userState.data.existingReminders[selection - 1];
+  userState = { state: 'medication_action', data: { reminder } };
+  await setUserState(userId, userState);
+  const lang = await getUserLanguage(userId);
+  await message.reply(t(lang, 'medication.detail', {
+    name: reminder.medication_name,
+    dosage: reminder.dosage,
+    times: reminder.schedule_time,
+    days: formatDaysOfWeek(reminder.days_of_week, lang),
+    course: reminder.end_date ? t(lang, 'medication.course_until', { date: formatDate(reminder.end_date) }) : t(lang, 'medication.course_ongoing'),
+    doses_left: reminder.pill_count === null ? t(lang, 'medication.not_tracked') : reminder.pill_count,
+    status: t(lang, reminder.active ? 'medication.active' : 'medication.paused'),
+    actions: t(lang, reminder.active ? 'medication.actions_active' : 'medication.actions_paused')
+  }));
+  logger.info(`Prompted ${userId} for action on medication reminder ${reminder.id}`);
+}
+
+// Runs once per process, after every transport is ready
+async function handleReady() {
+  logger.info('All transports are ready');
+  console.log('All transports are ready!');
   try {
     await testDatabase();
     await initializeDatabase();
+    await migrateEncryptedColumns();
+    await backfillTimezones();
+    await backfillConsent();
+    await restoreScheduledJobs();
   } catch (err) {
     logger.error(`Startup error: ${err.message}`);
     process.exit(1);
-  }
-});
-
+  }
+}
 
-client.on('message', async (message) => {
+// Messages arrive in the same shape from every transport (see transport.js)
+async function handleMessage(message) {
   const userId = message.from;
-  const userMessage = message.body.toLowerCase().trim();
-  let userState = userStates.get(userId) || { state: 'initial', data: {} };
+  if (isVoiceNote(message) && !await transcribeVoiceNote(message, userId)) return;
+  // A tapped button or list row carries the canonical option as its id
+  const userMessage = (message.selectedChoice || message.body).toLowerCase().trim();
+  let userState = await getUserState(userId);
 
   logger.info(`Received message from ${userId}: ${message.body}`);
 
   try {
+    await updateDetectedLanguage(userId, message.body);
+    let lang = await getUserLanguage(userId);
+
+    // Emergencies interrupt whatever flow the user is in, before any command or AI call. The question after
+    // "/ask" is checked like any message, so a question about a condition doesn't escalate but a report does.
+    const steps = getFlowSteps(userState);
+    const field = userState.state === 'profile_edit' ? userState.data.field : steps && steps[userState.step] ? steps[userState.step].field : null;
+    const emergency = !EMERGENCY_EXEMPT_FIELDS.includes(field) && detectEmergency(message.body.replace(/^\s*\/ask\b/i, ''), lang);
+    if (emergency) {
+      // Records where it happened, e.g. "diagnosing:symptoms" for the symptoms answer
+      const source = userState.state === 'initial' ? 'message' : field ? `${userState.state}:${field}` : userState.state;
+      const { country, numbers } = getEmergencyNumbers(userId);
+      logger.warn(`Escalation for ${userId}: ${emergency.category} matched "${emergency.phrase}" (${emergency.language}) during ${source}`);
+      await saveEscalationEvent(userId, emergency, source);
+      userState = { state: 'initial', data: {} };
+      await setUserState(userId, userState);
+      await message.reply(t(lang, 'emergency.reply', {
+        label: emergency.label,
+        numbers,
+        country: country ? ` (${country})` : '',
+        guidance: emergency.guidance
+      }));
+      return;
+    }
+
+    if (isPhoto(message)) {
+      // A photo starts a new medication reminder, so it would throw away the answers of any other flow
+      if (!PHOTO_STATES.includes(userState.state)) {
+        await message.reply(t(lang, 'photo.flow_active'));
+        logger.info(`Ignored photo from ${userId} during ${userState.state}`);
+        return;
+      }
+      await handleMedicationPhoto(message, userId, lang);
+      return;
+    }
+
     if (userMessage === '/help') {
-      await message.reply(HELP_MESSAGE);
+      await message.reply(t(lang, 'help'));
       logger.info(`Sent help menu to ${userId}`);
       return;
     }
 
     if (userMessage === '/cancel') {
       if (userState.state === 'initial') {
-        await message.reply('No operation to cancel. Send /start to begin or /help for commands.');
+        await message.reply(t(lang, 'reply.cancel_none'));
         logger.info(`User ${userId} attempted to cancel with no active operation`);
       } else {
         userState = { state: 'initial', data: {} };
-        userStates.set(userId, userState);
-        await message.reply('Operation cancelled. Send /start to begin again or /help for commands.');
+        await setUserState(userId, userState);
+        await message.reply(t(lang, 'reply.cancelled'));
         logger.info(`User ${userId} cancelled operation`);
       }
       return;
     }
 
+    if (!await checkConsent(message, userId, userMessage.split(' ')[0], lang)) return;
+
     if (userMessage === '/start') {
       const isOnboarded = await isUserOnboarded(userId);
+      if (isOnboarded && getConsentStatus(await getLatestConsent(userId)) !== 'current') {
+        userState = { state: 'awaiting_tnc_response', data: { reaccept: true } };
+        await setUserState(userId, userState);
+        await replyWithChoices(message, getIntroduction(lang), TNC_OPTIONS, lang);
+        logger.info(`Sent T&C version ${TNC_VERSION} to onboarded user ${userId} for re-acceptance`);
+        return;
+      }
       if (isOnboarded) {
         userState = { state: 'initial', data: {} };
-        userStates.set(userId, userState);
-        await message.reply('You’ve already completed onboarding! Use /help to see available commands.');
+        await setUserState(userId, userState);
+        await message.reply(t(lang, 'reply.already_onboarded'));
         logger.info(`User ${userId} already onboarded, prompted for /help`);
         return;
       }
       userState = { state: 'awaiting_tnc_response', data: {} };
-      userStates.set(userId, userState);
-      await message.reply(INTRODUCTION_MESSAGE);
+      await setUserState(userId, userState);
+      await replyWithChoices(message, getIntroduction(lang), TNC_OPTIONS, lang);
       logger.info(`Sent introduction and T&C to ${userId}`);
       return;
     }
@@ -1012,13 +2931,13 @@ client.on('message', async (message) => {
     if (userMessage === '/diagnose') {
       const isOnboarded = await isUserOnboarded(userId);
       if (!isOnboarded) {
-        await message.reply('Please complete onboarding first. Send /start to begin.');
+        await message.reply(t(lang, 'reply.onboarding_required'));
         logger.info(`User ${userId} attempted /diagnose without onboarding`);
         return;
       }
       userState = { state: 'diagnosing', data: {}, step: 0 };
-      userStates.set(userId, userState);
-      await message.reply(DIAGNOSIS_STEPS[0].prompt);
+      await setUserState(userId, userState);
+      await replyWithStep(message, userState, DIAGNOSIS_STEPS[0], lang);
       logger.info(`Started diagnosis flow for ${userId}`);
       return;
     }
@@ -1026,13 +2945,13 @@ client.on('message', async (message) => {
     if (userMessage === '/assessment') {
       const isOnboarded = await isUserOnboarded(userId);
       if (!isOnboarded) {
-        await message.reply('Please complete onboarding first. Send /start to begin.');
+        await message.reply(t(lang, 'reply.onboarding_required'));
         logger.info(`User ${userId} attempted /assessment without onboarding`);
         return;
       }
       userState = { state: 'assessing', data: {}, step: 0 };
-      userStates.set(userId, userState);
-      await message.reply(ASSESSMENT_STEPS[0].prompt);
+      await setUserState(userId, userState);
+      await replyWithStep(message, userState, ASSESSMENT_STEPS[0], lang);
       logger.info(`Started assessment flow for ${userId}`);
       return;
     }
@@ -1040,13 +2959,13 @@ client.on('message', async (message) => {
     if (userMessage === '/fitness') {
       const isOnboarded = await isUserOnboarded(userId);
       if (!isOnboarded) {
-        await message.reply('Please complete onboarding first. Send /start to begin.');
+        await message.reply(t(lang, 'reply.onboarding_required'));
         logger.info(`User ${userId} attempted /fitness without onboarding`);
         return;
       }
       userState = { state: 'fitness', data: {}, step: 0 };
-      userStates.set(userId, userState);
-      await message.reply(FITNESS_STEPS[0].prompt);
+      await setUserState(userId, userState);
+      await replyWithStep(message, userState, FITNESS_STEPS[0], lang);
       logger.info(`Started fitness flow for ${userId}`);
       return;
     }
@@ -1054,13 +2973,13 @@ client.on('message', async (message) => {
     if (userMessage === '/meal') {
       const isOnboarded = await isUserOnboarded(userId);
       if (!isOnboarded) {
-        await message.reply('Please complete onboarding first. Send /start to begin.');
+        await message.reply(t(lang, 'reply.onboarding_required'));
         logger.info(`User ${userId} attempted /meal without onboarding`);
         return;
       }
       userState = { state: 'meal', data: {}, step: 0 };
-      userStates.set(userId, userState);
-      await message.reply(MEAL_STEPS[0].prompt);
+      await setUserState(userId, userState);
+      await replyWithStep(message, userState, MEAL_STEPS[0], lang);
       logger.info(`Started meal plan flow for ${userId}`);
       return;
     }
@@ -1068,44 +2987,40 @@ client.on('message', async (message) => {
     if (userMessage === '/cycle') {
       const isOnboarded = await isUserOnboarded(userId);
       if (!isOnboarded) {
-        await message.reply('Please complete onboarding first. Send /start to begin.');
+        await message.reply(t(lang, 'reply.onboarding_required'));
         logger.info(`User ${userId} attempted /cycle without onboarding`);
         return;
       }
 
       const userDetails = await getUserDetails(userId);
       if (!userDetails) {
-        await message.reply('Error retrieving your profile. Please try again with /start.');
+        await message.reply(t(lang, 'reply.profile_error'));
         logger.error(`Failed to retrieve profile for ${userId}`);
         return;
       }
 
-      if (userDetails.sex.toLowerCase() !== 'female' || userDetails.menstrual_cycle_type.toLowerCase() === 'none') {
-        await message.reply('This feature is only available for users with a menstrual cycle. Use /help for other commands.');
+      if (!isCycleEligible(userDetails)) {
+        await message.reply(t(lang, 'cycle.ineligible'));
         logger.info(`User ${userId} ineligible for /cycle feature`);
         return;
       }
 
       const cycleData = await getMenstrualCycle(userId);
       if (cycleData) {
-        await message.reply(`
-*Your Menstrual Cycle Details*
-
-- Last Period: ${cycleData.last_period_date}
-- Average Cycle Length: ${cycleData.average_cycle_length} days
-- Predicted Next Period: ${cycleData.predicted_next_period}
-
-Would you like to update your cycle details? Reply with *yes* to update or *no* to keep this data.
-        `);
+        await replyWithChoices(message, t(lang, 'cycle.details', {
+          last_period: formatDate(cycleData.last_period_date),
+          cycle_length: cycleData.average_cycle_length,
+          next_period: formatDate(cycleData.predicted_next_period)
+        }), YES_NO_OPTIONS, lang);
         userState = { state: 'cycle_update_choice', data: {} };
-        userStates.set(userId, userState);
+        await setUserState(userId, userState);
         logger.info(`Prompted ${userId} to update cycle data`);
         return;
       }
 
       userState = { state: 'cycle_tracking', data: {}, step: 0 };
-      userStates.set(userId, userState);
-      await message.reply(CYCLE_STEPS[0].prompt);
+      await setUserState(userId, userState);
+      await replyWithStep(message, userState, CYCLE_STEPS[0], lang);
       logger.info(`Started cycle tracking flow for ${userId}`);
       return;
     }
@@ -1113,670 +3028,639 @@ Would you like to update your cycle details? Reply with *yes* to update or *no*
     if (userMessage === '/medication') {
       const isOnboarded = await isUserOnboarded(userId);
       if (!isOnboarded) {
-        await message.reply('Please complete onboarding first. Send /start to begin.');
+        await message.reply(t(lang, 'reply.onboarding_required'));
         logger.info(`User ${userId} attempted /medication without onboarding`);
         return;
       }
 
       const reminders = await getMedicationReminders(userId);
       if (reminders && reminders.length > 0) {
-        let reminderList = '*Your Medication Reminders*\n\n';
-        reminders.forEach(r => {
-          reminderList += `- ${r.medication_name}: ${r.dosage} at ${r.schedule_time} on ${r.days_of_week}\n`;
-        });
-        reminderList += '\nWould you like to add a new reminder or update an existing one? Reply with *add* or *update*.';
+        const reminderList = formatMedicationReminders(reminders, await getUserTimezone(userId), lang) + '\n' + t(lang, 'medication.choose');
         await message.reply(reminderList);
         userState = { state: 'medication_choice', data: { existingReminders: reminders } };
-        userStates.set(userId, userState);
+        await setUserState(userId, userState);
         logger.info(`Prompted ${userId} to add or update medication reminder`);
         return;
       }
 
       userState = { state: 'medication_setup', data: {}, step: 0 };
-      userStates.set(userId, userState);
-      await message.reply(MEDICATION_STEPS[0].prompt);
+      await setUserState(userId, userState);
+      await replyWithStep(message, userState, MEDICATION_STEPS[0], lang);
       logger.info(`Started medication reminder setup for ${userId}`);
       return;
     }
 
-    if (userMessage.startsWith('/ask')) {
+    if (userMessage === '/adherence') {
       const isOnboarded = await isUserOnboarded(userId);
       if (!isOnboarded) {
-        await message.reply('Please complete onboarding first. Send /start to begin.');
-        logger.info(`User ${userId} attempted /ask without onboarding`);
-        return;
-      }
-
-      const question = message.body.slice(4).trim();
-      if (!question) {
-        await message.reply('Please provide a health-related question after /ask (e.g., /ask What is a balanced diet?).');
-        logger.info(`User ${userId} sent empty /ask command`);
+        await message.reply(t(lang, 'reply.onboarding_required'));
+        logger.info(`User ${userId} attempted /adherence without onboarding`);
         return;
       }
 
-      const answer = await answerHealthQuestion(question);
-      if (!answer) {
-        await message.reply('Sorry, I couldn’t answer your question. Please try again or consult a healthcare professional.');
-        logger.error(`Failed to answer health question for ${userId}: ${question}`);
+      const doseHistory = await getDoseHistory(userId, 30);
+      if (doseHistory.length === 0) {
+        await message.reply(t(lang, 'adherence.none'));
+        logger.info(`User ${userId} requested adherence with no reminders`);
         return;
       }
 
-      await message.reply(`
-*Health Question Answer*
-
-**Question**: ${question}
-
-${answer}
-
-⚠️ *Please consult a doctor for personalized health advice.*
-Use /ask to ask another question or /help for other commands.
-      `);
-      logger.info(`Answered health question for ${userId}: ${question}`);
+      await message.reply(formatAdherenceReport(doseHistory, lang) + t(lang, 'adherence.footer'));
+      logger.info(`Sent adherence report to ${userId}`);
       return;
     }
 
-    if (userState.state === 'awaiting_tnc_response') {
-      if (userMessage === 'accept') {
-        userState = { state: 'onboarding', data: {}, step: 0 };
-        userStates.set(userId, userState);
-        await message.reply(ONBOARDING_STEPS[0].prompt);
-        logger.info(`User ${userId} accepted T&C, starting onboarding`);
-      } else if (userMessage === 'deny') {
-        userState = { state: 'initial', data: {} };
-        userStates.set(userId, userState);
-        await message.reply('Thank you for your time. If you change your mind, send /start to begin again. Goodbye!');
-        logger.info(`User ${userId} denied T&C, exiting`);
-      } else {
-        await message.reply('Please reply with *accept* or *deny* to continue.');
-        logger.info(`Invalid T&C response from ${userId}: ${userMessage}`);
+    if (userMessage === '/profile') {
+      const profile = await getUserProfile(userId);
+      if (!profile) {
+        await message.reply(t(lang, 'reply.onboarding_required'));
+        logger.info(`User ${userId} attempted /profile without onboarding`);
+        return;
       }
+
+      userState = { state: 'profile_select', data: {} };
+      await setUserState(userId, userState);
+      await message.reply(t(lang, 'profile.select', { profile: formatProfile(profile, lang) }));
+      logger.info(`Sent profile to ${userId}`);
       return;
     }
 
-    if (userState.state === 'onboarding') {
-      let currentStep = userState.step;
-      let steps = [...ONBOARDING_STEPS];
-
-      if (userState.data.sex === 'female' && !steps.find(step => step.field === 'menstrual_cycle_type')) {
-        steps.push(MENSTRUAL_CYCLE_STEP);
-      }
-
-      if (currentStep >= steps.length) {
-        const saved = await saveUserProfile(userId, userState.data);
-        if (saved) {
-          userState = { state: 'awaiting_assessment_choice', data: {} };
-          userStates.set(userId, userState);
-          await message.reply('Onboarding complete! Would you like to take a health assessment test now, later, or never? Reply with *now*, *later*, or *never*.');
-          logger.info(`User ${userId} completed onboarding, prompted for assessment`);
-        }
+    if (userMessage === '/history' || userMessage.startsWith('/history ')) {
+      const isOnboarded = await isUserOnboarded(userId);
+      if (!isOnboarded) {
+        await message.reply(t(lang, 'reply.onboarding_required'));
+        logger.info(`User ${userId} attempted /history without onboarding`);
         return;
       }
 
-      const step = steps[currentStep];
-      const validationError = step.validate(userMessage);
-
-      if (validationError) {
-        await message.reply(validationError);
-        logger.info(`Validation error for ${userId} on ${step.field}: ${userMessage}`);
+      const filter = userMessage.slice('/history'.length).trim();
+      const sourceKey = HISTORY_FILTER_ALIASES[filter] || filter;
+      if (filter && !HISTORY_SOURCES[sourceKey]) {
+        await message.reply(t(lang, 'history.unknown_filter', { filters: Object.keys(HISTORY_SOURCES).join(', ') }));
+        logger.info(`User ${userId} sent unknown history filter: ${filter}`);
         return;
       }
 
-      userState.data[step.field] = userMessage;
-      userState.step = currentStep + 1;
-      userStates.set(userId, userState);
+      userState = {
+        state: 'history_browsing',
+        data: { sources: filter ? [sourceKey] : Object.keys(HISTORY_SOURCES), offset: 0, entries: {} }
+      };
+      await sendHistoryPage(message, userId, userState);
+      return;
+    }
 
-      if (userState.step < steps.length) {
-        await message.reply(steps[userState.step].prompt);
-        logger.info(`Prompted ${userId} for ${steps[userState.step].field}`);
+    if (userMessage === '/consent') {
+      const consent = await getLatestConsent(userId);
+      const consentStatus = getConsentStatus(consent);
+      const recorded = consent ? t(lang, 'consent.recorded_on', { date: formatDateTimeInTimezone(consent.created_at, await getUserTimezone(userId)) }) : '';
+      let text;
+      if (consentStatus === 'current') {
+        text = t(lang, 'consent.status_current', { version: TNC_VERSION, recorded });
+      } else if (consentStatus === 'withdrawn') {
+        text = t(lang, 'consent.status_withdrawn', { recorded, intro: getIntroduction(lang) });
       } else {
-        const saved = await saveUserProfile(userId, userState.data);
-        if (saved) {
-          userState = { state: 'awaiting_assessment_choice', data: {} };
-          userStates.set(userId, userState);
-          await message.reply('Onboarding complete! Would you like to take a health assessment test now, later, or never? Reply with *now*, *later*, or *never*.');
-          logger.info(`User ${userId} completed onboarding, prompted for assessment`);
-        }
+        text = t(lang, 'consent.status_missing', { version: TNC_VERSION, intro: getIntroduction(lang) });
+      }
+      userState = { state: consentStatus === 'current' ? 'consent_manage' : 'awaiting_tnc_response', data: { reaccept: true } };
+      await setUserState(userId, userState);
+      if (consentStatus === 'current') {
+        await message.reply(text);
+      } else {
+        await replyWithChoices(message, text, TNC_OPTIONS, lang);
       }
+      logger.info(`Sent consent status ${consentStatus} to ${userId}`);
       return;
     }
 
-    if (userState.state === 'awaiting_assessment_choice') {
-      if (userMessage === 'now') {
-        userState = { state: 'assessing', data: {}, step: 0 };
-        userStates.set(userId, userState);
-        await message.reply(ASSESSMENT_STEPS[0].prompt);
-        logger.info(`User ${userId} chose to take assessment now`);
-      } else if (userMessage === 'later') {
-        scheduleAssessmentReminder(userId);
-        userState = { state: 'initial', data: {} };
-        userStates.set(userId, userState);
-        await message.reply('Alright, I’ll remind you in 48 hours. You can also start anytime with /assessment.');
-        logger.info(`User ${userId} chose to take assessment later`);
-      } else if (userMessage === 'never') {
-        userState = { state: 'initial', data: {} };
-        userStates.set(userId, userState);
-        await message.reply('Got it. You can always start the assessment later with /assessment. Use /help for other commands.');
-        logger.info(`User ${userId} declined assessment`);
-      } else {
-        await message.reply('Please reply with *now*, *later*, or *never*.');
-        logger.info(`Invalid assessment choice from ${userId}: ${userMessage}`);
+    if (userMessage === '/export') {
+      const data = await getUserDataExport(userId);
+      if (!data.user) {
+        await message.reply(t(lang, 'export.no_profile'));
+        logger.info(`User ${userId} requested export without a profile`);
+        return;
       }
+      const fileBase = `aliya-data-${formatDateInTimezone(new Date(), await getUserTimezone(userId))}`;
+      const json = { mimetype: 'application/json', data: Buffer.from(JSON.stringify(data, null, 2)).toString('base64'), filename: `${fileBase}.json` };
+      const csv = { mimetype: 'text/csv', data: Buffer.from(formatExportCsv(data)).toString('base64'), filename: `${fileBase}.csv` };
+      await sendMessage(userId, { document: json, caption: t(lang, 'export.caption_json') });
+      await sendMessage(userId, { document: csv, caption: t(lang, 'export.caption_csv') });
+      await message.reply(t(lang, 'export.sent'));
+      logger.info(`Sent data export to ${userId}`);
       return;
     }
 
-    if (userState.state === 'diagnosing') {
-      const currentStep = userState.step;
-      const steps = DIAGNOSIS_STEPS;
-
-      if (currentStep >= steps.length) {
-        const analysis = await analyzeSymptoms(userState.data.symptoms, userState.data.severity, userState.data.duration);
-        if (!analysis) {
-          await message.reply('Sorry, I couldn’t analyze your symptoms. Please try again or consult a doctor.');
-          logger.error(`Failed to analyze symptoms for ${userId}`);
-          userState = { state: 'initial', data: {} };
-          userStates.set(userId, userState);
-          return;
-        }
-
-        userState.data.diagnosis = analysis;
-        userState.data.home_care = analysis;
-        userState.data.red_flags = analysis;
-
-        const saved = await saveDiagnosis(userId, userState.data);
-        if (!saved) {
-          await message.reply('Error saving diagnosis. Please try again or consult a doctor.');
-          logger.error(`Failed to save diagnosis for ${userId}`);
-          userState = { state: 'initial', data: {} };
-          userStates.set(userId, userState);
-          return;
-        }
+    if (userMessage === '/deleteme') {
+      userState = { state: 'delete_confirm', data: {} };
+      await setUserState(userId, userState);
+      await message.reply(t(lang, 'delete.confirm'));
+      logger.info(`User ${userId} requested account deletion`);
+      return;
+    }
 
-        scheduleFollowUpReminder(userId, userState.data.severity);
+    if (userMessage === '/timezone') {
+      const isOnboarded = await isUserOnboarded(userId);
+      if (!isOnboarded) {
+        await message.reply(t(lang, 'reply.onboarding_required'));
+        logger.info(`User ${userId} attempted /timezone without onboarding`);
+        return;
+      }
 
-        await message.reply(`
-*Symptom Analysis Results*
+      const timeZone = await getUserTimezone(userId);
+      userState = { state: 'awaiting_timezone_confirmation', data: { timezone: timeZone } };
+      await setUserState(userId, userState);
+      await message.reply(getTimezonePrompt(timeZone, lang));
+      logger.info(`Prompted ${userId} to confirm or change time zone ${timeZone}`);
+      return;
+    }
 
-${analysis}
+    if (userMessage.startsWith('/ask')) {
+      const isOnboarded = await isUserOnboarded(userId);
+      if (!isOnboarded) {
+        await message.reply(t(lang, 'reply.onboarding_required'));
+        logger.info(`User ${userId} attempted /ask without onboarding`);
+        return;
+      }
 
-⚠️ *Please consult a doctor for a professional diagnosis and treatment.*
-Use /diagnose to report new symptoms or /help for other commands.
-        `);
-        logger.info(`Sent diagnosis results to ${userId}`);
-        userState = { state: 'initial', data: {} };
-        userStates.set(userId, userState);
+      const question = message.body.slice(4).trim();
+      if (!question) {
+        await message.reply(t(lang, 'ask.empty'));
+        logger.info(`User ${userId} sent empty /ask command`);
         return;
       }
 
-      const step = steps[currentStep];
-      const validationError = step.validate(userMessage);
+      await answerQuestion(message, userId, question, lang);
+      return;
+    }
 
-      if (validationError) {
-        await message.reply(validationError);
-        logger.info(`Validation error for ${userId} on ${step.field}: ${userMessage}`);
+    // Mid-flow, a reply like "skip" answers the question being asked rather than a dose reminder
+    const doseReply = userState.state === 'initial' && userMessage.match(DOSE_REPLY_PATTERN);
+    if (doseReply) {
+      const openDoses = await getOpenDoses(userId);
+      if (openDoses.length > 0) {
+        await handleDoseReply(message, userId, openDoses, doseReply);
         return;
       }
+    }
 
-      userState.data[step.field] = userMessage;
-      userState.step = currentStep + 1;
-      userStates.set(userId, userState);
+    if (shouldPromptResume(userState)) {
+      const steps = getFlowSteps(userState);
+      userState = { state: 'awaiting_resume_choice', data: { previous: userState } };
+      await setUserState(userId, userState);
+      await message.reply(t(lang, 'flow.resume_prompt', {
+        flow: t(lang, `flow.${userState.data.previous.state}`),
+        answered: userState.data.previous.step,
+        total: steps.length
+      }));
+      logger.info(`Prompted ${userId} to resume or restart ${userState.data.previous.state}`);
+      return;
+    }
 
-      if (userState.step < steps.length) {
-        await message.reply(steps[userState.step].prompt);
-        logger.info(`Prompted ${userId} for ${steps[userState.step].field}`);
+    if (userState.state === 'awaiting_resume_choice') {
+      const previous = userState.data.previous;
+      const choice = matchOption(userMessage, ['resume', 'restart']);
+      if (choice === 'resume') {
+        userState = previous;
+        await setUserState(userId, userState);
+        await replyWithStep(message, userState, getFlowSteps(userState)[userState.step], lang);
+        logger.info(`User ${userId} resumed ${userState.state} at step ${userState.step}`);
+      } else if (choice === 'restart') {
+        // Keep what identifies the record being edited, drop the answers
+        const { id, existing } = previous.data;
+        userState = { state: previous.state, data: existing ? { id, existing } : {}, step: 0 };
+        await setUserState(userId, userState);
+        await replyWithStep(message, userState, getFlowSteps(userState)[0], lang);
+        logger.info(`User ${userId} restarted ${userState.state}`);
       } else {
-        const analysis = await analyzeSymptoms(userState.data.symptoms, userState.data.severity, userState.data.duration);
-        if (!analysis) {
-          await message.reply('Sorry, I couldn’t analyze your symptoms. Please try again or consult a doctor.');
-          logger.error(`Failed to analyze symptoms for ${userId}`);
-          userState = { state: 'initial', data: {} };
-          userStates.set(userId, userState);
-          return;
-        }
-
-        userState.data.diagnosis = analysis;
-        userState.data.home_care = analysis;
-        userState.data.red_flags = analysis;
-
-        const saved = await saveDiagnosis(userId, userState.data);
-        if (!saved) {
-          await message.reply('Error saving diagnosis. Please try again or consult a doctor.');
-          logger.error(`Failed to save diagnosis for ${userId}`);
-          userState = { state: 'initial', data: {} };
-          userStates.set(userId, userState);
-          return;
-        }
-
-        scheduleFollowUpReminder(userId, userState.data.severity);
-
-        await message.reply(`
-*Symptom Analysis Results*
-
-${analysis}
-
-⚠️ *Please consult a doctor for a professional diagnosis and treatment.*
-Use /diagnose to report new symptoms or /help for other commands.
-        `);
-        logger.info(`Sent diagnosis results to ${userId}`);
-        userState = { state: 'initial', data: {} };
-        userStates.set(userId, userState);
+        await message.reply(t(lang, 'flow.resume_invalid'));
+        logger.info(`Invalid resume choice from ${userId}: ${userMessage}`);
       }
       return;
     }
 
-    if (userState.state === 'assessing') {
-      const currentStep = userState.step;
-      const steps = ASSESSMENT_STEPS;
-
-      if (currentStep >= steps.length) {
-        const score = calculateHealthScore(userState.data);
-        userState.data.score = score;
-        
-        const analysis = await analyzeHealthAssessment(userState.data, score);
-        if (!analysis) {
-          await message.reply('Sorry, I couldn’t analyze your health assessment. Please try again with /assessment.');
-          logger.error(`Failed to analyze health assessment for ${userId}`);
-          userState = { state: 'initial', data: {} };
-          userStates.set(userId, userState);
-          return;
-        }
-
-        userState.data.analysis = analysis;
-        userState.data.recommendations = analysis;
-
-        const saved = await saveAssessment(userId, userState.data);
-        if (!saved) {
-          await message.reply('Error saving health assessment. Please try again with /assessment.');
-          logger.error(`Failed to save health assessment for ${userId}`);
-          userState = { state: 'initial', data: {} };
-          userStates.set(userId, userState);
-          return;
+    if (userState.state === 'awaiting_tnc_response') {
+      const choice = matchChoice(userMessage, TNC_OPTIONS) || matchOption(userMessage, LANGUAGES);
+      if (LANGUAGES.includes(choice)) {
+        // Picking a language here shows the terms again in it and skips the language question in onboarding
+        userState.data.language = choice;
+        setLanguagePreference(userId, choice);
+        if (await isUserOnboarded(userId)) await updateUserProfileField(userId, 'language', choice);
+        await setUserState(userId, userState);
+        lang = choice;
+        await replyWithChoices(message, getIntroduction(lang), TNC_OPTIONS, lang);
+        logger.info(`User ${userId} chose language ${choice} before accepting T&C`);
+      } else if (choice === 'accept' && userState.data.reaccept && await isUserOnboarded(userId)) {
+        await recordConsent(userId, 'accepted');
+        userState = { state: 'initial', data: {} };
+        await setUserState(userId, userState);
+        await message.reply(t(lang, 'consent.reaccepted'));
+        logger.info(`User ${userId} re-accepted T&C version ${TNC_VERSION}`);
+      } else if (choice === 'accept') {
+        await recordConsent(userId, 'accepted');
+        const language = userState.data.language;
+        userState = language ? { state: 'onboarding', data: { language }, step: 1 } : { state: 'onboarding', data: {}, step: 0 };
+        await setUserState(userId, userState);
+        await replyWithStep(message, userState, ONBOARDING_STEPS[userState.step], lang);
+        logger.info(`User ${userId} accepted T&C, starting onboarding`);
+      } else if (choice === 'deny') {
+        // A withdrawal stays the latest decision; recording 'denied' over it would read as never having decided
+        if (getConsentStatus(await getLatestConsent(userId)) !== 'withdrawn') {
+          await recordConsent(userId, 'denied');
         }
-
-        await message.reply(`
-*Health Assessment Results*
-
-**Score**: ${score}/100
-
-${analysis}
-
-⚠️ *Please consult a doctor for personalized health advice.*
-Use /assessment to take another test or /help for other commands.
-        `);
-        logger.info(`Sent health assessment results to ${userId}`);
         userState = { state: 'initial', data: {} };
-        userStates.set(userId, userState);
-        return;
-      }
-
-      const step = steps[currentStep];
-      const validationError = step.validate(userMessage);
-
-      if (validationError) {
-        await message.reply(validationError);
-        logger.info(`Validation error for ${userId} on ${step.field}: ${userMessage}`);
-        return;
+        await setUserState(userId, userState);
+        await message.reply(t(lang, 'consent.denied'));
+        logger.info(`User ${userId} denied T&C, exiting`);
+      } else {
+        await message.reply(t(lang, 'consent.invalid'));
+        logger.info(`Invalid T&C response from ${userId}: ${userMessage}`);
       }
+      return;
+    }
 
-      userState.data[step.field] = userMessage;
-      userState.step = currentStep + 1;
-      userStates.set(userId, userState);
-
-      if (userState.step < steps.length) {
-        await message.reply(steps[userState.step].prompt);
-        logger.info(`Prompted ${userId} for ${steps[userState.step].field}`);
+    if (userState.state === 'consent_manage') {
+      if (matchOption(userMessage, ['withdraw'])) {
+        await recordConsent(userId, 'withdrawn');
+        userState = { state: 'initial', data: {} };
+        await setUserState(userId, userState);
+        await message.reply(t(lang, 'consent.withdrawn'));
+        logger.info(`User ${userId} withdrew consent`);
       } else {
-        const score = calculateHealthScore(userState.data);
-        userState.data.score = score;
-        
-        const analysis = await analyzeHealthAssessment(userState.data, score);
-        if (!analysis) {
-          await message.reply('Sorry, I couldn’t analyze your health assessment. Please try again with /assessment.');
-          logger.error(`Failed to analyze health assessment for ${userId}`);
-          userState = { state: 'initial', data: {} };
-          userStates.set(userId, userState);
-          return;
-        }
-
-        userState.data.analysis = analysis;
-        userState.data.recommendations = analysis;
-
-        const saved = await saveAssessment(userId, userState.data);
-        if (!saved) {
-          await message.reply('Error saving health assessment. Please try again with /assessment.');
-          logger.error(`Failed to save health assessment for ${userId}`);
-          userState = { state: 'initial', data: {} };
-          userStates.set(userId, userState);
-          return;
-        }
-
-        await message.reply(`
-*Health Assessment Results*
-
-**Score**: ${score}/100
-
-${analysis}
-
-⚠️ *Please consult a doctor for personalized health advice.*
-Use /assessment to take another test or /help for other commands.
-        `);
-        logger.info(`Sent health assessment results to ${userId}`);
         userState = { state: 'initial', data: {} };
-        userStates.set(userId, userState);
+        await setUserState(userId, userState);
+        await message.reply(t(lang, 'consent.unchanged'));
+        logger.info(`User ${userId} kept consent`);
       }
       return;
     }
 
-    if (userState.state === 'fitness') {
-      const currentStep = userState.step;
-      const steps = FITNESS_STEPS;
-
-      if (currentStep >= steps.length) {
-        const fitnessPlan = await generateFitnessPlan(userState.data);
-        if (!fitnessPlan) {
-          await message.reply('Sorry, I couldn’t generate your fitness plan. Please try again with /fitness.');
-          logger.error(`Failed to generate fitness plan for ${userId}`);
-          userState = { state: 'initial', data: {} };
-          userStates.set(userId, userState);
-          return;
-        }
-
-        userState.data.fitness_plan = fitnessPlan;
+    if (userState.state === 'delete_confirm') {
+      const choice = matchOption(userMessage, ['delete', 'cancel']);
+      if (choice === 'delete') {
+        await deleteUserData(userId);
+        userStates.delete(userId);
+        await message.reply(t(lang, 'delete.done'));
+        logger.info(`User ${userId} confirmed account deletion`);
+      } else if (choice === 'cancel') {
+        userState = { state: 'initial', data: {} };
+        await setUserState(userId, userState);
+        await message.reply(t(lang, 'delete.cancelled'));
+        logger.info(`User ${userId} cancelled account deletion`);
+      } else {
+        await message.reply(t(lang, 'delete.invalid'));
+        logger.info(`Invalid deletion confirmation from ${userId}: ${userMessage}`);
+      }
+      return;
+    }
 
-        const saved = await saveFitnessPlan(userId, userState.data);
-        if (!saved) {
-          await message.reply('Error saving your fitness plan. Please try again with /fitness.');
-          logger.error(`Failed to save fitness plan for ${userId}`);
-          userState = { state: 'initial', data: {} };
-          userStates.set(userId, userState);
+    if (userState.state === 'history_browsing') {
+      const selection = parseInt(userMessage);
+      const choice = matchOption(userMessage, ['more', 'done']);
+      if (choice === 'more' && userState.data.hasMore) {
+        await sendHistoryPage(message, userId, userState);
+      } else if (choice === 'done') {
+        userState = { state: 'initial', data: {} };
+        await setUserState(userId, userState);
+        await message.reply(t(lang, 'history.done'));
+        logger.info(`User ${userId} finished browsing history`);
+      } else if (!isNaN(selection) && userState.data.entries[selection]) {
+        const { source, id } = userState.data.entries[selection];
+        const row = await getHistoryEntry(userId, source, id);
+        if (!row) {
+          await message.reply(t(lang, 'history.entry_missing'));
+          logger.info(`History entry ${source}:${id} not found for ${userId}`);
           return;
         }
+        const timeZone = await getUserTimezone(userId);
+        const footer = t(lang, userState.data.hasMore ? 'history.entry_footer_more' : 'history.entry_footer');
+        await message.reply(`*${t(lang, `history.label.${source}`)} - ${formatDateTimeInTimezone(row.created_at, timeZone)}*\n\n${HISTORY_SOURCES[source].detail(row, lang)}\n\n${footer}`);
+        logger.info(`Sent history entry ${source}:${id} to ${userId}`);
+      } else {
+        await message.reply(t(lang, userState.data.hasMore ? 'history.invalid_more' : 'history.invalid'));
+        logger.info(`Invalid history choice from ${userId}: ${userMessage}`);
+      }
+      return;
+    }
 
-        scheduleFitnessReminder(userId);
-
-        await message.reply(`
-*Your Personalized Fitness Plan*
-
-${fitnessPlan}
-
-⚠️ *Please consult a doctor before starting any fitness program.*
-Use /fitness to generate a new plan or /help for other commands.
-        `);
-        logger.info(`Sent fitness plan to ${userId}`);
+    if (userState.state === 'profile_select') {
+      if (matchOption(userMessage, ['done'])) {
         userState = { state: 'initial', data: {} };
-        userStates.set(userId, userState);
+        await setUserState(userId, userState);
+        await message.reply(t(lang, 'profile.done'));
+        logger.info(`User ${userId} finished viewing profile`);
         return;
       }
 
-      const step = steps[currentStep];
-      const validationError = step.validate(userMessage);
-
-      if (validationError) {
-        await message.reply(validationError);
-        logger.info(`Validation error for ${userId} on ${step.field}: ${userMessage}`);
+      const profile = await getUserProfile(userId);
+      const fields = getEditableProfileFields(profile);
+      const selection = parseInt(userMessage);
+      if (isNaN(selection) || selection < 1 || selection > fields.length) {
+        await message.reply(t(lang, 'profile.select_invalid', { count: fields.length }));
+        logger.info(`Invalid profile field selection from ${userId}: ${userMessage}`);
         return;
       }
 
-      userState.data[step.field] = userMessage;
-      userState.step = currentStep + 1;
-      userStates.set(userId, userState);
-
-      if (userState.step < steps.length) {
-        await message.reply(steps[userState.step].prompt);
-        logger.info(`Prompted ${userId} for ${steps[userState.step].field}`);
+      const step = fields[selection - 1];
+      userState = { state: 'profile_edit', data: { field: step.field } };
+      await setUserState(userId, userState);
+      const text = t(lang, 'profile.edit', { prompt: t(lang, step.prompt), value: formatProfileValue(step.field, profile[step.field], lang) });
+      if (step.options) {
+        await replyWithChoices(message, text, step.options, lang);
       } else {
-        const fitnessPlan = await generateFitnessPlan(userState.data);
-        if (!fitnessPlan) {
-          await message.reply('Sorry, I couldn’t generate your fitness plan. Please try again with /fitness.');
-          logger.error(`Failed to generate fitness plan for ${userId}`);
-          userState = { state: 'initial', data: {} };
-          userStates.set(userId, userState);
-          return;
-        }
-
-        userState.data.fitness_plan = fitnessPlan;
-
-        const saved = await saveFitnessPlan(userId, userState.data);
-        if (!saved) {
-          await message.reply('Error saving your fitness plan. Please try again with /fitness.');
-          logger.error(`Failed to save fitness plan for ${userId}`);
-          userState = { state: 'initial', data: {} };
-          userStates.set(userId, userState);
-          return;
-        }
-
-        scheduleFitnessReminder(userId);
-
-        await message.reply(`
-*Your Personalized Fitness Plan*
-
-${fitnessPlan}
-
-⚠️ *Please consult a doctor before starting any fitness program.*
-Use /fitness to generate a new plan or /help for other commands.
-        `);
-        logger.info(`Sent fitness plan to ${userId}`);
-        userState = { state: 'initial', data: {} };
-        userStates.set(userId, userState);
+        await message.reply(text);
       }
+      logger.info(`Prompted ${userId} to edit ${step.field}`);
       return;
     }
 
-    if (userState.state === 'meal') {
-      const currentStep = userState.step;
-      const steps = MEAL_STEPS;
-
-      if (currentStep >= steps.length) {
-        const mealPlan = await generateMealPlan(userState.data);
-        if (!mealPlan) {
-          await message.reply('Sorry, I couldn’t generate your meal plan. Please try again with /meal.');
-          logger.error(`Failed to generate meal plan for ${userId}`);
-          userState = { state: 'initial', data: {} };
-          userStates.set(userId, userState);
-          return;
-        }
-
-        userState.data.meal_plan = mealPlan;
-
-        const saved = await saveMealPlan(userId, userState.data);
-        if (!saved) {
-          await message.reply('Error saving your meal plan. Please try again with /meal.');
-          logger.error(`Failed to save meal plan for ${userId}`);
-          userState = { state: 'initial', data: {} };
-          userStates.set(userId, userState);
-          return;
-        }
-
-        scheduleMealReminder(userId);
-
-        await message.reply(`
-*Your Personalized Meal Plan*
-
-${mealPlan}
-
-⚠️ *Please consult a doctor or nutritionist before starting any diet plan.*
-Use /meal to generate a new plan or /help for other commands.
-        `);
-        logger.info(`Sent meal plan to ${userId}`);
-        userState = { state: 'initial', data: {} };
-        userStates.set(userId, userState);
+    if (userState.state === 'profile_edit') {
+      const step = PROFILE_FIELDS.find(f => f.field === userState.data.field);
+      const answer = step.options ? matchChoice(userMessage, step.options) || userMessage : userMessage;
+      const context = await getStepContext(userId);
+      const validationError = step.validate(answer, context);
+      if (validationError) {
+        await message.reply(t(lang, validationError));
+        logger.info(`Validation error for ${userId} on ${step.field}: ${userMessage}`);
         return;
       }
 
-      const step = steps[currentStep];
-      const validationError = step.validate(userMessage);
+      const value = step.normalize ? step.normalize(answer, context) : answer;
+      await updateUserProfileField(userId, step.field, value);
+      const profile = await getUserProfile(userId);
+      if (step.field === 'language') {
+        setLanguagePreference(userId, value);
+        lang = await getUserLanguage(userId);
+      }
 
-      if (validationError) {
-        await message.reply(validationError);
-        logger.info(`Validation error for ${userId} on ${step.field}: ${userMessage}`);
+      // A user who now reports as female is asked about their cycle if we never asked before
+      if (step.field === 'sex' && profile.sex === 'female' && !profile.menstrual_cycle_type) {
+        userState = { state: 'profile_edit', data: { field: MENSTRUAL_CYCLE_STEP.field } };
+        await setUserState(userId, userState);
+        await replyWithChoices(message, t(lang, 'profile.sex_updated', { label: t(lang, 'profile.label.sex'), prompt: t(lang, MENSTRUAL_CYCLE_STEP.prompt) }), MENSTRUAL_CYCLE_STEP.options, lang);
+        logger.info(`Prompted ${userId} for menstrual cycle type after sex change`);
         return;
       }
 
-      userState.data[step.field] = userMessage;
-      userState.step = currentStep + 1;
-      userStates.set(userId, userState);
-
-      if (userState.step < steps.length) {
-        await message.reply(steps[userState.step].prompt);
-        logger.info(`Prompted ${userId} for ${steps[userState.step].field}`);
-      } else {
-        const mealPlan = await generateMealPlan(userState.data);
-        if (!mealPlan) {
-          await message.reply('Sorry, I couldn’t generate your meal plan. Please try again with /meal.');
-          logger.error(`Failed to generate meal plan for ${userId}`);
-          userState = { state: 'initial', data: {} };
-          userStates.set(userId, userState);
-          return;
+      let reply = t(lang, 'profile.field_updated', { label: t(lang, `profile.label.${step.field}`) });
+      if (step.field === 'location') {
+        const suggested = inferTimezone(userId, profile.location);
+        if (suggested !== (profile.timezone || DEFAULT_TIMEZONE)) {
+          reply += t(lang, 'profile.timezone_hint', { timezone: profile.timezone || DEFAULT_TIMEZONE, suggested });
         }
+      }
+      userState = { state: 'profile_select', data: {} };
+      await setUserState(userId, userState);
+      await message.reply(t(lang, 'profile.updated', { reply, profile: formatProfile(profile, lang) }));
+      logger.info(`User ${userId} updated profile field ${step.field}`);
+      return;
+    }
 
-        userState.data.meal_plan = mealPlan;
-
-        const saved = await saveMealPlan(userId, userState.data);
-        if (!saved) {
-          await message.reply('Error saving your meal plan. Please try again with /meal.');
-          logger.error(`Failed to save meal plan for ${userId}`);
-          userState = { state: 'initial', data: {} };
-          userStates.set(userId, userState);
+    if (userState.state === 'awaiting_timezone_confirmation') {
+      let timeZone = userState.data.timezone;
+      if (!matchOption(userMessage, ['yes'])) {
+        timeZone = resolveTimezone(message.body);
+        if (!timeZone) {
+          await message.reply(t(lang, 'timezone.invalid'));
+          logger.info(`Invalid time zone from ${userId}: ${userMessage}`);
           return;
         }
+        await updateUserTimezone(userId, timeZone);
+        await rescheduleUserJobs(userId);
+      }
 
-        scheduleMealReminder(userId);
-
-        await message.reply(`
-*Your Personalized Meal Plan*
-
-${mealPlan}
+      if (userState.data.onboarding) {
+        userState = { state: 'awaiting_assessment_choice', data: {} };
+        await setUserState(userId, userState);
+        await replyWithChoices(message, t(lang, 'timezone.set_onboarding', { timezone: timeZone, assessment_choice: t(lang, 'assessment.choice') }), ASSESSMENT_CHOICE_OPTIONS, lang);
+      } else {
+        userState = { state: 'initial', data: {} };
+        await setUserState(userId, userState);
+        await message.reply(t(lang, 'timezone.set', { timezone: timeZone, local_time: formatDateTimeInTimezone(new Date(), timeZone) }));
+      }
+      logger.info(`User ${userId} confirmed time zone ${timeZone}`);
+      return;
+    }
 
-⚠️ *Please consult a doctor or nutritionist before starting any diet plan.*
-Use /meal to generate a new plan or /help for other commands.
-        `);
-        logger.info(`Sent meal plan to ${userId}`);
+    if (userState.state === 'awaiting_assessment_choice') {
+      const choice = matchChoice(userMessage, ASSESSMENT_CHOICE_OPTIONS);
+      if (choice === 'now') {
+        userState = { state: 'assessing', data: {}, step: 0 };
+        await setUserState(userId, userState);
+        await replyWithStep(message, userState, ASSESSMENT_STEPS[0], lang);
+        logger.info(`User ${userId} chose to take assessment now`);
+      } else if (choice === 'later') {
+        await scheduleAssessmentReminder(userId);
         userState = { state: 'initial', data: {} };
-        userStates.set(userId, userState);
+        await setUserState(userId, userState);
+        await message.reply(t(lang, 'assessment.later'));
+        logger.info(`User ${userId} chose to take assessment later`);
+      } else if (choice === 'never') {
+        userState = { state: 'initial', data: {} };
+        await setUserState(userId, userState);
+        await message.reply(t(lang, 'assessment.never'));
+        logger.info(`User ${userId} declined assessment`);
+      } else {
+        await message.reply(t(lang, 'assessment.choice_invalid'));
+        logger.info(`Invalid assessment choice from ${userId}: ${userMessage}`);
       }
       return;
     }
 
     if (userState.state === 'cycle_update_choice') {
-      if (userMessage === 'yes') {
+      const choice = matchChoice(userMessage, YES_NO_OPTIONS);
+      if (choice === 'yes') {
         userState = { state: 'cycle_tracking', data: {}, step: 0 };
-        userStates.set(userId, userState);
-        await message.reply(CYCLE_STEPS[0].prompt);
+        await setUserState(userId, userState);
+        await replyWithStep(message, userState, CYCLE_STEPS[0], lang);
         logger.info(`User ${userId} chose to update cycle data`);
-      } else if (userMessage === 'no') {
+      } else if (choice === 'no') {
         userState = { state: 'initial', data: {} };
-        userStates.set(userId, userState);
-        await message.reply('Got it. Your cycle data remains unchanged. Use /cycle to update anytime or /help for other commands.');
+        await setUserState(userId, userState);
+        await message.reply(t(lang, 'cycle.unchanged'));
         logger.info(`User ${userId} chose not to update cycle data`);
       } else {
-        await message.reply('Please reply with *yes* or *no*.');
+        await message.reply(t(lang, 'reply.yes_no'));
         logger.info(`Invalid cycle update choice from ${userId}: ${userMessage}`);
       }
       return;
     }
 
-    if (userState.state === 'cycle_tracking') {
-      const currentStep = userState.step;
-      const steps = CYCLE_STEPS;
-
-      if (currentStep >= steps.length) {
-        const lastPeriodDate = userState.data.last_period_date;
-        const cycleLength = userState.data.average_cycle_length;
-        const predictedNextPeriod = calculateNextPeriod(lastPeriodDate, cycleLength);
+    if (userState.state === 'medication_choice') {
+      const reminders = userState.data.existingReminders;
+      const selection = parseInt(userMessage);
+      const choice = matchOption(userMessage, ['add', 'update']);
+      if (choice === 'add') {
+        userState = { state: 'medication_setup', data: {}, step: 0 };
+        await setUserState(userId, userState);
+        await replyWithStep(message, userState, MEDICATION_STEPS[0], lang);
+        logger.info(`User ${userId} chose to add a medication reminder`);
+      } else if (choice === 'update') {
+        userState = { state: 'medication_select', data: { existingReminders: reminders } };
+        await setUserState(userId, userState);
+        await message.reply(`${formatMedicationReminders(reminders, await getUserTimezone(userId), lang)}\n${t(lang, 'medication.select')}`);
+        logger.info(`Prompted ${userId} to select a medication reminder`);
+      } else if (!isNaN(selection) && selection >= 1 && selection <= reminders.length) {
+        userState = { state: 'medication_select', data: { existingReminders: reminders } };
+        await setUserState(userId, userState);
+        await handleMedicationSelection(message, userId, userState, selection);
+      } else {
+        await message.reply(t(lang, 'medication.choose_invalid'));
+        logger.info(`Invalid medication choice from ${userId}: ${userMessage}`);
+      }
+      return;
+    }
 
-        userState.data.predicted_next_period = predictedNextPeriod;
+    if (userState.state === 'medication_select') {
+      const selection = parseInt(userMessage);
+      if (isNaN(selection) || selection < 1 || selection > userState.data.existingReminders.length) {
+        await message.reply(t(lang, 'medication.select_invalid', { count: userState.data.existingReminders.length }));
+        logger.info(`Invalid medication selection from ${userId}: ${userMessage}`);
+        return;
+      }
+      await handleMedicationSelection(message, userId, userState, selection);
+      return;
+    }
 
-        const saved = await saveMenstrualCycle(userId, userState.data);
-        if (!saved) {
-          await message.reply('Error saving your cycle data. Please try again with /cycle.');
-          logger.error(`Failed to save cycle data for ${userId}`);
-          userState = { state: 'initial', data: {} };
-          userStates.set(userId, userState);
+    if (userState.state === 'medication_action') {
+      const reminder = userState.data.reminder;
+      const choice = matchOption(userMessage, ['edit', 'pause', 'resume', 'delete']);
+      if (choice === 'edit') {
+        userState = {
+          state: 'medication_setup',
+          data: {
+            id: reminder.id,
+            existing: {
+              medication_name: reminder.medication_name,
+              dosage: reminder.dosage,
+              schedule_time: reminder.schedule_time,
+              days_of_week: reminder.days_of_week,
+              course_days: reminder.end_date
+                ? String(Math.round((new Date(reminder.end_date) - new Date(reminder.start_date || reminder.created_at)) / (24 * 60 * 60 * 1000)) + 1)
+                : 'ongoing',
+              pill_count: reminder.pill_count === null ? 'none' : String(reminder.pill_count),
+              start_date: reminder.start_date ? formatDate(reminder.start_date) : null,
+              active: reminder.active
+            }
+          },
+          step: 0
+        };
+        await setUserState(userId, userState);
+        await replyWithStep(message, userState, MEDICATION_STEPS[0], lang);
+        logger.info(`User ${userId} started editing medication reminder ${reminder.id}`);
+      } else if (choice === 'pause' && reminder.active) {
+        const paused = await setMedicationReminderActive(userId, reminder.id, false);
+        await cancelScheduledJobs(`medication:${reminder.id}`);
+        userState = { state: 'initial', data: {} };
+        await setUserState(userId, userState);
+        if (!paused) {
+          await message.reply(t(lang, 'medication.not_found'));
           return;
         }
-
-        schedulePeriodReminder(userId, predictedNextPeriod);
-
-        await message.reply(`
-*Menstrual Cycle Tracking*
-
-- Last Period: ${lastPeriodDate}
-- Average Cycle Length: ${cycleLength} days
-- Predicted Next Period: ${predictedNextPeriod}
-
-I’ll remind you 3 days before your predicted next period. Use /cycle to update your details or /help for other commands.
-        `);
-        logger.info(`Saved and scheduled reminder for cycle data for ${userId}`);
+        await message.reply(t(lang, 'medication.paused_done', { name: reminder.medication_name }));
+        logger.info(`User ${userId} paused medication reminder ${reminder.id}`);
+      } else if (choice === 'resume' && !reminder.active) {
+        const resumed = await setMedicationReminderActive(userId, reminder.id, true);
         userState = { state: 'initial', data: {} };
-        userStates.set(userId, userState);
-        return;
-      }
-
-      const step = steps[currentStep];
-      const validationError = step.validate(userMessage);
-
-      if (validationError) {
-        await message.reply(validationError);
-        logger.info(`Validation error for ${userId} on ${step.field}: ${userMessage}`);
-        return;
+        await setUserState(userId, userState);
+        if (!resumed) {
+          await message.reply(t(lang, 'medication.not_found'));
+          return;
+        }
+        await scheduleMedicationReminder(userId, reminder);
+        await message.reply(t(lang, 'medication.resumed_done', { name: reminder.medication_name, times: reminder.schedule_time, days: formatDaysOfWeek(reminder.days_of_week, lang) }));
+        logger.info(`User ${userId} resumed medication reminder ${reminder.id}`);
+      } else if (choice === 'delete') {
+        userState = { state: 'medication_delete_confirm', data: { reminder } };
+        await setUserState(userId, userState);
+        await replyWithChoices(message, t(lang, 'medication.delete_confirm', { name: reminder.medication_name }), YES_NO_OPTIONS, lang);
+        logger.info(`Prompted ${userId} to confirm deleting medication reminder ${reminder.id}`);
+      } else {
+        await message.reply(t(lang, reminder.active ? 'medication.action_invalid_active' : 'medication.action_invalid_paused'));
+        logger.info(`Invalid medication action from ${userId}: ${userMessage}`);
       }
+      return;
+    }
 
-      userState.data[step.field] = userMessage;
-      userState.step = currentStep + 1;
-      userStates.set(userId, userState);
-
-      if (userState.step < steps.length) {
-        await message.reply(steps[userState.step].prompt);
-        logger.info(`Prompted ${userId} for ${steps[userState.step].field}`);
-      } else {
-        const saved = await saveMedicationReminder(userId, userState.data);
-        if (!saved) {
-          await message.reply('Error saving your medication reminder. Please try again with /medication.');
-          logger.error(`Failed to save medication reminder for ${userId}`);
-          userState = { state: 'initial', data: {} };
-          userStates.set(userId, userState);
+    if (userState.state === 'medication_delete_confirm') {
+      const reminder = userState.data.reminder;
+      const choice = matchChoice(userMessage, YES_NO_OPTIONS);
+      if (choice === 'yes') {
+        await cancelScheduledJobs(`medication:${reminder.id}`);
+        const deleted = await deleteMedicationReminder(userId, reminder.id);
+        userState = { state: 'initial', data: {} };
+        await setUserState(userId, userState);
+        if (!deleted) {
+          await message.reply(t(lang, 'medication.not_found'));
           return;
         }
+        await message.reply(t(lang, 'medication.deleted', { name: reminder.medication_name }));
+        logger.info(`User ${userId} deleted medication reminder ${reminder.id}`);
+      } else if (choice === 'no') {
+        userState = { state: 'initial', data: {} };
+        await setUserState(userId, userState);
+        await message.reply(t(lang, 'medication.kept', { name: reminder.medication_name }));
+        logger.info(`User ${userId} kept medication reminder ${reminder.id}`);
+      } else {
+        await message.reply(t(lang, 'reply.yes_no'));
+        logger.info(`Invalid delete confirmation from ${userId}: ${userMessage}`);
+      }
+      return;
+    }
 
-        scheduleMedicationReminder(userId, userState.data);
-
-        await message.reply(`
-*Medication Reminder Set*
-
-- Medication: ${userState.data.medication_name}
-- Dosage: ${userState.data.dosage}
-- Time: ${userState.data.schedule_time}
-- Days: ${userState.data.days_of_week}
-
-I'll remind you as scheduled. Use /medication to add or update reminders, or /help for other commands.
-        `);
-        logger.info(`Set medication reminder for ${userId}: ${userState.data.medication_name}`);
+    if (userState.state === 'medication_conflict_confirm') {
+      const data = userState.data;
+      const choice = matchChoice(userMessage, YES_NO_OPTIONS);
+      if (choice === 'yes') {
+        userState = { state: 'medication_setup', data: { ...data, conflicts_confirmed: true }, step: MEDICATION_STEPS.length };
+        await setUserState(userId, userState);
+        logger.info(`User ${userId} confirmed medication reminder for ${data.medication_name} despite warnings`);
+        await completeMedicationSetup(message, userId, userState);
+      } else if (choice === 'no') {
         userState = { state: 'initial', data: {} };
-        userStates.set(userId, userState);
+        await setUserState(userId, userState);
+        await message.reply(t(lang, 'medication.warnings_cancelled', { name: data.medication_name }));
+        logger.info(`User ${userId} cancelled medication reminder for ${data.medication_name} after warnings`);
+      } else {
+        await message.reply(t(lang, 'medication.warnings_invalid'));
+        logger.info(`Invalid medication warning response from ${userId}: ${userMessage}`);
       }
       return;
     }
 
-    await message.reply('I didn’t understand that. Please use a command like /start or /help to get started.');
+    if (FLOW_STEPS[userState.state]) {
+      await handleFlowStep(message, userId, userState, userMessage);
+      return;
+    }
+
+    // Free text outside any flow, e.g. "I have a headache since yesterday", starts the matching flow
+    if (userState.state === 'initial' && !userMessage.startsWith('/')) {
+      const intent = await recognizeIntent(userId, message.body);
+      if (intent) {
+        await handleIntent(message, userId, intent, lang);
+        return;
+      }
+    }
+
+    await message.reply(t(lang, 'reply.unrecognized'));
     logger.info(`Unrecognized input from ${userId}: ${userMessage}`);
   } catch (err) {
     logger.error(`Error handling message from ${userId}: ${err.stack}`);
-    await message.reply('Sorry, something went wrong. Please try again or use /help for assistance.');
+    await message.reply(t(await getUserLanguage(userId).catch(() => DEFAULT_LANGUAGE), 'reply.error'));
   }
-});
+}
 
-// Clean up Puppeteer on exit
+// Stop the transports on exit, which closes the Puppeteer browser of WhatsApp Web
 process.on('exit', async () => {
-  logger.info('Closing Puppeteer browser on exit');
-  await client.destroy(); // This closes the Puppeteer browser
+  logger.info('Stopping transports on exit');
+  await stopTransports();
 });
 
 process.on('SIGINT', async () => {
-  logger.info('Received SIGINT, closing Puppeteer browser');
-  await client.destroy();
+  logger.info('Received SIGINT, stopping transports');
+  await stopTransports();
   process.exit(0);
 });
 
-client.initialize().catch(err => {
-  logger.error(`Failed to initialize WhatsApp client: ${err.message}`);
+startTransports({ logger, onReady: handleReady, onMessage: handleMessage }).catch(err => {
+  logger.error(`Failed to start transports: ${err.message}`);
   process.exit(1);
 });
\ No newline at end of file
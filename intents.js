@@ -0,0 +1,229 @@
+// Rule-based intent recognition for free-text messages such as "I have a headache since yesterday" or
+// "remind me to take metformin at 8". Each intent maps to an existing command and the flow it starts;
+// the fields pulled out of the text are raw answers that the flow's own steps validate before use.
+// Phrases are matched on whole words after lowercasing, like the emergency rules in triage.js.
+const { parseDate } = require('./datetime');
+
+const INTENTS = {
+  medication: { command: '/medication', flow: 'medication_setup', fields: ['medication_name', 'dosage', 'schedule_time', 'days_of_week'] },
+  cycle: { command: '/cycle', flow: 'cycle_tracking', fields: ['last_period_date', 'average_cycle_length'] },
+  assessment: { command: '/assessment', flow: 'assessing', fields: [] },
+  fitness: { command: '/fitness', flow: 'fitness', fields: ['fitness_goal', 'activity_level', 'available_days', 'available_minutes'] },
+  meal: { command: '/meal', flow: 'meal', fields: ['dietary_preference', 'health_goal', 'meals_per_day'] },
+  diagnose: { command: '/diagnose', flow: 'diagnosing', fields: ['symptoms', 'severity', 'duration'] },
+  question: { command: '/ask', flow: null, fields: ['question'] }
+};
+
+// Checked in this order; the first intent with a matching phrase wins. Questions are matched separately.
+const INTENT_PHRASES = {
+  medication: {
+    en: ['remind me to take', 'remind me about my', 'medication reminder', 'medicine reminder', 'pill reminder'],
+    sw: ['nikumbushe kutumia', 'nikumbushe kumeza', 'nikumbushe kunywa', 'kikumbusho cha dawa']
+  },
+  cycle: {
+    en: ['my period', 'menstrual', 'menstruation', 'track my cycle', 'period tracker', 'period tracking'],
+    sw: ['hedhi', 'mzunguko wangu']
+  },
+  assessment: {
+    en: ['health assessment', 'health check', 'check my health', 'health test', 'health score', 'assess my health'],
+    sw: ['kipimo cha afya', 'pima afya', 'kupima afya']
+  },
+  fitness: {
+    en: ['fitness plan', 'workout', 'work out', 'exercise plan', 'exercise routine', 'training plan', 'get fit'],
+    sw: ['mpango wa mazoezi', 'mazoezi']
+  },
+  meal: {
+    en: ['meal plan', 'diet plan', 'what should i eat', 'what to eat', 'healthy eating', 'nutrition plan'],
+    sw: ['mpango wa chakula', 'mpango wa milo', 'lishe', 'nile nini']
+  },
+  diagnose: {
+    en: ['pain', 'ache', 'aches', 'headache', 'stomach ache', 'fever', 'cough', 'coughing', 'sore', 'hurts', 'hurting',
+      'vomiting', 'nausea', 'diarrhea', 'diarrhoea', 'dizzy', 'dizziness', 'rash', 'itchy', 'itching', 'swollen',
+      'swelling', 'fatigue', 'flu', 'a cold', 'sneezing', 'runny nose', 'symptoms', 'feel sick', 'feeling sick', 'unwell'],
+    sw: ['maumivu', 'inauma', 'kinauma', 'yananiuma', 'naumwa', 'homa', 'kikohozi', 'nakohoa', 'kichefuchefu',
+      'natapika', 'kuhara', 'kizunguzungu', 'upele', 'kuwashwa', 'uchovu', 'mafua', 'dalili', 'uvimbe']
+  }
+};
+
+// "No pain today" or "the pain is gone now" mention a symptom without reporting one: a negation just before it,
+// or words after it saying it has passed
+const SYMPTOM_NEGATIONS = ['no', 'not', 'without', 'dont', 'never', 'no more', 'no longer', 'free of', 'sina', 'hakuna', 'bila'];
+const SYMPTOM_RESOLVED = /^ (?:\S+ ){0,2}(?:is|are|has|have|its)? ?(?:gone|better|over|stopped|went away|cleared|imeisha|zimeisha|imepona|imekwisha|imepungua) /;
+
+const QUESTION_STARTS = {
+  en: ['what', 'why', 'how', 'when', 'which', 'is', 'are', 'can', 'should', 'does', 'do'],
+  sw: ['je', 'kwa nini', 'vipi', 'ni nini', 'nifanye nini']
+};
+
+const NUMBER_WORDS = { a: 1, an: 1, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, few: 3, couple: 2 };
+
+function normalize(text) {
+  return ` ${(text || '').toLowerCase().replace(/['’`]/g, '').replace(/[^a-z0-9:]+/g, ' ').trim()} `;
+}
+
+function containsPhrase(normalized, phrases) {
+  return Object.values(phrases).some(list => list.some(phrase => normalized.includes(` ${phrase} `)));
+}
+
+function isReportedSymptom(normalized, phrase) {
+  const target = ` ${phrase} `;
+  for (let index = normalized.indexOf(target); index !== -1; index = normalized.indexOf(target, index + 1)) {
+    const before = ` ${normalized.slice(0, index + 1).trim().split(' ').slice(-2).join(' ')} `;
+    const negated = SYMPTOM_NEGATIONS.some(cue => before.endsWith(` ${cue} `));
+    if (!negated && !SYMPTOM_RESOLVED.test(normalized.slice(index + target.length - 1))) return true;
+  }
+  return false;
+}
+
+function containsSymptom(normalized) {
+  return Object.values(INTENT_PHRASES.diagnose).some(list => list.some(phrase => isReportedSymptom(normalized, phrase)));
+}
+
+const DOSAGE_PATTERN = /\b(\d+(?:\.\d+)?\s*(?:mg|mcg|g|ml|iu|units?|tablets?|pills?|capsules?|vidonge|kidonge))\b/;
+const TIME_LIST_PATTERN = /\b(?:at|saa)\s+(\d{1,2}(?::\d{2})?\s*(?:am|pm)?(?:\s*(?:,|and|na)\s*\d{1,2}(?::\d{2})?\s*(?:am|pm)?)*)/;
+const MEAL_TIME_PATTERN = /\b((?:before|after|with) (?:my )?(?:breakfast|lunch|dinner|supper|bedtime|bed)|(?:kabla|baada) ya (?:kulala|kifungua kinywa|chakula cha (?:mchana|jioni|usiku)))\b/;
+const FREQUENCY_PATTERN = /\b(once|twice|three times|four times)\s+(?:a day|daily|per day)\b|\b(mara (?:moja|mbili|tatu|nne) kwa siku)\b|\b(every \d{1,2} hours?(?: from \d{1,2}:\d{2})?)\b/;
+
+function extractMedicationFields(text) {
+  const fields = {};
+  const dosage = text.match(DOSAGE_PATTERN);
+  if (dosage) fields.dosage = dosage[1];
+
+  // Times are passed on as written; the schedule step reads them and repeats them back for confirmation
+  const times = text.match(TIME_LIST_PATTERN);
+  const mealTime = text.match(MEAL_TIME_PATTERN);
+  const frequency = text.match(FREQUENCY_PATTERN);
+  if (times) {
+    fields.schedule_time = times[1].trim();
+  } else if (mealTime) {
+    fields.schedule_time = mealTime[1];
+  } else if (frequency) {
+    fields.schedule_time = frequency[1] ? `${frequency[1]} daily` : frequency[2] || frequency[3];
+  }
+  if (/\b(?:daily|every day|each day|kila siku)\b/.test(text) || (frequency && !frequency[3])) fields.days_of_week = 'daily';
+
+  const name = text.match(/(?:remind me to take|remind me about|nikumbushe (?:kutumia|kumeza|kunywa))\s+(?:my\s+)?(.+)$/);
+  if (name) {
+    const medication = name[1]
+      .replace(DOSAGE_PATTERN, ' ')
+      .split(/\s+(?:at|every|each|daily|once|twice|three times|four times|in the|before|after|with|saa|kila|mara|kabla|baada)\b/)[0]
+      .replace(/\s+(?:of|ya|za)$/, '')
+      .replace(/[.,!]+$/, '')
+      .trim();
+    if (medication) fields.medication_name = medication;
+  }
+  return fields;
+}
+
+function extractCycleFields(text) {
+  const fields = {};
+  const date = text.match(/\b(\d{4}-\d{2}-\d{2})\b/);
+  // "my period started last monday" or "hedhi yangu ilianza jana"
+  const started = text.match(/\b(?:started|began|came|ilianza|ilikuja)\s+(?:on\s+)?(.+?)\s*(?:,|\.|\band\b|\bna\b|$)/);
+  if (date) fields.last_period_date = date[1];
+  else if (started && parseDate(started[1])) fields.last_period_date = started[1];
+  const length = text.match(/\b(\d{2})[- ]day cycle\b|\bmzunguko wa siku (\d{2})\b/);
+  if (length) fields.average_cycle_length = length[1] || length[2];
+  return fields;
+}
+
+function extractFitnessFields(text) {
+  const fields = {};
+  if (/\b(?:lose weight|weight loss|kupunguza uzito)\b/.test(text)) fields.fitness_goal = 'weight loss';
+  else if (/\b(?:build muscle|gain muscle|muscle gain|kujenga misuli)\b/.test(text)) fields.fitness_goal = 'muscle gain';
+  const level = text.match(/\b(beginner|intermediate|advanced)\b/);
+  if (level) fields.activity_level = level[1];
+  const days = text.match(/\b([0-7]) days? (?:a|per) week\b|\bsiku ([0-7]) kwa wiki\b/);
+  if (days) fields.available_days = days[1] || days[2];
+  const minutes = text.match(/\b(\d{2,3}) ?(?:minutes?|mins?|dakika)\b|\bdakika (\d{2,3})\b/);
+  if (minutes) fields.available_minutes = minutes[1] || minutes[2];
+  return fields;
+}
+
+function extractMealFields(text) {
+  const fields = {};
+  const preference = text.match(/\b(vegan|vegetarian|omnivore)\b/);
+  if (preference) fields.dietary_preference = preference[1];
+  if (/\b(?:lose weight|weight loss|kupunguza uzito)\b/.test(text)) fields.health_goal = 'weight loss';
+  else if (/\b(?:build muscle|gain muscle|muscle gain|kujenga misuli)\b/.test(text)) fields.health_goal = 'muscle gain';
+  const meals = text.match(/\b([2-5]) meals\b|\bmilo ([2-5])\b/);
+  if (meals) fields.meals_per_day = meals[1] || meals[2];
+  return fields;
+}
+
+const DURATION_PATTERNS = [
+  /\b(?:for|since)\s+(?:the\s+)?(?:past\s+|last\s+)?(?:\d+|a|an|one|two|three|four|five|six|seven|few|couple of)\s+(?:hours?|days?|weeks?|months?)\b/,
+  /\bsince\s+(?:yesterday|last night|this morning|today|last week|monday|tuesday|wednesday|thursday|friday|saturday|sunday)\b/,
+  /\b(?:kwa|tangu)\s+(?:siku|wiki|saa|miezi|mwezi)\s+\w+\b/,
+  /\btangu\s+(?:jana|juzi|asubuhi|jana usiku|wiki iliyopita)\b/
+];
+
+function extractDiagnosisFields(text) {
+  const fields = {};
+  let symptoms = text;
+  for (const pattern of DURATION_PATTERNS) {
+    const duration = text.match(pattern);
+    if (duration) {
+      fields.duration = duration[0].replace(/^for\s+(?:the\s+)?(?:past\s+|last\s+)?/, '').replace(/^kwa\s+/, '');
+      const count = fields.duration.split(' ')[0];
+      if (NUMBER_WORDS[count]) fields.duration = fields.duration.replace(/^(?:couple of|\w+)/, String(NUMBER_WORDS[count]));
+      symptoms = symptoms.replace(duration[0], ' ');
+      break;
+    }
+  }
+  const severity = text.match(/\b(mild|slight|moderate|severe|terrible|unbearable)\b/);
+  if (severity) fields.severity = { slight: 'mild', terrible: 'severe', unbearable: 'severe' }[severity[1]] || severity[1];
+
+  symptoms = symptoms
+    .replace(/^\s*(?:hi|hello|habari)[,!.]?\s+/, '')
+    .replace(/^\s*(?:i have had|i have|ive had|ive got|i've had|i've got|i got|i feel|im feeling|i'm feeling|i am feeling|i am having|im having|nina|naumwa na|najisikia)\s+(?:a |an )?/, '')
+    .replace(/\s+/g, ' ')
+    .replace(/ ,/g, ',')
+    .replace(/[\s.,!]+$/, '')
+    .trim();
+  if (symptoms) fields.symptoms = symptoms;
+  return fields;
+}
+
+const FIELD_EXTRACTORS = {
+  medication: extractMedicationFields,
+  cycle: extractCycleFields,
+  assessment: () => ({}),
+  fitness: extractFitnessFields,
+  meal: extractMealFields,
+  diagnose: extractDiagnosisFields
+};
+
+function startsWithQuestionWord(normalized) {
+  return Object.values(QUESTION_STARTS).some(list => list.some(word => normalized.startsWith(` ${word} `)));
+}
+
+// Returns { intent, fields } for the first matching rule, or null when the text needs the AI fallback
+function matchIntent(text) {
+  const lower = (text || '').toLowerCase().replace(/[’`]/g, '\'').trim();
+  const normalized = normalize(lower);
+  const words = normalized.trim().split(' ').filter(Boolean);
+  if (words.length < 2) return null;
+
+  for (const intent of ['medication', 'cycle', 'assessment', 'fitness', 'meal']) {
+    if (containsPhrase(normalized, INTENT_PHRASES[intent])) {
+      return { intent, fields: FIELD_EXTRACTORS[intent](lower) };
+    }
+  }
+  // "Why do I get headaches?" is a question about a symptom rather than a report of one
+  if (startsWithQuestionWord(normalized)) {
+    return { intent: 'question', fields: { question: text.trim() } };
+  }
+  if (containsSymptom(normalized)) {
+    return { intent: 'diagnose', fields: FIELD_EXTRACTORS.diagnose(lower) };
+  }
+  if (lower.endsWith('?') && words.length >= 3) {
+    return { intent: 'question', fields: { question: text.trim() } };
+  }
+  return null;
+}
+
+module.exports = {
+  INTENTS,
+  matchIntent
+};
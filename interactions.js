@@ -0,0 +1,290 @@
+const { t } = require('./i18n');
+
+// Local medication dataset for interaction, duplicate-ingredient and allergy checks. It covers common
+// medicines rather than every product, so an unrecognised name produces no warnings, not a clean bill.
+
+// Generic ingredients and the drug classes they belong to
+const INGREDIENTS = {
+  paracetamol: ['analgesic'],
+  ibuprofen: ['nsaid'],
+  diclofenac: ['nsaid'],
+  naproxen: ['nsaid'],
+  aspirin: ['nsaid', 'antiplatelet'],
+  caffeine: ['stimulant'],
+  codeine: ['opioid'],
+  tramadol: ['opioid'],
+  morphine: ['opioid'],
+  amoxicillin: ['penicillin'],
+  ampicillin: ['penicillin'],
+  flucloxacillin: ['penicillin'],
+  phenoxymethylpenicillin: ['penicillin'],
+  clavulanate: ['beta-lactamase inhibitor'],
+  cefalexin: ['cephalosporin'],
+  ceftriaxone: ['cephalosporin'],
+  cefuroxime: ['cephalosporin'],
+  azithromycin: ['macrolide'],
+  clarithromycin: ['macrolide'],
+  erythromycin: ['macrolide'],
+  ciprofloxacin: ['fluoroquinolone'],
+  doxycycline: ['tetracycline'],
+  metronidazole: ['nitroimidazole'],
+  sulfamethoxazole: ['sulfonamide'],
+  trimethoprim: ['antifolate'],
+  fluconazole: ['azole antifungal'],
+  warfarin: ['anticoagulant'],
+  clopidogrel: ['antiplatelet'],
+  metformin: ['biguanide'],
+  glibenclamide: ['sulfonylurea'],
+  insulin: ['insulin'],
+  lisinopril: ['ace inhibitor'],
+  enalapril: ['ace inhibitor'],
+  losartan: ['arb'],
+  amlodipine: ['calcium channel blocker'],
+  hydrochlorothiazide: ['thiazide diuretic'],
+  spironolactone: ['potassium-sparing diuretic'],
+  atenolol: ['beta blocker'],
+  simvastatin: ['statin'],
+  atorvastatin: ['statin'],
+  sertraline: ['ssri'],
+  fluoxetine: ['ssri'],
+  diazepam: ['benzodiazepine'],
+  omeprazole: ['proton pump inhibitor'],
+  sildenafil: ['pde5 inhibitor'],
+  isosorbide: ['nitrate'],
+  glyceryl_trinitrate: ['nitrate'],
+  methotrexate: ['antimetabolite'],
+  prednisolone: ['corticosteroid'],
+  salbutamol: ['bronchodilator'],
+  levothyroxine: ['thyroid hormone'],
+  artemether: ['antimalarial'],
+  lumefantrine: ['antimalarial']
+};
+
+// Brand, alternative and combination names mapped to their generic ingredients
+const PRODUCT_NAMES = {
+  acetaminophen: ['paracetamol'],
+  panadol: ['paracetamol'],
+  'panadol extra': ['paracetamol', 'caffeine'],
+  calpol: ['paracetamol'],
+  tylenol: ['paracetamol'],
+  hedex: ['paracetamol', 'caffeine'],
+  'mara moja': ['paracetamol', 'aspirin', 'caffeine'],
+  'cold cap': ['paracetamol'],
+  'tylenol with codeine': ['paracetamol', 'codeine'],
+  'co-codamol': ['paracetamol', 'codeine'],
+  brufen: ['ibuprofen'],
+  advil: ['ibuprofen'],
+  nurofen: ['ibuprofen'],
+  voltaren: ['diclofenac'],
+  cataflam: ['diclofenac'],
+  disprin: ['aspirin'],
+  amoxil: ['amoxicillin'],
+  augmentin: ['amoxicillin', 'clavulanate'],
+  'co-amoxiclav': ['amoxicillin', 'clavulanate'],
+  'penicillin v': ['phenoxymethylpenicillin'],
+  penicillin: ['phenoxymethylpenicillin'],
+  keflex: ['cefalexin'],
+  cephalexin: ['cefalexin'],
+  zithromax: ['azithromycin'],
+  cipro: ['ciprofloxacin'],
+  flagyl: ['metronidazole'],
+  septrin: ['sulfamethoxazole', 'trimethoprim'],
+  bactrim: ['sulfamethoxazole', 'trimethoprim'],
+  'co-trimoxazole': ['sulfamethoxazole', 'trimethoprim'],
+  diflucan: ['fluconazole'],
+  coumadin: ['warfarin'],
+  plavix: ['clopidogrel'],
+  glucophage: ['metformin'],
+  daonil: ['glibenclamide'],
+  zestril: ['lisinopril'],
+  cozaar: ['losartan'],
+  norvasc: ['amlodipine'],
+  aldactone: ['spironolactone'],
+  tenormin: ['atenolol'],
+  zocor: ['simvastatin'],
+  lipitor: ['atorvastatin'],
+  zoloft: ['sertraline'],
+  prozac: ['fluoxetine'],
+  valium: ['diazepam'],
+  losec: ['omeprazole'],
+  viagra: ['sildenafil'],
+  ventolin: ['salbutamol'],
+  albuterol: ['salbutamol'],
+  eltroxin: ['levothyroxine'],
+  coartem: ['artemether', 'lumefantrine'],
+  'glyceryl trinitrate': ['glyceryl_trinitrate'],
+  nitroglycerin: ['glyceryl_trinitrate']
+};
+
+// Each pair is either an ingredient or a class; the first matching entry is reported. Effects are
+// message keys under interaction.effect in the locale catalogues.
+const INTERACTIONS = [
+  { pair: ['anticoagulant', 'nsaid'], severity: 'major', effect: 'bleeding' },
+  { pair: ['anticoagulant', 'antiplatelet'], severity: 'major', effect: 'bleeding' },
+  { pair: ['warfarin', 'metronidazole'], severity: 'major', effect: 'warfarin_bleeding' },
+  { pair: ['warfarin', 'fluconazole'], severity: 'major', effect: 'warfarin_bleeding' },
+  { pair: ['warfarin', 'macrolide'], severity: 'moderate', effect: 'warfarin_bleeding' },
+  { pair: ['warfarin', 'ciprofloxacin'], severity: 'moderate', effect: 'warfarin_bleeding' },
+  { pair: ['warfarin', 'sulfamethoxazole'], severity: 'major', effect: 'warfarin_bleeding' },
+  { pair: ['pde5 inhibitor', 'nitrate'], severity: 'major', effect: 'low_blood_pressure' },
+  { pair: ['ssri', 'tramadol'], severity: 'major', effect: 'serotonin_syndrome' },
+  { pair: ['ssri', 'nsaid'], severity: 'moderate', effect: 'stomach_bleeding' },
+  { pair: ['opioid', 'benzodiazepine'], severity: 'major', effect: 'slowed_breathing' },
+  { pair: ['methotrexate', 'trimethoprim'], severity: 'major', effect: 'methotrexate_toxicity' },
+  { pair: ['methotrexate', 'nsaid'], severity: 'major', effect: 'methotrexate_toxicity' },
+  { pair: ['simvastatin', 'clarithromycin'], severity: 'major', effect: 'rhabdomyolysis' },
+  { pair: ['simvastatin', 'erythromycin'], severity: 'major', effect: 'rhabdomyolysis' },
+  { pair: ['ace inhibitor', 'potassium-sparing diuretic'], severity: 'moderate', effect: 'high_potassium' },
+  { pair: ['arb', 'potassium-sparing diuretic'], severity: 'moderate', effect: 'high_potassium' },
+  { pair: ['ace inhibitor', 'nsaid'], severity: 'moderate', effect: 'kidney_problems' },
+  { pair: ['arb', 'nsaid'], severity: 'moderate', effect: 'kidney_problems' },
+  { pair: ['clopidogrel', 'omeprazole'], severity: 'moderate', effect: 'clopidogrel_weaker' },
+  { pair: ['corticosteroid', 'nsaid'], severity: 'moderate', effect: 'stomach_ulcers' },
+  { pair: ['sulfonylurea', 'fluconazole'], severity: 'moderate', effect: 'low_blood_sugar' }
+];
+
+// Words people use for allergies to whole groups of medicines
+const ALLERGY_CLASS_TERMS = {
+  penicillin: 'penicillin',
+  penicillins: 'penicillin',
+  cephalosporin: 'cephalosporin',
+  cephalosporins: 'cephalosporin',
+  sulfa: 'sulfonamide',
+  sulpha: 'sulfonamide',
+  sulfonamide: 'sulfonamide',
+  sulfonamides: 'sulfonamide',
+  nsaid: 'nsaid',
+  nsaids: 'nsaid',
+  macrolide: 'macrolide',
+  macrolides: 'macrolide',
+  opioid: 'opioid',
+  opioids: 'opioid',
+  quinolone: 'fluoroquinolone',
+  quinolones: 'fluoroquinolone'
+};
+
+// Classes that can cause a reaction in people allergic to a related class
+const CROSS_REACTIVE_CLASSES = {
+  penicillin: ['cephalosporin'],
+  cephalosporin: ['penicillin']
+};
+
+function normalize(text) {
+  return ` ${(text || '').toLowerCase().replace(/[^a-z0-9-]+/g, ' ').trim()} `;
+}
+
+const KNOWN_NAMES = [
+  ...Object.keys(INGREDIENTS).map(name => [name.replace(/_/g, ' '), [name]]),
+  ...Object.entries(PRODUCT_NAMES)
+].sort((a, b) => b[0].length - a[0].length);
+
+// Finds every known medicine in free text such as "Panadol Extra and metformin 500mg"
+function findMedications(text) {
+  let remaining = normalize(text);
+  const found = [];
+  for (const [name, ingredients] of KNOWN_NAMES) {
+    const token = ` ${name} `;
+    if (remaining.includes(token)) {
+      found.push({ name, ingredients });
+      // Longer names are checked first, so "panadol extra" is not matched again as "panadol"
+      remaining = remaining.split(token).join(' ');
+    }
+  }
+  return found;
+}
+
+function getClasses(ingredients) {
+  return [...new Set(ingredients.flatMap(ingredient => INGREDIENTS[ingredient] || []))];
+}
+
+function formatIngredient(ingredient) {
+  return ingredient.replace(/_/g, ' ');
+}
+
+function findInteraction(ingredientsA, ingredientsB) {
+  const termsA = [...ingredientsA, ...getClasses(ingredientsA)];
+  const termsB = [...ingredientsB, ...getClasses(ingredientsB)];
+  return INTERACTIONS.find(({ pair: [first, second] }) =>
+    (termsA.includes(first) && termsB.includes(second)) || (termsA.includes(second) && termsB.includes(first)));
+}
+
+function findAllergyConflict(ingredients, allergiesText) {
+  const classes = getClasses(ingredients);
+  const allergyWords = normalize(allergiesText).trim().split(' ');
+  const allergyClasses = allergyWords.map(word => ALLERGY_CLASS_TERMS[word]).filter(Boolean);
+  for (const allergen of findMedications(allergiesText)) {
+    const shared = allergen.ingredients.find(ingredient => ingredients.includes(ingredient));
+    if (shared) return { allergen: allergen.name, reason: ['interaction.reason_contains', { ingredient: formatIngredient(shared) }], severity: 'major' };
+    allergyClasses.push(...getClasses(allergen.ingredients).filter(allergyClass => ALLERGY_CLASS_TERMS[allergyClass]));
+  }
+  for (const allergyClass of allergyClasses) {
+    if (classes.includes(allergyClass)) {
+      return { allergen: allergyClass, reason: ['interaction.reason_same_class', { drug_class: allergyClass }], severity: 'major' };
+    }
+    const related = (CROSS_REACTIVE_CLASSES[allergyClass] || []).find(relatedClass => classes.includes(relatedClass));
+    if (related) {
+      return { allergen: allergyClass, reason: ['interaction.reason_cross_reactive', { related, drug_class: allergyClass }], severity: 'moderate' };
+    }
+  }
+  return null;
+}
+
+// Checks a medication against the user's allergies, profile medications and other active reminders.
+// Returns a list of { type, severity, message } warnings, empty when nothing is known to conflict.
+function checkMedication(medicationName, { allergies, profileMedications, otherMedications = [] }, language = 'en') {
+  const medicines = findMedications(medicationName);
+  const ingredients = [...new Set(medicines.flatMap(medicine => medicine.ingredients))];
+  if (ingredients.length === 0) return [];
+
+  const warnings = [];
+  const allergy = findAllergyConflict(ingredients, allergies);
+  if (allergy) {
+    warnings.push({
+      type: 'allergy',
+      severity: allergy.severity,
+      message: t(language, 'interaction.allergy', { allergen: allergy.allergen, reason: t(language, ...allergy.reason) })
+    });
+  }
+
+  const sameMedicine = (other) => other.ingredients.length === ingredients.length &&
+    other.ingredients.every(ingredient => ingredients.includes(ingredient));
+  // A profile entry with the same ingredients is usually the medicine the reminder is being set up for
+  const current = [
+    ...findMedications(profileMedications).filter(other => !sameMedicine(other)),
+    ...otherMedications.flatMap(name => findMedications(name))
+  ];
+  const names = new Set(medicines.map(medicine => medicine.name));
+  const reported = new Set();
+  for (const other of current) {
+    if (reported.has(other.name) || names.has(other.name)) continue;
+    const duplicate = other.ingredients.find(ingredient => ingredients.includes(ingredient) && ingredient !== 'caffeine');
+    if (duplicate) {
+      reported.add(other.name);
+      warnings.push({
+        type: 'duplicate',
+        severity: 'major',
+        message: t(language, 'interaction.duplicate', { other: other.name, ingredient: formatIngredient(duplicate) })
+      });
+      continue;
+    }
+    const interaction = findInteraction(ingredients, other.ingredients);
+    if (interaction) {
+      reported.add(other.name);
+      warnings.push({
+        type: 'interaction',
+        severity: interaction.severity,
+        message: t(language, 'interaction.interaction', {
+          other: other.name,
+          effect: t(language, `interaction.effect.${interaction.effect}`),
+          severity: t(language, `interaction.severity.${interaction.severity}`)
+        })
+      });
+    }
+  }
+  return warnings;
+}
+
+module.exports = {
+  findMedications,
+  checkMedication
+};
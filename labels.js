@@ -0,0 +1,71 @@
+const { findMedications } = require('./interactions');
+
+// Pulls the medication name, strength and dosing frequency out of the OCR text of a pill box, pharmacy label
+// or prescription. Like the fields from intents.js these are raw answers: the medication steps validate them
+// and the user confirms each one before anything is saved.
+
+const STRENGTH_PATTERN = /(\d+(?:[.,]\d+)?)\s*(mg|mcg|µg|ug|g|ml|iu|units?)\b(?:\s*\/\s*(\d+(?:[.,]\d+)?)\s*(ml))?/i;
+
+// Checked in order, so "three times daily" is not read as "daily"
+const FREQUENCY_RULES = [
+  { value: 'four times daily', pattern: /\b(?:four|4)\s*(?:times|x)\s*(?:a|per|each)?\s*day\b|\b(?:four|4)\s*times\s*daily\b|\bq\.?d\.?s\.?\b|\bq\.?i\.?d\.?\b|\b1\s*x\s*4\b|\bmara\s+nne\s+kwa\s+siku\b/ },
+  { value: 'three times daily', pattern: /\b(?:three|3)\s*(?:times|x)\s*(?:a|per|each)?\s*day\b|\b(?:three|3)\s*times\s*daily\b|\bthrice\b|\bt\.?d\.?s\.?\b|\bt\.?i\.?d\.?\b|\b1\s*x\s*3\b|\bmara\s+tatu\s+kwa\s+siku\b/ },
+  { value: 'twice daily', pattern: /\b(?:two|2)\s*(?:times|x)\s*(?:a|per|each)?\s*day\b|\b(?:two|2)\s*times\s*daily\b|\btwice\b|\bb\.?d\.?\b|\bb\.?i\.?d\.?\b|\b1\s*x\s*2\b|\bmara\s+mbili\s+kwa\s+siku\b/ },
+  { value: 'once daily', pattern: /\b(?:once|one time|1\s*time)\s*(?:a|per|each)?\s*day\b|\bonce\s+daily\b|\bo\.?d\.?\b|\bq\.?d\.?\b|\bdaily\b|\bevery day\b|\bmara\s+moja\s+kwa\s+siku\b|\bkila\s+siku\b/ }
+];
+
+// Packaging words that often sit next to the name, e.g. "AMOXICILLIN 500MG CAPSULES BP"
+const FORM_WORDS = /\b(?:tablets?|tabs?|capsules?|caps?|syrup|suspension|oral|solution|film[- ]coated|bp|usp|vidonge|kidonge)\b/gi;
+
+function formatNumber(value) {
+  return value.replace(',', '.');
+}
+
+function readStrength(text) {
+  const match = text.match(STRENGTH_PATTERN);
+  if (!match) return null;
+  const unit = match[2].toLowerCase().replace(/^(?:µg|ug)$/, 'mcg');
+  const strength = `${formatNumber(match[1])} ${unit}`;
+  return match[3] ? `${strength}/${formatNumber(match[3])} ${match[4].toLowerCase()}` : strength;
+}
+
+function readFrequency(text) {
+  const lower = text.toLowerCase();
+  const interval = lower.match(/\bevery\s+(\d{1,2})\s*(?:hours?|hrs?|h)\b|\b(\d{1,2})\s*[- ]?hourly\b|\bq\s*(\d{1,2})\s*h\b|\bkila\s+saa\s+(\d{1,2})\b/);
+  if (interval) return `every ${interval[1] || interval[2] || interval[3] || interval[4]} hours`;
+  const rule = FREQUENCY_RULES.find(({ pattern }) => pattern.test(lower));
+  return rule ? rule.value : null;
+}
+
+// A medicine from the local dataset wins; otherwise the words in front of the strength on the same line
+function readName(lines) {
+  const known = findMedications(lines.join(' '));
+  if (known.length > 0) return known[0].name;
+  const line = lines.find(candidate => STRENGTH_PATTERN.test(candidate));
+  if (!line) return null;
+  const name = line.slice(0, line.search(STRENGTH_PATTERN))
+    .replace(/^\s*rx\b/i, ' ')
+    .replace(FORM_WORDS, ' ')
+    .replace(/[^a-zA-Z\s-]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .toLowerCase();
+  return name.length >= 3 && name.length <= 40 ? name : null;
+}
+
+// The medication_name, dosage and schedule_time found in a label's OCR text, leaving out any it can't read
+function readMedicationLabel(text) {
+  const lines = (text || '').split('\n').map(line => line.trim()).filter(Boolean);
+  const fields = {};
+  const name = readName(lines);
+  if (name) fields.medication_name = name;
+  const strength = readStrength(lines.join('\n'));
+  if (strength) fields.dosage = strength;
+  const frequency = readFrequency(lines.join(' '));
+  if (frequency) fields.schedule_time = frequency;
+  return fields;
+}
+
+module.exports = {
+  readMedicationLabel
+};
@@ -0,0 +1,210 @@
+const { CohereClient } = require('cohere-ai');
+require('dotenv').config();
+
+// Providers are tried in LLM_PROVIDERS order (e.g. "cohere,openai,mock") until one returns text.
+// Models resolve per task and provider: <PROVIDER>_<TASK>_MODEL, then <PROVIDER>_MODEL, then the default below.
+// LLM_<TASK>_TEMPERATURE and LLM_<TASK>_MAX_TOKENS override the task settings.
+const PROVIDER_CHAIN = (process.env.LLM_PROVIDERS || 'cohere').split(',').map(name => name.trim().toLowerCase()).filter(Boolean);
+
+// Each attempt is cut off after LLM_TIMEOUT_MS; transient failures are retried LLM_MAX_RETRIES times with
+// exponential backoff. A provider failing LLM_BREAKER_THRESHOLD calls in a row is skipped for LLM_BREAKER_COOLDOWN_MS.
+const LLM_TIMEOUT_MS = parseInt(process.env.LLM_TIMEOUT_MS || '20000');
+const LLM_MAX_RETRIES = parseInt(process.env.LLM_MAX_RETRIES || '2');
+const LLM_RETRY_BASE_MS = parseInt(process.env.LLM_RETRY_BASE_MS || '500');
+const LLM_BREAKER_THRESHOLD = parseInt(process.env.LLM_BREAKER_THRESHOLD || '3');
+const LLM_BREAKER_COOLDOWN_MS = parseInt(process.env.LLM_BREAKER_COOLDOWN_MS || '60000');
+
+const TASK_SETTINGS = {
+  symptoms: { temperature: 0.3, maxTokens: 500 },
+  assessment: { temperature: 0.3, maxTokens: 500 },
+  fitness: { temperature: 0.7, maxTokens: 300 },
+  meal: { temperature: 0.7, maxTokens: 300 },
+  question: { temperature: 0.7, maxTokens: 200 },
+  intent: { temperature: 0, maxTokens: 150 }
+};
+
+const MOCK_RESPONSES = {
+  symptoms: JSON.stringify({
+    conditions: [{ name: 'Common cold', likelihood: 'possible' }],
+    home_care: ['Rest and drink plenty of fluids'],
+    red_flags: ['Difficulty breathing or chest pain'],
+    urgency: 'self_care'
+  }),
+  assessment: JSON.stringify({
+    analysis: 'Your answers suggest generally healthy habits with room to improve.',
+    recommendations: ['Aim for 7-9 hours of sleep', 'Exercise at least 30 minutes on most days']
+  }),
+  fitness: '**Weekly Plan**:\n- Day 1: 30 minutes brisk walking\n**Notes**: Mock plan for development.',
+  meal: '**Daily Meal Plan**:\n- Meal 1: Oatmeal with fruit\n**Notes**: Mock plan for development.',
+  question: '**Answer**: This is a mock answer for development. Please consult a doctor for medical advice.',
+  intent: JSON.stringify({ intent: 'none', fields: {} })
+};
+
+let cohere = null;
+
+const PROVIDERS = {
+  cohere: {
+    defaultModel: 'command-r-plus',
+    generate: async ({ prompt, model, temperature, maxTokens, signal }) => {
+      if (!cohere) cohere = new CohereClient({ token: process.env.COHERE_API_KEY });
+      // Retries and timeouts are handled here rather than by the SDK
+      const response = await cohere.generate({ model, prompt, maxTokens, temperature }, { maxRetries: 0, abortSignal: signal });
+      return response.generations[0].text;
+    }
+  },
+  // Any server implementing the OpenAI chat completions API, e.g. Ollama or llama.cpp
+  openai: {
+    defaultModel: 'llama3',
+    generate: async ({ prompt, model, temperature, maxTokens, signal }) => {
+      const baseUrl = (process.env.OPENAI_BASE_URL || 'http://localhost:11434/v1').replace(/\/$/, '');
+      const headers = { 'Content-Type': 'application/json' };
+      if (process.env.OPENAI_API_KEY) headers.Authorization = `Bearer ${process.env.OPENAI_API_KEY}`;
+      const response = await fetch(`${baseUrl}/chat/completions`, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify({
+          model,
+          messages: [{ role: 'user', content: prompt }],
+          temperature,
+          max_tokens: maxTokens
+        }),
+        signal
+      });
+      if (!response.ok) {
+        const err = new Error(`HTTP ${response.status} from ${baseUrl}`);
+        err.statusCode = response.status;
+        throw err;
+      }
+      const body = await response.json();
+      return body.choices[0].message.content;
+    }
+  },
+  // Deterministic canned replies so the bot can run without any model
+  mock: {
+    defaultModel: 'mock',
+    generate: async ({ task }) => MOCK_RESPONSES[task] || 'Mock response.'
+  }
+};
+
+const breakers = new Map();
+
+function getBreaker(providerName) {
+  if (!breakers.has(providerName)) breakers.set(providerName, { failures: 0, openedAt: null });
+  return breakers.get(providerName);
+}
+
+// Once the cooldown has passed the provider gets one trial call; another failure reopens the breaker
+function isBreakerOpen(providerName) {
+  const breaker = getBreaker(providerName);
+  return breaker.openedAt !== null && Date.now() - breaker.openedAt < LLM_BREAKER_COOLDOWN_MS;
+}
+
+function recordResult(providerName, succeeded) {
+  const breaker = getBreaker(providerName);
+  if (succeeded) {
+    breaker.failures = 0;
+    breaker.openedAt = null;
+    return;
+  }
+  breaker.failures++;
+  if (breaker.failures >= LLM_BREAKER_THRESHOLD) {
+    breaker.openedAt = Date.now();
+    console.error(`LLM provider ${providerName} circuit opened after ${breaker.failures} consecutive failures`);
+  }
+}
+
+// False when every configured provider is known to be down, so callers can reply "busy" straight away
+function isAvailable() {
+  return PROVIDER_CHAIN.some(providerName => PROVIDERS[providerName] && !isBreakerOpen(providerName));
+}
+
+function isTransientError(err) {
+  if (err.timedOut) return true;
+  const status = err.statusCode || err.status;
+  if (status) return status === 408 || status === 429 || status >= 500;
+  return ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EAI_AGAIN'].includes(err.code || (err.cause && err.cause.code)) ||
+    err.message === 'fetch failed' || /timeout|timed out|network/i.test(err.message);
+}
+
+async function callWithTimeout(provider, request) {
+  const controller = new AbortController();
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => {
+      controller.abort();
+      const err = new Error(`timed out after ${LLM_TIMEOUT_MS} ms`);
+      err.timedOut = true;
+      reject(err);
+    }, LLM_TIMEOUT_MS);
+  });
+  try {
+    return await Promise.race([provider.generate({ ...request, signal: controller.signal }), timeout]);
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+async function callWithRetries(providerName, request) {
+  const provider = PROVIDERS[providerName];
+  for (let attempt = 0; ; attempt++) {
+    try {
+      const text = await callWithTimeout(provider, request);
+      if (!text || !text.trim()) {
+        throw new Error('empty response');
+      }
+      return text.trim();
+    } catch (err) {
+      if (attempt >= LLM_MAX_RETRIES || !isTransientError(err)) throw err;
+      const delay = LLM_RETRY_BASE_MS * 2 ** attempt + Math.floor(Math.random() * LLM_RETRY_BASE_MS);
+      console.error(`LLM provider ${providerName} failed for ${request.task} (${err.message}), retrying in ${delay} ms`);
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+}
+
+function getTaskSettings(task, providerName) {
+  const settings = TASK_SETTINGS[task];
+  const provider = PROVIDERS[providerName];
+  const taskKey = task.toUpperCase();
+  const providerKey = providerName.toUpperCase();
+  return {
+    model: process.env[`${providerKey}_${taskKey}_MODEL`] || process.env[`${providerKey}_MODEL`] || provider.defaultModel,
+    temperature: process.env[`LLM_${taskKey}_TEMPERATURE`] !== undefined ? parseFloat(process.env[`LLM_${taskKey}_TEMPERATURE`]) : settings.temperature,
+    maxTokens: process.env[`LLM_${taskKey}_MAX_TOKENS`] !== undefined ? parseInt(process.env[`LLM_${taskKey}_MAX_TOKENS`]) : settings.maxTokens
+  };
+}
+
+// Returns the first provider's text for the task; overrides (e.g. { temperature: 0 }) win over task settings
+async function generate(task, prompt, overrides = {}) {
+  if (!TASK_SETTINGS[task]) {
+    throw new Error(`Unknown LLM task ${task}`);
+  }
+  const errors = [];
+  for (const providerName of PROVIDER_CHAIN) {
+    const provider = PROVIDERS[providerName];
+    if (!provider) {
+      errors.push(`${providerName}: unknown provider`);
+      continue;
+    }
+    if (isBreakerOpen(providerName)) {
+      errors.push(`${providerName}: circuit open`);
+      continue;
+    }
+    try {
+      const settings = { ...getTaskSettings(task, providerName), ...overrides };
+      const text = await callWithRetries(providerName, { task, prompt, ...settings });
+      recordResult(providerName, true);
+      return text;
+    } catch (err) {
+      recordResult(providerName, false);
+      console.error(`LLM provider ${providerName} failed for ${task}:`, err.message);
+      errors.push(`${providerName}: ${err.message}`);
+    }
+  }
+  throw new Error(`All LLM providers failed for ${task} (${errors.join('; ')})`);
+}
+
+module.exports = {
+  generate,
+  isAvailable
+};
@@ -0,0 +1,495 @@
+// English is the source catalogue: every message key used by the bot must exist here.
+// Placeholders in braces, e.g. {name}, are filled in by t() in i18n.js.
+const messages = {
+  // Terms and help. Changing the terms themselves needs a TNC_VERSION bump in index.js so users re-accept them.
+  intro: `
+Hello! I'm Aliya, your health assistant on WhatsApp. I can help with symptom analysis, health assessments, fitness and meal plans, menstrual cycle tracking, medication reminders, and general health questions.
+
+⚠️ *Disclaimer*: I am not a doctor. My advice is for informational purposes only and should not replace professional medical advice.
+
+📋 *Terms and Conditions*:
+- I will collect and store your personal and health data (e.g., name, age, medical history) to provide personalized services.
+- Your data will be stored securely in a database and used only for health-related features.
+- You can stop using my services at any time, and your data will be handled per our privacy policy. Send /export for a copy of your data or /deleteme to erase it.
+
+Please reply with *accept* to agree to the terms and start onboarding, or *deny* to exit.
+`,
+  'language.hint': '🌍 Kwa Kiswahili, jibu *kiswahili*.',
+  help: `
+*Aliya Health Assistant - Available Commands*
+
+/start - Begin the onboarding process (if not already completed)
+/diagnose - Analyze symptoms and get potential conditions (after onboarding)
+/assessment - Take a health assessment test (after onboarding)
+/fitness - Get a personalized fitness plan (after onboarding)
+/meal - Get a personalized meal plan (after onboarding)
+/cycle - Track or update your menstrual cycle (after onboarding, for applicable users)
+/medication - Set or update medication reminders (after onboarding)
+/adherence - See how often you've taken your medications this week and month (after onboarding)
+/ask - Ask general health-related questions (after onboarding)
+/history - Browse your past results, e.g. /history symptoms or /history assessments (after onboarding)
+/profile - View or update your profile details, including your language (after onboarding)
+/timezone - View or change the time zone used for your reminders (after onboarding)
+/consent - View, withdraw or renew your consent to the terms
+/export - Get a copy of all data stored about you (JSON and CSV)
+/deleteme - Permanently delete your account and all your data
+/help - Show this help menu
+/cancel - Cancel the current operation (e.g., onboarding, diagnosis)
+
+You can also just tell me what you need, e.g. "I have a headache since yesterday" or "remind me to take metformin at 8".
+`,
+
+  'language.name.en': 'English',
+  'language.name.sw': 'Swahili',
+  'language.name.auto': 'Automatic (the language you write in)',
+
+  // Onboarding
+  'onboarding.language': 'Which language would you like me to use? Reply *english*, *kiswahili*, or *auto* to use the language you write in.',
+  'onboarding.name': 'Please provide your name.',
+  'onboarding.age': 'Please provide your age (e.g., 25).',
+  'onboarding.sex': 'Please provide your sex (male, female, other).',
+  'onboarding.height_cm': 'Please provide your height in centimeters (e.g., 170).',
+  'onboarding.weight_kg': 'Please provide your weight in kilograms (e.g., 70).',
+  'onboarding.location': 'Please provide your location (e.g., New York).',
+  'onboarding.medical_history': 'Please provide a brief medical history (or type "none").',
+  'onboarding.chronic_conditions': 'Please list any chronic conditions (or type "none").',
+  'onboarding.allergies': 'Please list any allergies (or type "none").',
+  'onboarding.medications': 'Please list any current medications (or type "none").',
+  'onboarding.menstrual_cycle_type': 'Please specify your menstrual cycle type (regular, irregular, or none).',
+  'onboarding.complete': 'Onboarding complete! {timezonePrompt}',
+
+  // Symptom check
+  'diagnosis.symptoms': 'Please describe your symptoms (e.g., fever, cough).',
+  'diagnosis.severity': 'How severe are your symptoms? (mild, moderate, severe)',
+  'diagnosis.duration': 'How long have you had these symptoms? (e.g., 2 days, 1 week)',
+  'diagnosis.failed': 'Sorry, I couldn’t analyze your symptoms. If they are severe, please consult a doctor.',
+  'diagnosis.save_failed': 'Error saving diagnosis. Please try again or consult a doctor.',
+  'diagnosis.sections': '**Possible Conditions**:\n{diagnosis}\n\n**Home Care**:\n{home_care}\n\n**Red Flags**:\n{red_flags}\n\n**Urgency**: {urgency}',
+  'diagnosis.results': `
+*Symptom Analysis Results*
+
+{sections}
+Use /diagnose to report new symptoms or /help for other commands.
+  `,
+  'likelihood.likely': 'likely',
+  'likelihood.possible': 'possible',
+  'likelihood.less likely': 'less likely',
+  'urgency.self_care': 'Can usually be managed at home',
+  'urgency.see_doctor': 'See a doctor in the next few days',
+  'urgency.urgent': 'See a doctor within 24 hours',
+  'urgency.emergency': 'Seek emergency care now',
+
+  // Health assessment
+  'assessment.overall_health': 'How would you rate your overall health? (excellent, good, fair, poor)',
+  'assessment.fatigue_after_sleep': 'Do you often feel fatigued even after adequate sleep? (often, sometimes, rarely, never)',
+  'assessment.fruit_veggie_servings': 'How many servings of fruits/vegetables do you eat daily? (e.g., 3)',
+  'assessment.sugary_drinks_snacks': 'Do you consume sugary drinks or snacks daily? (yes, no)',
+  'assessment.exercise_days': 'How many days per week do you exercise ≥30 minutes? (0-7)',
+  'assessment.breaks_from_sitting': 'Do you take breaks from sitting every hour? (yes, no)',
+  'assessment.sleep_hours': 'On average, how many hours do you sleep per night? (e.g., 7)',
+  'assessment.wake_refreshed': 'Do you wake up feeling refreshed most mornings? (often, sometimes, rarely, never)',
+  'assessment.stress_anxiety': 'How often do you feel stressed or anxious? (often, sometimes, rarely, never)',
+  'assessment.relaxation_techniques': 'Do you practice relaxation techniques? (yes, no)',
+  'assessment.chronic_conditions': 'Do you have any diagnosed chronic conditions? (yes, no)',
+  'assessment.family_history': 'Is there a family history of heart disease or diabetes? (yes, no)',
+  'assessment.smoking_vaping': 'Do you smoke or vape? (yes, no)',
+  'assessment.alcohol_drinks': 'How many alcoholic drinks do you have weekly? (e.g., 2)',
+  'assessment.headaches_body_aches': 'Do you experience frequent headaches or body aches? (often, sometimes, rarely, never)',
+  'assessment.weight_changes': 'Have you had unexplained weight changes in the past year? (yes, no)',
+  'assessment.failed': 'Sorry, I couldn’t analyze your health assessment.',
+  'assessment.save_failed': 'Error saving health assessment. Please try again with /assessment.',
+  'assessment.results': `
+*Health Assessment Results*
+
+**Score**: {score}/100
+
+**Analysis**: {analysis}
+
+{recommendations}
+Use /assessment to take another test or /help for other commands.
+  `,
+  'assessment.recommendations': '**Recommendations**:\n{recommendations}',
+  'assessment.choice': 'Would you like to take a health assessment test now, later, or never? Reply with *now*, *later*, or *never*.',
+  'assessment.later': 'Alright, I’ll remind you in 48 hours. You can also start anytime with /assessment.',
+  'assessment.never': 'Got it. You can always start the assessment later with /assessment. Use /help for other commands.',
+  'assessment.choice_invalid': 'Please reply with *now*, *later*, or *never*.',
+
+  // Fitness and meal plans
+  'fitness.fitness_goal': 'What is your fitness goal? (e.g., weight loss, muscle gain, general fitness)',
+  'fitness.activity_level': 'What is your current activity level? (beginner, intermediate, advanced)',
+  'fitness.available_days': 'How many days per week can you exercise? (0-7)',
+  'fitness.available_minutes': 'How many minutes can you exercise per session? (e.g., 30)',
+  'fitness.failed': 'Sorry, I couldn’t generate your fitness plan.',
+  'fitness.save_failed': 'Error saving your fitness plan. Please try again with /fitness.',
+  'fitness.results': `
+*Your Personalized Fitness Plan*
+
+{plan}
+Use /fitness to generate a new plan or /help for other commands.
+  `,
+  'meal.dietary_preference': 'What is your dietary preference? (e.g., vegetarian, vegan, omnivore)',
+  'meal.health_goal': 'What is your health goal? (e.g., weight loss, muscle gain, general health)',
+  'meal.meals_per_day': 'How many meals do you want per day? (2-5)',
+  'meal.failed': 'Sorry, I couldn’t generate your meal plan.',
+  'meal.save_failed': 'Error saving your meal plan. Please try again with /meal.',
+  'meal.results': `
+*Your Personalized Meal Plan*
+
+{plan}
+Use /meal to generate a new plan or /help for other commands.
+  `,
+
+  // Menstrual cycle
+  'cycle.last_period_date': 'When did your last period start? (e.g., 2025-04-01, 5 October, last Monday or 3 days ago)',
+  'cycle.average_cycle_length': 'What is your average cycle length in days? (e.g., 28, typically 21-35)',
+  'cycle.save_failed': 'Error saving your cycle data. Please try again with /cycle.',
+  'cycle.results': `
+*Menstrual Cycle Tracking*
+
+- Last Period: {last_period}
+- Average Cycle Length: {cycle_length} days
+- Predicted Next Period: {next_period}
+
+I’ll remind you 3 days before your predicted next period. Use /cycle to update your details or /help for other commands.
+  `,
+  'cycle.details': `
+*Your Menstrual Cycle Details*
+
+- Last Period: {last_period}
+- Average Cycle Length: {cycle_length} days
+- Predicted Next Period: {next_period}
+
+Would you like to update your cycle details? Reply with *yes* to update or *no* to keep this data.
+        `,
+  'cycle.ineligible': 'This feature is only available for users with a menstrual cycle. Use /help for other commands.',
+  'cycle.unchanged': 'Got it. Your cycle data remains unchanged. Use /cycle to update anytime or /help for other commands.',
+
+  // Medication reminders
+  'medication.medication_name': 'What is the name of the medication? (e.g., Ibuprofen)',
+  'medication.dosage': 'What is the dosage? (e.g., 200 mg, 1 tablet)',
+  'medication.schedule_time': 'What time(s) should I remind you to take it? (e.g., 08:00, 8am and 8pm, after dinner, twice daily, or every 8 hours from 6am)',
+  'medication.days_of_week': 'Which days should I remind you? (e.g., Daily or Mon,Wed,Fri)',
+  'medication.course_days': 'For how many days should I remind you? (e.g., 7 for a 7-day course, or *ongoing*)',
+  'medication.pill_count': 'How many doses do you have left? I\'ll remind you to refill when you\'re running low. (e.g., 30, or *none* to skip)',
+  'medication.schedule': '{dosage} at {times} on {days}',
+  'medication.schedule_until': ' until {date}',
+  'medication.schedule_doses_left': ', {count} doses left',
+  'medication.list_title': '*Your Medication Reminders*\n\n',
+  'medication.status_finished': ' (course finished)',
+  'medication.status_paused': ' (paused)',
+  'medication.course_until': 'until {date}',
+  'medication.course_ongoing': 'ongoing',
+  'medication.not_tracked': 'not tracked',
+  'medication.active': 'active',
+  'medication.paused': 'paused',
+  'medication.choose': 'Would you like to add a new reminder or update an existing one? Reply with *add* or *update*, or the number of a reminder to edit, pause, resume or delete it.',
+  'medication.choose_invalid': 'Please reply with *add*, *update*, or the number of a reminder.',
+  'medication.select': 'Reply with the number of the reminder you want to change.',
+  'medication.select_invalid': 'Please reply with a number between 1 and {count}.',
+  'medication.detail': `
+*{name}*
+
+- Dosage: {dosage}
+- Time: {times}
+- Days: {days}
+- Course: {course}
+- Doses Left: {doses_left}
+- Status: {status}
+
+{actions}
+  `,
+  'medication.actions_active': 'Reply with *edit* to change it, *pause* to pause it, or *delete* to remove it.',
+  'medication.actions_paused': 'Reply with *edit* to change it, *resume* to resume it, or *delete* to remove it.',
+  'medication.action_invalid_active': 'Please reply with *edit*, *pause*, or *delete*.',
+  'medication.action_invalid_paused': 'Please reply with *edit*, *resume*, or *delete*.',
+  'medication.paused_done': 'Your {name} reminder is paused. Use /medication to resume it anytime.',
+  'medication.resumed_done': 'Your {name} reminder is active again. I\'ll remind you at {times} on {days}.',
+  'medication.delete_confirm': 'Are you sure you want to delete your {name} reminder? Reply with *yes* or *no*.',
+  'medication.deleted': 'Your {name} reminder has been deleted. Use /medication to manage your other reminders.',
+  'medication.kept': 'Got it. Your {name} reminder was not deleted. Use /medication to manage your reminders.',
+  'medication.not_found': 'I couldn\'t find that reminder. It may have been deleted already. Use /medication to see your reminders.',
+  'medication.warnings': `
+*Check Before Saving {name}*
+
+{warnings}
+
+Please check with a doctor or pharmacist before taking these together. Reply *yes* to save the reminder anyway or *no* to cancel.
+      `,
+  'medication.warnings_cancelled': 'Got it. Your {name} reminder was not saved. Use /medication to add or update reminders.',
+  'medication.warnings_invalid': 'Please reply with *yes* to save the reminder anyway or *no* to cancel.',
+  'medication.save_failed': 'Error saving your medication reminder. Please try again with /medication.',
+  'medication.saved_title_set': 'Medication Reminder Set',
+  'medication.saved_title_updated': 'Medication Reminder Updated',
+  'medication.saved': `
+*{title}*
+
+- Medication: {name}
+- Dosage: {dosage}
+- Time: {times}
+- Days: {days}
+- Course: {course}
+- Doses Left: {doses_left}
+
+{footer} Use /medication to add or update reminders, or /help for other commands.
+  `,
+  'medication.saved_paused': 'This reminder is paused. Use /medication to resume it.',
+  'medication.saved_active': 'I\'ll remind you as scheduled.',
+
+  // Medication warnings (see interactions.js)
+  'interaction.allergy': 'Your profile lists an allergy to {allergen}, and {reason}.',
+  'interaction.reason_contains': 'it contains {ingredient}',
+  'interaction.reason_same_class': 'it belongs to the same drug class ({drug_class})',
+  'interaction.reason_cross_reactive': '{related} medicines can cause reactions in people allergic to {drug_class}s',
+  'interaction.duplicate': 'You already take {other}, which also contains {ingredient}. Taking both can lead to an overdose.',
+  'interaction.interaction': 'Taking it with {other} can cause {effect} ({severity} interaction).',
+  'interaction.severity.major': 'major',
+  'interaction.severity.moderate': 'moderate',
+  'interaction.effect.bleeding': 'a high risk of serious bleeding',
+  'interaction.effect.warfarin_bleeding': 'a stronger warfarin effect and bleeding',
+  'interaction.effect.low_blood_pressure': 'a dangerous drop in blood pressure',
+  'interaction.effect.serotonin_syndrome': 'serotonin syndrome and seizures',
+  'interaction.effect.stomach_bleeding': 'an increased risk of stomach bleeding',
+  'interaction.effect.slowed_breathing': 'dangerously slowed breathing',
+  'interaction.effect.methotrexate_toxicity': 'methotrexate toxicity',
+  'interaction.effect.rhabdomyolysis': 'muscle damage (rhabdomyolysis)',
+  'interaction.effect.high_potassium': 'high potassium levels',
+  'interaction.effect.kidney_problems': 'kidney problems and weaker blood pressure control',
+  'interaction.effect.clopidogrel_weaker': 'clopidogrel working less well',
+  'interaction.effect.stomach_ulcers': 'an increased risk of stomach ulcers and bleeding',
+  'interaction.effect.low_blood_sugar': 'low blood sugar',
+
+  // Dose replies and adherence
+  'dose.hint': 'Reply *taken*, *skip* or *snooze 15*.',
+  'dose.taken': 'Great, I\'ve logged your {name} dose as taken. ✅',
+  'dose.none_left': '⚠️ You have no {name} doses left. Please refill soon, then update your dose count with /medication.',
+  'dose.refill_soon': '💊 Refill soon: you have {count} {name} doses left. Update your dose count with /medication after refilling.',
+  'dose.skipped': 'Okay, I\'ve logged your {name} dose as skipped. If you\'re having trouble with this medication, please talk to your doctor.',
+  'dose.snoozed': 'Okay, I\'ll remind you about your {name} again in {minutes} minutes.',
+  'dose.also_open': 'You also have an open reminder for {name} ({dosage}). {hint}',
+  'adherence.title': '*Medication Adherence*\n\n',
+  'adherence.no_answers': '- {name}: no answered doses yet\n',
+  'adherence.no_doses': 'no doses',
+  'adherence.line': '- {name}: last 7 days {week}, last 30 days {percentage}% ({taken}/{total})\n',
+  'adherence.none': 'You have no medication reminders yet. Use /medication to set one up.',
+  'adherence.footer': '\nReply *taken*, *skip* or *snooze 15* to a reminder to keep this up to date.',
+
+  // Reminders
+  'reminder.period': 'Reminder: Your next period is predicted to start on {date}. Prepare accordingly! Reply with /cycle to update your details.',
+  'reminder.medication': 'Reminder: Time to take your {name} ({dosage})! {hint}',
+  'reminder.dose_follow_up': 'Reminder: Did you take your {name} ({dosage})? {hint}',
+  'reminder.fitness': 'Reminder: Follow your fitness plan today! Goal: {goal}. Use /fitness to view or update your plan.',
+  'reminder.meal': 'Reminder: Follow your meal plan today! Preference: {preference}, Goal: {goal}. Use /meal to view or update your plan.',
+  'reminder.assessment': 'Reminder: Would you like to take your health assessment test now? Reply with /assessment to start.',
+  'reminder.follow_up': 'Follow-up: How are your symptoms now? Reply with /diagnose to update or consult a doctor if symptoms persist.',
+
+  // Validation errors
+  'error.language': 'Please reply with english, kiswahili, or auto.',
+  'error.name_empty': 'Name cannot be empty.',
+  'error.age': 'Please provide a valid age (1-120).',
+  'error.sex': 'Please provide male, female, or other.',
+  'error.height': 'Please provide a valid height (50-300 cm).',
+  'error.weight': 'Please provide a valid weight (20-500 kg).',
+  'error.location_empty': 'Location cannot be empty.',
+  'error.menstrual_cycle_type': 'Please provide regular, irregular, or none.',
+  'error.symptoms_empty': 'Symptoms cannot be empty.',
+  'error.severity': 'Please provide mild, moderate, or severe.',
+  'error.duration_empty': 'Duration cannot be empty.',
+  'error.overall_health': 'Please provide excellent, good, fair, or poor.',
+  'error.frequency': 'Please provide often, sometimes, rarely, or never.',
+  'error.yes_no': 'Please provide yes or no.',
+  'error.servings': 'Please provide a valid number (0-20).',
+  'error.days_per_week': 'Please provide a valid number (0-7).',
+  'error.sleep_hours': 'Please provide a valid number (0-24).',
+  'error.alcohol_drinks': 'Please provide a valid number (0-100).',
+  'error.fitness_goal': 'Please provide weight loss, muscle gain, or general fitness.',
+  'error.activity_level': 'Please provide beginner, intermediate, or advanced.',
+  'error.minutes': 'Please provide a valid number (10-180 minutes).',
+  'error.dietary_preference': 'Please provide vegetarian, vegan, or omnivore.',
+  'error.health_goal': 'Please provide weight loss, muscle gain, or general health.',
+  'error.meals_per_day': 'Please provide a valid number (2-5).',
+  'error.last_period_date': 'Please provide a past date, like 2025-04-01, 5 October, yesterday or 3 days ago.',
+  'error.cycle_length': 'Please provide a valid number (21-35 days).',
+  'error.medication_name_empty': 'Medication name cannot be empty.',
+  'error.dosage_empty': 'Dosage cannot be empty.',
+  'error.schedule_time': 'Please provide times like 08:00, 8am and 8pm or "after dinner", "twice daily", or "every 8 hours".',
+  'error.days_of_week': 'Please provide "Daily" or days like Mon,Wed,Fri.',
+  'error.course_days': 'Please provide a number of days (1-365) or *ongoing*.',
+  'error.pill_count': 'Please provide a number (0-1000) or *none*.',
+
+  // Flows, AI calls and general replies
+  'flow.onboarding': 'onboarding',
+  'flow.diagnosing': 'symptom check',
+  'flow.assessing': 'health assessment',
+  'flow.fitness': 'fitness plan',
+  'flow.meal': 'meal plan',
+  'flow.cycle_tracking': 'cycle tracking',
+  'flow.medication_setup': 'medication reminder setup',
+  'flow.current_value': '{prompt}\nCurrent: {value} (reply *keep* to leave unchanged)',
+  'flow.confirm_value': 'I understood that as *{value}*. Reply *yes* to confirm, or *no* to answer again.',
+  'flow.confirm_retry': 'No problem. {prompt}',
+  'flow.draft_value': '{prompt}\nFrom your photo: *{value}* (reply *yes* to use it, or type the correct answer)',
+  'choice.reply_number': 'Reply with the number of your answer (1-{count}).',
+  'choice.list_button': 'Choose',
+  'choice.list_title': 'Answers',
+  'flow.answers_saved': 'Your answers are saved. Reply *retry* to try again, or /cancel to start over.',
+  'flow.resume_prompt': 'You have an unfinished {flow} ({answered} of {total} questions answered). Reply with *resume* to continue where you left off or *restart* to start over.',
+  'flow.resume_invalid': 'Please reply with *resume* or *restart*.',
+  'voice.heard': '🎙️ I heard: “{text}”\nIf that’s not right, just type your message instead.',
+  'voice.unavailable': 'Sorry, I can’t listen to voice notes yet. Please type your message.',
+  'voice.too_long': 'That voice note is too long for me. Please keep voice notes under {seconds} seconds, or type your message.',
+  'voice.empty': 'I couldn’t hear any words in that voice note. Please try again or type your message.',
+  'voice.failed': 'Sorry, I couldn’t understand that voice note. Please try again or type your message.',
+  'photo.read': '📷 I read some details from your photo. Please check each one before I set up the reminder.',
+  'photo.unavailable': 'Sorry, I can’t read photos yet. Use /medication to set up a reminder by typing the details.',
+  'photo.nothing_found': 'I couldn’t find a medication name or strength in that photo. Try a clearer, well-lit photo of the label, or use /medication to type the details.',
+  'photo.failed': 'Sorry, I couldn’t read that photo. Please try again, or use /medication to type the details.',
+  'photo.flow_active': 'I can only read a medication label when you’re not in the middle of something else. Finish your current answers, or send /cancel and then the photo again.',
+  'ai.working': 'Working on it… this is taking a little longer than usual.',
+  'ai.busy': 'Our health assistant service is busy right now. Please try again in a few minutes.',
+  'ask.empty': 'Please provide a health-related question after /ask (e.g., /ask What is a balanced diet?).',
+  'ask.failed': 'Sorry, I couldn’t answer your question. Please try again or consult a healthcare professional.',
+  'ask.results': `
+*Health Question Answer*
+
+**Question**: {question}
+
+{answer}
+Use /ask to ask another question or /help for other commands.
+      `,
+  'reply.yes_no': 'Please reply with *yes* or *no*.',
+  'reply.cancel_none': 'No operation to cancel. Send /start to begin or /help for commands.',
+  'reply.cancelled': 'Operation cancelled. Send /start to begin again or /help for commands.',
+  'reply.onboarding_required': 'Please complete onboarding first. Send /start to begin.',
+  'reply.already_onboarded': 'You’ve already completed onboarding! Use /profile to view or update your details, or /help to see available commands.',
+  'reply.profile_error': 'Error retrieving your profile. Please try again with /start.',
+  'reply.unrecognized': 'I didn’t understand that. Please use a command like /start or /help to get started.',
+  'reply.error': 'Sorry, something went wrong. Please try again or use /help for assistance.',
+
+  // Consent and data rights
+  'consent.restricted': 'You have withdrawn your consent, so health features are paused. Send /consent to accept the terms again, or use /export and /deleteme to manage your data.',
+  'consent.updated': 'Our terms have been updated. Please review them before continuing.\n{intro}',
+  'consent.reminders_paused': 'I\'ve paused your reminders because you haven\'t accepted our current terms. Send /consent to review and accept them, and your reminders will start again.',
+  'consent.recorded_on': ' on {date}',
+  'consent.status_current': 'You accepted the current terms (version {version}){recorded}.\n\nReply with *withdraw* to withdraw your consent. Health features will be paused until you accept again; your data stays stored until you send /deleteme.',
+  'consent.status_withdrawn': 'You withdrew your consent{recorded}, so health features are paused.\n\nReply with *accept* to accept the current terms again.\n{intro}',
+  'consent.status_missing': 'You have not accepted the current terms (version {version}).\n{intro}',
+  'consent.reaccepted': 'Thank you for accepting the terms. All features are available again. Use /help to see available commands.',
+  'consent.denied': 'Thank you for your time. If you change your mind, send /start to begin again. Goodbye!',
+  'consent.invalid': 'Please reply with *accept* or *deny* to continue.',
+  'consent.withdrawn': 'Your consent has been withdrawn. Health features and reminders are paused. Send /consent to accept the terms again, /export for a copy of your data, or /deleteme to erase it.',
+  'consent.unchanged': 'Your consent is unchanged. Use /help to see available commands.',
+  'export.no_profile': 'I don’t have a profile stored for you. Send /start to begin onboarding.',
+  'export.caption_json': 'Your data export (JSON)',
+  'export.caption_csv': 'Your data export (CSV)',
+  'export.sent': 'Here is a copy of everything I store about you. Send /deleteme if you want it erased.',
+  'delete.confirm': '⚠️ This will permanently delete your profile, health records, plans, medication reminders and all scheduled reminders. This cannot be undone.\n\nReply with *delete* to confirm, or *cancel* to keep your data.',
+  'delete.done': 'All your data has been deleted. Thank you for using Aliya. Send /start anytime if you want to begin again.',
+  'delete.cancelled': 'Deletion cancelled. Your data has not been changed.',
+  'delete.invalid': 'Please reply with *delete* to confirm, or *cancel* to keep your data.',
+
+  // History
+  'history.label.symptoms': 'Symptom check',
+  'history.label.assessments': 'Health assessment',
+  'history.label.fitness': 'Fitness plan',
+  'history.label.meals': 'Meal plan',
+  'history.assessment_summary': 'score {score}/100',
+  'history.no_analysis': 'No analysis stored.',
+  'history.no_plan': 'No plan stored.',
+  'history.symptoms_detail': '- Symptoms: {symptoms}\n- Severity: {severity}\n- Duration: {duration}\n\n{analysis}',
+  'history.assessment_detail': '**Score**: {score}/100\n\n{analysis}',
+  'history.assessment_recommendations': '\n\n**Recommendations**:\n{recommendations}',
+  'history.fitness_detail': '- Goal: {goal}\n- Level: {level}\n- Days per Week: {days}\n- Minutes per Session: {minutes}\n\n{plan}',
+  'history.meal_detail': '- Preference: {preference}\n- Goal: {goal}\n- Meals per Day: {meals}\n\n{plan}',
+  'history.empty': 'You don’t have any saved records yet. Try /diagnose, /assessment, /fitness or /meal.',
+  'history.title': '*Your History*\n\n',
+  'history.page_footer': '\nReply with a number to see the full entry, or *done* to finish.',
+  'history.page_footer_more': '\nReply with a number to see the full entry, *more* for older entries, or *done* to finish.',
+  'history.unknown_filter': 'Unknown history filter. Use /history, or /history followed by one of: {filters}.',
+  'history.done': 'Use /history anytime to look back at your records, or /help for other commands.',
+  'history.entry_missing': 'That entry is no longer available. Please pick another number.',
+  'history.entry_footer': 'Reply with another number, or *done* to finish.',
+  'history.entry_footer_more': 'Reply with another number, *more* for older entries, or *done* to finish.',
+  'history.invalid': 'Please reply with the number of an entry, or *done*.',
+  'history.invalid_more': 'Please reply with the number of an entry, *more*, or *done*.',
+
+  // Profile
+  'profile.label.language': 'Language',
+  'profile.label.name': 'Name',
+  'profile.label.age': 'Age',
+  'profile.label.sex': 'Sex',
+  'profile.label.height_cm': 'Height (cm)',
+  'profile.label.weight_kg': 'Weight (kg)',
+  'profile.label.location': 'Location',
+  'profile.label.medical_history': 'Medical history',
+  'profile.label.chronic_conditions': 'Chronic conditions',
+  'profile.label.allergies': 'Allergies',
+  'profile.label.medications': 'Medications',
+  'profile.label.menstrual_cycle_type': 'Menstrual cycle type',
+  'profile.title': '*Your Profile*\n\n',
+  'profile.not_set': 'not set',
+  'profile.timezone': '\nTime zone: {timezone} (change with /timezone)',
+  'profile.select': '{profile}\n\nReply with the number of a field to change it, or *done* to finish.',
+  'profile.select_invalid': 'Please reply with a number between 1 and {count}, or *done* to finish.',
+  'profile.done': 'Your profile is up to date. Use /help for other commands.',
+  'profile.edit': '{prompt}\nCurrent: {value}',
+  'profile.field_updated': '{label} updated.',
+  'profile.sex_updated': '{label} updated. {prompt}',
+  'profile.timezone_hint': ' Your time zone is still {timezone}; send /timezone if you\'d like to change it to {suggested}.',
+  'profile.updated': '{reply}\n\n{profile}\n\nReply with the number of another field to change it, or *done* to finish.',
+
+  // Time zones
+  'timezone.prompt': 'Your time zone is set to *{timezone}* (local time now: {local_time}). I use it for all your reminders.\n\nReply with *yes* to confirm, or send your time zone or city (e.g., Africa/Lagos or London) to change it.',
+  'timezone.invalid': 'I couldn’t recognise that time zone. Please send a time zone like Africa/Nairobi or a city like London, or reply *yes* to keep the current one.',
+  'timezone.set_onboarding': 'Time zone set to *{timezone}*. {assessment_choice}',
+  'timezone.set': 'Time zone set to *{timezone}* (local time now: {local_time}). Your reminders will follow this time zone. Use /help for other commands.',
+
+  // Emergencies (see triage.js)
+  'emergency.reply': `🚨 *This may be an emergency: {label}.*
+
+Call emergency services now on *{numbers}*{country}, or go to the nearest hospital. If you can, ask someone nearby to stay with you.
+
+{guidance}
+
+I’m not able to help with emergencies, so I’ve stopped what we were doing. Send /help when you are safe.`,
+
+  // Safety review of AI replies (see safety.js)
+  'safety.dosing': 'Your doctor or pharmacist can tell you the right dose of any prescription medicine.',
+  'safety.stop_medication': 'Do not stop or change any prescribed medication without talking to your doctor.',
+  'safety.blocked': 'I can’t give safe advice on this here. Please speak to a doctor or pharmacist about your symptoms and medicines.',
+  'disclaimer.symptoms': 'Please consult a doctor for a professional diagnosis and treatment.',
+  'disclaimer.assessment': 'Please consult a doctor for personalized health advice.',
+  'disclaimer.fitness': 'Please consult a doctor before starting any fitness program.',
+  'disclaimer.meal': 'Please consult a doctor or nutritionist before starting any diet plan.',
+  'disclaimer.question': 'Please consult a doctor for personalized health advice.',
+
+  // Option labels shown on buttons and numbered lists; other answers are shown as stored
+  'answer.en': 'English',
+  'answer.sw': 'Kiswahili',
+  'answer.auto': 'automatic'
+};
+
+// Extra spellings accepted for enumerated answers, keyed by the canonical answer
+const answers = {
+  en: ['english'],
+  sw: ['swahili'],
+  auto: ['automatic'],
+  mon: ['monday'],
+  tue: ['tues', 'tuesday'],
+  wed: ['wednesday'],
+  thu: ['thur', 'thurs', 'thursday'],
+  fri: ['friday'],
+  sat: ['saturday'],
+  sun: ['sunday']
+};
+
+// Common words used to recognise the language of free text
+const markers = [
+  'the', 'and', 'is', 'are', 'my', 'i', 'have', 'has', 'what', 'how', 'why', 'when', 'with', 'for', 'of', 'to',
+  'it', 'this', 'please', 'hello', 'hi', 'thanks', 'thank', 'yes', 'no', 'none', 'pain', 'feel', 'feeling', 'since', 'days'
+];
+
+module.exports = {
+  messages,
+  answers,
+  markers
+};
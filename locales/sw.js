@@ -0,0 +1,593 @@
+// Swahili catalogue. Keys missing here fall back to English (see i18n.js). Users may answer with the
+// Swahili words offered in the prompts or with the English ones.
+const messages = {
+  // Terms and help
+  intro: `
+Habari! Mimi ni Aliya, msaidizi wako wa afya kwenye WhatsApp. Ninaweza kukusaidia kuchambua dalili, kupima afya yako, kupanga mazoezi na milo, kufuatilia mzunguko wa hedhi, kukukumbusha kutumia dawa, na kujibu maswali ya jumla kuhusu afya.
+
+⚠️ *Tahadhari*: Mimi si daktari. Ushauri wangu ni kwa ajili ya taarifa tu na hauchukui nafasi ya ushauri wa kitaalamu wa matibabu.
+
+📋 *Sheria na Masharti*:
+- Nitakusanya na kuhifadhi taarifa zako binafsi na za afya (k.m. jina, umri, historia ya matibabu) ili kukupa huduma zinazokufaa.
+- Taarifa zako zitahifadhiwa kwa usalama kwenye hifadhidata na kutumika tu kwa huduma za afya.
+- Unaweza kuacha kutumia huduma zangu wakati wowote, na taarifa zako zitashughulikiwa kulingana na sera yetu ya faragha. Tuma /export kupata nakala ya taarifa zako au /deleteme kuzifuta.
+
+Tafadhali jibu *kubali* kukubali masharti na kuanza usajili, au *kataa* kuondoka.
+`,
+  'language.hint': '🌍 For English, reply *english*.',
+  help: `
+*Aliya Msaidizi wa Afya - Amri Zinazopatikana*
+
+/start - Anza usajili (kama hujakamilisha)
+/diagnose - Chambua dalili na upate hali zinazowezekana (baada ya usajili)
+/assessment - Fanya kipimo cha afya (baada ya usajili)
+/fitness - Pata mpango wa mazoezi unaokufaa (baada ya usajili)
+/meal - Pata mpango wa milo unaokufaa (baada ya usajili)
+/cycle - Fuatilia au sasisha mzunguko wako wa hedhi (baada ya usajili, kwa wanaohusika)
+/medication - Weka au sasisha vikumbusho vya dawa (baada ya usajili)
+/adherence - Angalia mara ngapi umetumia dawa zako wiki hii na mwezi huu (baada ya usajili)
+/ask - Uliza maswali ya jumla kuhusu afya (baada ya usajili)
+/history - Pitia matokeo yako ya awali, k.m. /history symptoms au /history assessments (baada ya usajili)
+/profile - Angalia au sasisha taarifa zako, pamoja na lugha (baada ya usajili)
+/timezone - Angalia au badilisha saa za eneo zinazotumika kwa vikumbusho vyako (baada ya usajili)
+/consent - Angalia, ondoa au rudisha idhini yako ya masharti
+/export - Pata nakala ya taarifa zote zilizohifadhiwa kukuhusu (JSON na CSV)
+/deleteme - Futa akaunti yako na taarifa zako zote kabisa
+/help - Onyesha orodha hii ya msaada
+/cancel - Sitisha shughuli inayoendelea (k.m. usajili, uchambuzi wa dalili)
+
+Unaweza pia kuniambia tu unachohitaji, k.m. "nina homa tangu jana" au "nikumbushe kutumia panadol saa 20:00".
+`,
+
+  'language.name.en': 'Kiingereza',
+  'language.name.sw': 'Kiswahili',
+  'language.name.auto': 'Otomatiki (lugha unayoandika)',
+
+  // Onboarding
+  'onboarding.language': 'Ungependa nitumie lugha gani? Jibu *english*, *kiswahili*, au *otomatiki* nitumie lugha unayoandika.',
+  'onboarding.name': 'Tafadhali andika jina lako.',
+  'onboarding.age': 'Tafadhali andika umri wako (k.m. 25).',
+  'onboarding.sex': 'Tafadhali andika jinsia yako (mwanaume, mwanamke, nyingine).',
+  'onboarding.height_cm': 'Tafadhali andika urefu wako kwa sentimita (k.m. 170).',
+  'onboarding.weight_kg': 'Tafadhali andika uzito wako kwa kilo (k.m. 70).',
+  'onboarding.location': 'Tafadhali andika mahali unapoishi (k.m. Nairobi).',
+  'onboarding.medical_history': 'Tafadhali eleza kwa ufupi historia yako ya matibabu (au andika "hakuna").',
+  'onboarding.chronic_conditions': 'Tafadhali orodhesha magonjwa sugu uliyo nayo (au andika "hakuna").',
+  'onboarding.allergies': 'Tafadhali orodhesha mzio wowote ulio nao (au andika "hakuna").',
+  'onboarding.medications': 'Tafadhali orodhesha dawa unazotumia sasa (au andika "hakuna").',
+  'onboarding.menstrual_cycle_type': 'Tafadhali eleza aina ya mzunguko wako wa hedhi (kawaida, si kawaida, au hakuna).',
+  'onboarding.complete': 'Usajili umekamilika! {timezonePrompt}',
+
+  // Symptom check
+  'diagnosis.symptoms': 'Tafadhali eleza dalili zako (k.m. homa, kikohozi).',
+  'diagnosis.severity': 'Dalili zako ni kali kiasi gani? (kidogo, wastani, kali)',
+  'diagnosis.duration': 'Umekuwa na dalili hizi kwa muda gani? (k.m. siku 2, wiki 1)',
+  'diagnosis.failed': 'Samahani, sikuweza kuchambua dalili zako. Kama ni kali, tafadhali muone daktari.',
+  'diagnosis.save_failed': 'Hitilafu katika kuhifadhi uchambuzi. Tafadhali jaribu tena au muone daktari.',
+  'diagnosis.sections': '**Hali Zinazowezekana**:\n{diagnosis}\n\n**Huduma ya Nyumbani**:\n{home_care}\n\n**Dalili za Hatari**:\n{red_flags}\n\n**Uharaka**: {urgency}',
+  'diagnosis.results': `
+*Matokeo ya Uchambuzi wa Dalili*
+
+{sections}
+Tumia /diagnose kuripoti dalili mpya au /help kwa amri nyingine.
+  `,
+  'likelihood.likely': 'inawezekana sana',
+  'likelihood.possible': 'inawezekana',
+  'likelihood.less likely': 'haiwezekani sana',
+  'urgency.self_care': 'Kwa kawaida inaweza kushughulikiwa nyumbani',
+  'urgency.see_doctor': 'Muone daktari ndani ya siku chache',
+  'urgency.urgent': 'Muone daktari ndani ya saa 24',
+  'urgency.emergency': 'Tafuta huduma ya dharura sasa',
+
+  // Health assessment
+  'assessment.overall_health': 'Ungeipimaje afya yako kwa ujumla? (bora sana, nzuri, wastani, mbaya)',
+  'assessment.fatigue_after_sleep': 'Je, mara nyingi unahisi uchovu hata baada ya kulala vya kutosha? (mara nyingi, wakati mwingine, mara chache, kamwe)',
+  'assessment.fruit_veggie_servings': 'Unakula sehemu ngapi za matunda/mboga kila siku? (k.m. 3)',
+  'assessment.sugary_drinks_snacks': 'Je, unatumia vinywaji au vitafunio vyenye sukari kila siku? (ndiyo, hapana)',
+  'assessment.exercise_days': 'Unafanya mazoezi ya dakika 30 au zaidi siku ngapi kwa wiki? (0-7)',
+  'assessment.breaks_from_sitting': 'Je, unapumzika kutoka kukaa kila saa? (ndiyo, hapana)',
+  'assessment.sleep_hours': 'Kwa wastani, unalala saa ngapi kila usiku? (k.m. 7)',
+  'assessment.wake_refreshed': 'Je, unaamka ukiwa na nguvu asubuhi nyingi? (mara nyingi, wakati mwingine, mara chache, kamwe)',
+  'assessment.stress_anxiety': 'Ni mara ngapi unahisi msongo wa mawazo au wasiwasi? (mara nyingi, wakati mwingine, mara chache, kamwe)',
+  'assessment.relaxation_techniques': 'Je, unatumia mbinu za kupumzisha akili? (ndiyo, hapana)',
+  'assessment.chronic_conditions': 'Je, umegunduliwa kuwa na ugonjwa sugu wowote? (ndiyo, hapana)',
+  'assessment.family_history': 'Je, kuna historia ya ugonjwa wa moyo au kisukari katika familia yako? (ndiyo, hapana)',
+  'assessment.smoking_vaping': 'Je, unavuta sigara au vape? (ndiyo, hapana)',
+  'assessment.alcohol_drinks': 'Unakunywa vinywaji vingapi vya pombe kwa wiki? (k.m. 2)',
+  'assessment.headaches_body_aches': 'Je, mara kwa mara unapata maumivu ya kichwa au ya mwili? (mara nyingi, wakati mwingine, mara chache, kamwe)',
+  'assessment.weight_changes': 'Je, uzito wako umebadilika bila sababu inayojulikana mwaka uliopita? (ndiyo, hapana)',
+  'assessment.failed': 'Samahani, sikuweza kuchambua kipimo chako cha afya.',
+  'assessment.save_failed': 'Hitilafu katika kuhifadhi kipimo cha afya. Tafadhali jaribu tena kwa /assessment.',
+  'assessment.results': `
+*Matokeo ya Kipimo cha Afya*
+
+**Alama**: {score}/100
+
+**Uchambuzi**: {analysis}
+
+{recommendations}
+Tumia /assessment kufanya kipimo kingine au /help kwa amri nyingine.
+  `,
+  'assessment.recommendations': '**Mapendekezo**:\n{recommendations}',
+  'assessment.choice': 'Ungependa kufanya kipimo cha afya sasa, baadaye, au kamwe? Jibu *sasa*, *baadaye*, au *kamwe*.',
+  'assessment.later': 'Sawa, nitakukumbusha baada ya saa 48. Unaweza pia kuanza wakati wowote kwa /assessment.',
+  'assessment.never': 'Sawa. Unaweza kuanza kipimo wakati wowote kwa /assessment. Tumia /help kwa amri nyingine.',
+  'assessment.choice_invalid': 'Tafadhali jibu *sasa*, *baadaye*, au *kamwe*.',
+
+  // Fitness and meal plans
+  'fitness.fitness_goal': 'Lengo lako la mazoezi ni lipi? (k.m. kupunguza uzito, kuongeza misuli, siha kwa ujumla)',
+  'fitness.activity_level': 'Kiwango chako cha sasa cha mazoezi ni kipi? (mwanzo, kati, juu)',
+  'fitness.available_days': 'Unaweza kufanya mazoezi siku ngapi kwa wiki? (0-7)',
+  'fitness.available_minutes': 'Unaweza kufanya mazoezi dakika ngapi kila mara? (k.m. 30)',
+  'fitness.failed': 'Samahani, sikuweza kuandaa mpango wako wa mazoezi.',
+  'fitness.save_failed': 'Hitilafu katika kuhifadhi mpango wako wa mazoezi. Tafadhali jaribu tena kwa /fitness.',
+  'fitness.results': `
+*Mpango Wako wa Mazoezi*
+
+{plan}
+Tumia /fitness kupata mpango mpya au /help kwa amri nyingine.
+  `,
+  'meal.dietary_preference': 'Unapendelea chakula cha aina gani? (k.m. mboga tu, bila mazao ya wanyama, kila kitu)',
+  'meal.health_goal': 'Lengo lako la afya ni lipi? (k.m. kupunguza uzito, kuongeza misuli, afya kwa ujumla)',
+  'meal.meals_per_day': 'Unataka milo mingapi kwa siku? (2-5)',
+  'meal.failed': 'Samahani, sikuweza kuandaa mpango wako wa milo.',
+  'meal.save_failed': 'Hitilafu katika kuhifadhi mpango wako wa milo. Tafadhali jaribu tena kwa /meal.',
+  'meal.results': `
+*Mpango Wako wa Milo*
+
+{plan}
+Tumia /meal kupata mpango mpya au /help kwa amri nyingine.
+  `,
+
+  // Menstrual cycle
+  'cycle.last_period_date': 'Hedhi yako ya mwisho ilianza lini? (k.m. 2025-04-01, 5 Oktoba, Jumatatu iliyopita au siku 3 zilizopita)',
+  'cycle.average_cycle_length': 'Mzunguko wako huchukua siku ngapi kwa wastani? (k.m. 28, kwa kawaida 21-35)',
+  'cycle.save_failed': 'Hitilafu katika kuhifadhi taarifa za mzunguko wako. Tafadhali jaribu tena kwa /cycle.',
+  'cycle.results': `
+*Ufuatiliaji wa Mzunguko wa Hedhi*
+
+- Hedhi ya Mwisho: {last_period}
+- Urefu wa Mzunguko kwa Wastani: siku {cycle_length}
+- Hedhi Inayotarajiwa: {next_period}
+
+Nitakukumbusha siku 3 kabla ya hedhi inayotarajiwa. Tumia /cycle kusasisha taarifa zako au /help kwa amri nyingine.
+  `,
+  'cycle.details': `
+*Taarifa za Mzunguko Wako wa Hedhi*
+
+- Hedhi ya Mwisho: {last_period}
+- Urefu wa Mzunguko kwa Wastani: siku {cycle_length}
+- Hedhi Inayotarajiwa: {next_period}
+
+Ungependa kusasisha taarifa za mzunguko wako? Jibu *ndiyo* kusasisha au *hapana* kubakiza taarifa hizi.
+        `,
+  'cycle.ineligible': 'Huduma hii ni kwa watumiaji wenye mzunguko wa hedhi tu. Tumia /help kwa amri nyingine.',
+  'cycle.unchanged': 'Sawa. Taarifa za mzunguko wako hazijabadilika. Tumia /cycle kusasisha wakati wowote au /help kwa amri nyingine.',
+
+  // Medication reminders
+  'medication.medication_name': 'Dawa inaitwaje? (k.m. Ibuprofen)',
+  'medication.dosage': 'Kipimo ni kipi? (k.m. mg 200, kidonge 1)',
+  'medication.schedule_time': 'Nikukumbushe saa ngapi kuitumia? (k.m. 08:00, saa 2 asubuhi na saa 2 usiku, baada ya chakula cha jioni, mara mbili kwa siku, au kila saa 8 kuanzia 06:00)',
+  'medication.days_of_week': 'Nikukumbushe siku zipi? (k.m. kila siku au Jumatatu,Jumatano,Ijumaa)',
+  'medication.course_days': 'Nikukumbushe kwa siku ngapi? (k.m. 7 kwa dozi ya siku 7, au *endelevu*)',
+  'medication.pill_count': 'Umebakiwa na dozi ngapi? Nitakukumbusha kununua zaidi zikikaribia kuisha. (k.m. 30, au *hakuna* kuruka)',
+  'medication.schedule': '{dosage} saa {times} siku {days}',
+  'medication.schedule_until': ' hadi {date}',
+  'medication.schedule_doses_left': ', dozi {count} zimebaki',
+  'medication.list_title': '*Vikumbusho Vyako vya Dawa*\n\n',
+  'medication.status_finished': ' (dozi imekamilika)',
+  'medication.status_paused': ' (imesimamishwa)',
+  'medication.course_until': 'hadi {date}',
+  'medication.course_ongoing': 'endelevu',
+  'medication.not_tracked': 'hazifuatiliwi',
+  'medication.active': 'kinatumika',
+  'medication.paused': 'kimesimamishwa',
+  'medication.choose': 'Ungependa kuongeza kikumbusho kipya au kubadilisha kilichopo? Jibu *ongeza* au *badilisha*, au namba ya kikumbusho kukihariri, kukisimamisha, kukiendeleza au kukifuta.',
+  'medication.choose_invalid': 'Tafadhali jibu *ongeza*, *badilisha*, au namba ya kikumbusho.',
+  'medication.select': 'Jibu kwa namba ya kikumbusho unachotaka kubadilisha.',
+  'medication.select_invalid': 'Tafadhali jibu kwa namba kati ya 1 na {count}.',
+  'medication.detail': `
+*{name}*
+
+- Kipimo: {dosage}
+- Saa: {times}
+- Siku: {days}
+- Muda wa Dozi: {course}
+- Dozi Zilizobaki: {doses_left}
+- Hali: {status}
+
+{actions}
+  `,
+  'medication.actions_active': 'Jibu *hariri* kukibadilisha, *simamisha* kukisimamisha, au *futa* kukiondoa.',
+  'medication.actions_paused': 'Jibu *hariri* kukibadilisha, *endelea* kukiendeleza, au *futa* kukiondoa.',
+  'medication.action_invalid_active': 'Tafadhali jibu *hariri*, *simamisha*, au *futa*.',
+  'medication.action_invalid_paused': 'Tafadhali jibu *hariri*, *endelea*, au *futa*.',
+  'medication.paused_done': 'Kikumbusho chako cha {name} kimesimamishwa. Tumia /medication kukiendeleza wakati wowote.',
+  'medication.resumed_done': 'Kikumbusho chako cha {name} kinatumika tena. Nitakukumbusha saa {times} siku {days}.',
+  'medication.delete_confirm': 'Una uhakika unataka kufuta kikumbusho chako cha {name}? Jibu *ndiyo* au *hapana*.',
+  'medication.deleted': 'Kikumbusho chako cha {name} kimefutwa. Tumia /medication kusimamia vikumbusho vyako vingine.',
+  'medication.kept': 'Sawa. Kikumbusho chako cha {name} hakijafutwa. Tumia /medication kusimamia vikumbusho vyako.',
+  'medication.not_found': 'Sikuweza kupata kikumbusho hicho. Huenda kimeshafutwa. Tumia /medication kuona vikumbusho vyako.',
+  'medication.warnings': `
+*Kagua Kabla ya Kuhifadhi {name}*
+
+{warnings}
+
+Tafadhali wasiliana na daktari au mfamasia kabla ya kutumia dawa hizi pamoja. Jibu *ndiyo* kuhifadhi kikumbusho hata hivyo au *hapana* kusitisha.
+      `,
+  'medication.warnings_cancelled': 'Sawa. Kikumbusho chako cha {name} hakijahifadhiwa. Tumia /medication kuongeza au kubadilisha vikumbusho.',
+  'medication.warnings_invalid': 'Tafadhali jibu *ndiyo* kuhifadhi kikumbusho hata hivyo au *hapana* kusitisha.',
+  'medication.save_failed': 'Hitilafu katika kuhifadhi kikumbusho chako cha dawa. Tafadhali jaribu tena kwa /medication.',
+  'medication.saved_title_set': 'Kikumbusho cha Dawa Kimewekwa',
+  'medication.saved_title_updated': 'Kikumbusho cha Dawa Kimesasishwa',
+  'medication.saved': `
+*{title}*
+
+- Dawa: {name}
+- Kipimo: {dosage}
+- Saa: {times}
+- Siku: {days}
+- Muda wa Dozi: {course}
+- Dozi Zilizobaki: {doses_left}
+
+{footer} Tumia /medication kuongeza au kubadilisha vikumbusho, au /help kwa amri nyingine.
+  `,
+  'medication.saved_paused': 'Kikumbusho hiki kimesimamishwa. Tumia /medication kukiendeleza.',
+  'medication.saved_active': 'Nitakukumbusha kama ilivyopangwa.',
+
+  // Medication warnings
+  'interaction.allergy': 'Taarifa zako zinaonyesha una mzio wa {allergen}, na {reason}.',
+  'interaction.reason_contains': 'dawa hii ina {ingredient}',
+  'interaction.reason_same_class': 'dawa hii ni ya kundi lilelile la dawa ({drug_class})',
+  'interaction.reason_cross_reactive': 'dawa za kundi la {related} zinaweza kusababisha athari kwa watu wenye mzio wa {drug_class}',
+  'interaction.duplicate': 'Tayari unatumia {other}, ambayo pia ina {ingredient}. Kutumia zote mbili kunaweza kusababisha kuzidisha dozi.',
+  'interaction.interaction': 'Kuitumia pamoja na {other} kunaweza kusababisha {effect} (mwingiliano {severity}).',
+  'interaction.severity.major': 'mkubwa',
+  'interaction.severity.moderate': 'wa wastani',
+  'interaction.effect.bleeding': 'hatari kubwa ya kutokwa na damu nyingi',
+  'interaction.effect.warfarin_bleeding': 'warfarin kufanya kazi kupita kiasi na kutokwa na damu',
+  'interaction.effect.low_blood_pressure': 'kushuka kwa hatari kwa shinikizo la damu',
+  'interaction.effect.serotonin_syndrome': 'serotonin syndrome na degedege',
+  'interaction.effect.stomach_bleeding': 'hatari zaidi ya kutokwa na damu tumboni',
+  'interaction.effect.slowed_breathing': 'kupumua polepole kwa hatari',
+  'interaction.effect.methotrexate_toxicity': 'sumu ya methotrexate',
+  'interaction.effect.rhabdomyolysis': 'kuharibika kwa misuli (rhabdomyolysis)',
+  'interaction.effect.high_potassium': 'kiwango cha juu cha potasiamu',
+  'interaction.effect.kidney_problems': 'matatizo ya figo na udhibiti dhaifu wa shinikizo la damu',
+  'interaction.effect.clopidogrel_weaker': 'clopidogrel kufanya kazi kwa udhaifu',
+  'interaction.effect.stomach_ulcers': 'hatari zaidi ya vidonda vya tumbo na kutokwa na damu',
+  'interaction.effect.low_blood_sugar': 'kushuka kwa sukari mwilini',
+
+  // Dose replies and adherence
+  'dose.hint': 'Jibu *nimetumia*, *ruka* au *ahirisha 15*.',
+  'dose.taken': 'Vizuri, nimerekodi kuwa umetumia dozi yako ya {name}. ✅',
+  'dose.none_left': '⚠️ Huna dozi za {name} zilizobaki. Tafadhali nunua zaidi mapema, kisha sasisha idadi ya dozi kwa /medication.',
+  'dose.refill_soon': '💊 Nunua zaidi mapema: una dozi {count} za {name} zilizobaki. Sasisha idadi ya dozi kwa /medication baada ya kununua.',
+  'dose.skipped': 'Sawa, nimerekodi kuwa umeruka dozi yako ya {name}. Kama una shida na dawa hii, tafadhali zungumza na daktari wako.',
+  'dose.snoozed': 'Sawa, nitakukumbusha tena kuhusu {name} baada ya dakika {minutes}.',
+  'dose.also_open': 'Pia una kikumbusho ambacho hujajibu cha {name} ({dosage}). {hint}',
+  'adherence.title': '*Utumiaji wa Dawa*\n\n',
+  'adherence.no_answers': '- {name}: hakuna dozi zilizojibiwa bado\n',
+  'adherence.no_doses': 'hakuna dozi',
+  'adherence.line': '- {name}: siku 7 zilizopita {week}, siku 30 zilizopita {percentage}% ({taken}/{total})\n',
+  'adherence.none': 'Bado huna vikumbusho vya dawa. Tumia /medication kuweka kimoja.',
+  'adherence.footer': '\nJibu *nimetumia*, *ruka* au *ahirisha 15* kwa kikumbusho ili taarifa hizi ziwe sahihi.',
+
+  // Reminders
+  'reminder.period': 'Kikumbusho: Hedhi yako inayofuata inatarajiwa kuanza {date}. Jiandae! Jibu /cycle kusasisha taarifa zako.',
+  'reminder.medication': 'Kikumbusho: Ni wakati wa kutumia {name} ({dosage})! {hint}',
+  'reminder.dose_follow_up': 'Kikumbusho: Je, umetumia {name} ({dosage})? {hint}',
+  'reminder.fitness': 'Kikumbusho: Fuata mpango wako wa mazoezi leo! Lengo: {goal}. Tumia /fitness kuangalia au kusasisha mpango wako.',
+  'reminder.meal': 'Kikumbusho: Fuata mpango wako wa milo leo! Upendeleo: {preference}, Lengo: {goal}. Tumia /meal kuangalia au kusasisha mpango wako.',
+  'reminder.assessment': 'Kikumbusho: Ungependa kufanya kipimo chako cha afya sasa? Jibu /assessment kuanza.',
+  'reminder.follow_up': 'Ufuatiliaji: Dalili zako zikoje sasa? Jibu /diagnose kusasisha au muone daktari kama dalili zinaendelea.',
+
+  // Validation errors
+  'error.language': 'Tafadhali jibu english, kiswahili, au otomatiki.',
+  'error.name_empty': 'Jina haliwezi kuwa tupu.',
+  'error.age': 'Tafadhali andika umri sahihi (1-120).',
+  'error.sex': 'Tafadhali andika mwanaume, mwanamke, au nyingine.',
+  'error.height': 'Tafadhali andika urefu sahihi (sm 50-300).',
+  'error.weight': 'Tafadhali andika uzito sahihi (kilo 20-500).',
+  'error.location_empty': 'Mahali hapawezi kuwa tupu.',
+  'error.menstrual_cycle_type': 'Tafadhali andika kawaida, si kawaida, au hakuna.',
+  'error.symptoms_empty': 'Dalili haziwezi kuwa tupu.',
+  'error.severity': 'Tafadhali andika kidogo, wastani, au kali.',
+  'error.duration_empty': 'Muda hauwezi kuwa tupu.',
+  'error.overall_health': 'Tafadhali andika bora sana, nzuri, wastani, au mbaya.',
+  'error.frequency': 'Tafadhali andika mara nyingi, wakati mwingine, mara chache, au kamwe.',
+  'error.yes_no': 'Tafadhali andika ndiyo au hapana.',
+  'error.servings': 'Tafadhali andika namba sahihi (0-20).',
+  'error.days_per_week': 'Tafadhali andika namba sahihi (0-7).',
+  'error.sleep_hours': 'Tafadhali andika namba sahihi (0-24).',
+  'error.alcohol_drinks': 'Tafadhali andika namba sahihi (0-100).',
+  'error.fitness_goal': 'Tafadhali andika kupunguza uzito, kuongeza misuli, au siha kwa ujumla.',
+  'error.activity_level': 'Tafadhali andika mwanzo, kati, au juu.',
+  'error.minutes': 'Tafadhali andika namba sahihi (dakika 10-180).',
+  'error.dietary_preference': 'Tafadhali andika mboga tu, bila mazao ya wanyama, au kila kitu.',
+  'error.health_goal': 'Tafadhali andika kupunguza uzito, kuongeza misuli, au afya kwa ujumla.',
+  'error.meals_per_day': 'Tafadhali andika namba sahihi (2-5).',
+  'error.last_period_date': 'Tafadhali andika tarehe iliyopita, kama 2025-04-01, 5 Oktoba, jana au siku 3 zilizopita.',
+  'error.cycle_length': 'Tafadhali andika namba sahihi (siku 21-35).',
+  'error.medication_name_empty': 'Jina la dawa haliwezi kuwa tupu.',
+  'error.dosage_empty': 'Kipimo hakiwezi kuwa tupu.',
+  'error.schedule_time': 'Tafadhali andika saa kama 08:00, saa 2 asubuhi au "baada ya chakula cha jioni", "mara mbili kwa siku", au "kila saa 8".',
+  'error.days_of_week': 'Tafadhali andika "kila siku" au siku kama Jumatatu,Jumatano,Ijumaa.',
+  'error.course_days': 'Tafadhali andika idadi ya siku (1-365) au *endelevu*.',
+  'error.pill_count': 'Tafadhali andika namba (0-1000) au *hakuna*.',
+
+  // Flows, AI calls and general replies
+  'flow.onboarding': 'usajili',
+  'flow.diagnosing': 'uchambuzi wa dalili',
+  'flow.assessing': 'kipimo cha afya',
+  'flow.fitness': 'mpango wa mazoezi',
+  'flow.meal': 'mpango wa milo',
+  'flow.cycle_tracking': 'ufuatiliaji wa mzunguko',
+  'flow.medication_setup': 'kuweka kikumbusho cha dawa',
+  'flow.current_value': '{prompt}\nSasa: {value} (jibu *bakiza* kuacha bila kubadilisha)',
+  'flow.confirm_value': 'Nimeelewa hivi: *{value}*. Jibu *ndiyo* kuthibitisha, au *hapana* kujibu upya.',
+  'flow.confirm_retry': 'Sawa. {prompt}',
+  'flow.draft_value': '{prompt}\nKutoka kwenye picha yako: *{value}* (jibu *ndiyo* kuitumia, au andika jibu sahihi)',
+  'choice.reply_number': 'Jibu kwa namba ya jibu lako (1-{count}).',
+  'choice.list_button': 'Chagua',
+  'choice.list_title': 'Majibu',
+  'flow.answers_saved': 'Majibu yako yamehifadhiwa. Jibu *jaribu tena* kujaribu tena, au /cancel kuanza upya.',
+  'flow.resume_prompt': 'Una {flow} ambao hujakamilisha (umejibu maswali {answered} kati ya {total}). Jibu *endelea* kuendelea ulipoishia au *anza upya* kuanza mwanzo.',
+  'flow.resume_invalid': 'Tafadhali jibu *endelea* au *anza upya*.',
+  'voice.heard': '🎙️ Nimesikia: “{text}”\nKama si sahihi, andika ujumbe wako badala yake.',
+  'voice.unavailable': 'Samahani, bado siwezi kusikiliza ujumbe wa sauti. Tafadhali andika ujumbe wako.',
+  'voice.too_long': 'Ujumbe huo wa sauti ni mrefu mno. Tafadhali tuma ujumbe wa sauti wa chini ya sekunde {seconds}, au andika ujumbe wako.',
+  'voice.empty': 'Sikusikia maneno yoyote katika ujumbe huo wa sauti. Tafadhali jaribu tena au andika ujumbe wako.',
+  'voice.failed': 'Samahani, sikuelewa ujumbe huo wa sauti. Tafadhali jaribu tena au andika ujumbe wako.',
+  'photo.read': '📷 Nimesoma baadhi ya maelezo kutoka kwenye picha yako. Tafadhali hakiki kila moja kabla sijaweka kikumbusho.',
+  'photo.unavailable': 'Samahani, bado siwezi kusoma picha. Tumia /medication kuweka kikumbusho kwa kuandika maelezo.',
+  'photo.nothing_found': 'Sikupata jina la dawa wala kipimo chake kwenye picha hiyo. Jaribu picha iliyo wazi na yenye mwanga wa kutosha ya lebo, au tumia /medication kuandika maelezo.',
+  'photo.failed': 'Samahani, sikuweza kusoma picha hiyo. Tafadhali jaribu tena, au tumia /medication kuandika maelezo.',
+  'photo.flow_active': 'Ninaweza kusoma lebo ya dawa tu ukiwa hujaanza jambo lingine. Maliza majibu yako ya sasa, au tuma /cancel kisha utume picha tena.',
+  'ai.working': 'Ninashughulikia… inachukua muda kidogo zaidi kuliko kawaida.',
+  'ai.busy': 'Huduma yetu ya msaidizi wa afya ina shughuli nyingi sasa hivi. Tafadhali jaribu tena baada ya dakika chache.',
+  'ask.empty': 'Tafadhali andika swali la afya baada ya /ask (k.m. /ask Lishe bora ni ipi?).',
+  'ask.failed': 'Samahani, sikuweza kujibu swali lako. Tafadhali jaribu tena au wasiliana na mtaalamu wa afya.',
+  'ask.results': `
+*Jibu la Swali la Afya*
+
+**Swali**: {question}
+
+{answer}
+Tumia /ask kuuliza swali jingine au /help kwa amri nyingine.
+      `,
+  'reply.yes_no': 'Tafadhali jibu *ndiyo* au *hapana*.',
+  'reply.cancel_none': 'Hakuna shughuli ya kusitisha. Tuma /start kuanza au /help kwa amri.',
+  'reply.cancelled': 'Shughuli imesitishwa. Tuma /start kuanza tena au /help kwa amri.',
+  'reply.onboarding_required': 'Tafadhali kamilisha usajili kwanza. Tuma /start kuanza.',
+  'reply.already_onboarded': 'Tayari umekamilisha usajili! Tumia /profile kuangalia au kusasisha taarifa zako, au /help kuona amri zinazopatikana.',
+  'reply.profile_error': 'Hitilafu katika kupata taarifa zako. Tafadhali jaribu tena kwa /start.',
+  'reply.unrecognized': 'Sikuelewa hilo. Tafadhali tumia amri kama /start au /help kuanza.',
+  'reply.error': 'Samahani, kuna tatizo limetokea. Tafadhali jaribu tena au tumia /help kwa msaada.',
+
+  // Consent and data rights
+  'consent.restricted': 'Umeondoa idhini yako, kwa hiyo huduma za afya zimesimamishwa. Tuma /consent kukubali masharti tena, au tumia /export na /deleteme kusimamia taarifa zako.',
+  'consent.updated': 'Masharti yetu yamesasishwa. Tafadhali yapitie kabla ya kuendelea.\n{intro}',
+  'consent.reminders_paused': 'Nimesimamisha vikumbusho vyako kwa sababu hujakubali masharti yetu ya sasa. Tuma /consent kuyasoma na kuyakubali, na vikumbusho vyako vitaanza tena.',
+  'consent.recorded_on': ' tarehe {date}',
+  'consent.status_current': 'Ulikubali masharti ya sasa (toleo {version}){recorded}.\n\nJibu *ondoa* kuondoa idhini yako. Huduma za afya zitasimamishwa hadi utakapokubali tena; taarifa zako zitabaki zimehifadhiwa hadi utakapotuma /deleteme.',
+  'consent.status_withdrawn': 'Uliondoa idhini yako{recorded}, kwa hiyo huduma za afya zimesimamishwa.\n\nJibu *kubali* kukubali masharti ya sasa tena.\n{intro}',
+  'consent.status_missing': 'Hujakubali masharti ya sasa (toleo {version}).\n{intro}',
+  'consent.reaccepted': 'Asante kwa kukubali masharti. Huduma zote zinapatikana tena. Tumia /help kuona amri zinazopatikana.',
+  'consent.denied': 'Asante kwa muda wako. Ukibadilisha nia, tuma /start kuanza tena. Kwaheri!',
+  'consent.invalid': 'Tafadhali jibu *kubali* au *kataa* kuendelea.',
+  'consent.withdrawn': 'Idhini yako imeondolewa. Huduma za afya na vikumbusho vimesimamishwa. Tuma /consent kukubali masharti tena, /export kupata nakala ya taarifa zako, au /deleteme kuzifuta.',
+  'consent.unchanged': 'Idhini yako haijabadilika. Tumia /help kuona amri zinazopatikana.',
+  'export.no_profile': 'Sina taarifa zako zilizohifadhiwa. Tuma /start kuanza usajili.',
+  'export.caption_json': 'Nakala ya taarifa zako (JSON)',
+  'export.caption_csv': 'Nakala ya taarifa zako (CSV)',
+  'export.sent': 'Hii ni nakala ya kila kitu ninachohifadhi kukuhusu. Tuma /deleteme kama unataka kifutwe.',
+  'delete.confirm': '⚠️ Hii itafuta kabisa taarifa zako, rekodi za afya, mipango, vikumbusho vya dawa na vikumbusho vyote vilivyopangwa. Hili haliwezi kutenduliwa.\n\nJibu *futa* kuthibitisha, au *ghairi* kubakiza taarifa zako.',
+  'delete.done': 'Taarifa zako zote zimefutwa. Asante kwa kutumia Aliya. Tuma /start wakati wowote ukitaka kuanza tena.',
+  'delete.cancelled': 'Ufutaji umesitishwa. Taarifa zako hazijabadilishwa.',
+  'delete.invalid': 'Tafadhali jibu *futa* kuthibitisha, au *ghairi* kubakiza taarifa zako.',
+
+  // History
+  'history.label.symptoms': 'Uchambuzi wa dalili',
+  'history.label.assessments': 'Kipimo cha afya',
+  'history.label.fitness': 'Mpango wa mazoezi',
+  'history.label.meals': 'Mpango wa milo',
+  'history.assessment_summary': 'alama {score}/100',
+  'history.no_analysis': 'Hakuna uchambuzi uliohifadhiwa.',
+  'history.no_plan': 'Hakuna mpango uliohifadhiwa.',
+  'history.symptoms_detail': '- Dalili: {symptoms}\n- Ukali: {severity}\n- Muda: {duration}\n\n{analysis}',
+  'history.assessment_detail': '**Alama**: {score}/100\n\n{analysis}',
+  'history.assessment_recommendations': '\n\n**Mapendekezo**:\n{recommendations}',
+  'history.fitness_detail': '- Lengo: {goal}\n- Kiwango: {level}\n- Siku kwa Wiki: {days}\n- Dakika kwa Kila Mara: {minutes}\n\n{plan}',
+  'history.meal_detail': '- Upendeleo: {preference}\n- Lengo: {goal}\n- Milo kwa Siku: {meals}\n\n{plan}',
+  'history.empty': 'Bado huna rekodi zilizohifadhiwa. Jaribu /diagnose, /assessment, /fitness au /meal.',
+  'history.title': '*Historia Yako*\n\n',
+  'history.page_footer': '\nJibu kwa namba kuona rekodi kamili, au *maliza* kumaliza.',
+  'history.page_footer_more': '\nJibu kwa namba kuona rekodi kamili, *zaidi* kwa rekodi za zamani zaidi, au *maliza* kumaliza.',
+  'history.unknown_filter': 'Kichujio cha historia hakijulikani. Tumia /history, au /history ikifuatiwa na kimojawapo cha: {filters}.',
+  'history.done': 'Tumia /history wakati wowote kuangalia rekodi zako, au /help kwa amri nyingine.',
+  'history.entry_missing': 'Rekodi hiyo haipatikani tena. Tafadhali chagua namba nyingine.',
+  'history.entry_footer': 'Jibu kwa namba nyingine, au *maliza* kumaliza.',
+  'history.entry_footer_more': 'Jibu kwa namba nyingine, *zaidi* kwa rekodi za zamani zaidi, au *maliza* kumaliza.',
+  'history.invalid': 'Tafadhali jibu kwa namba ya rekodi, au *maliza*.',
+  'history.invalid_more': 'Tafadhali jibu kwa namba ya rekodi, *zaidi*, au *maliza*.',
+
+  // Profile
+  'profile.label.language': 'Lugha',
+  'profile.label.name': 'Jina',
+  'profile.label.age': 'Umri',
+  'profile.label.sex': 'Jinsia',
+  'profile.label.height_cm': 'Urefu (sm)',
+  'profile.label.weight_kg': 'Uzito (kilo)',
+  'profile.label.location': 'Mahali',
+  'profile.label.medical_history': 'Historia ya matibabu',
+  'profile.label.chronic_conditions': 'Magonjwa sugu',
+  'profile.label.allergies': 'Mzio',
+  'profile.label.medications': 'Dawa',
+  'profile.label.menstrual_cycle_type': 'Aina ya mzunguko wa hedhi',
+  'profile.title': '*Taarifa Zako*\n\n',
+  'profile.not_set': 'haijawekwa',
+  'profile.timezone': '\nSaa za eneo: {timezone} (badilisha kwa /timezone)',
+  'profile.select': '{profile}\n\nJibu kwa namba ya kipengele kukibadilisha, au *maliza* kumaliza.',
+  'profile.select_invalid': 'Tafadhali jibu kwa namba kati ya 1 na {count}, au *maliza* kumaliza.',
+  'profile.done': 'Taarifa zako ziko sawa. Tumia /help kwa amri nyingine.',
+  'profile.edit': '{prompt}\nSasa: {value}',
+  'profile.field_updated': '{label} imesasishwa.',
+  'profile.sex_updated': '{label} imesasishwa. {prompt}',
+  'profile.timezone_hint': ' Saa zako za eneo bado ni {timezone}; tuma /timezone kama ungependa kuzibadilisha kuwa {suggested}.',
+  'profile.updated': '{reply}\n\n{profile}\n\nJibu kwa namba ya kipengele kingine kukibadilisha, au *maliza* kumaliza.',
+
+  // Time zones
+  'timezone.prompt': 'Saa zako za eneo ni *{timezone}* (saa za huko sasa: {local_time}). Ninazitumia kwa vikumbusho vyako vyote.\n\nJibu *ndiyo* kuthibitisha, au tuma saa zako za eneo au jina la mji (k.m. Africa/Dar_es_Salaam au Mombasa) kuzibadilisha.',
+  'timezone.invalid': 'Sikutambua saa hizo za eneo. Tafadhali tuma saa za eneo kama Africa/Nairobi au jina la mji kama London, au jibu *ndiyo* kubakiza zilizopo.',
+  'timezone.set_onboarding': 'Saa za eneo zimewekwa kuwa *{timezone}*. {assessment_choice}',
+  'timezone.set': 'Saa za eneo zimewekwa kuwa *{timezone}* (saa za huko sasa: {local_time}). Vikumbusho vyako vitafuata saa hizi. Tumia /help kwa amri nyingine.',
+
+  // Emergencies
+  'emergency.reply': `🚨 *Hii inaweza kuwa dharura: {label}.*
+
+Piga simu ya huduma za dharura sasa kwa *{numbers}*{country}, au nenda hospitali iliyo karibu. Ikiwezekana, mwombe mtu aliye karibu akae nawe.
+
+{guidance}
+
+Siwezi kusaidia katika dharura, kwa hiyo nimesimamisha tulichokuwa tukifanya. Tuma /help ukiwa salama.`,
+
+  // Safety review of AI replies
+  'safety.dosing': 'Daktari au mfamasia wako anaweza kukueleza kipimo sahihi cha dawa yoyote iliyoandikwa na daktari.',
+  'safety.stop_medication': 'Usiache wala kubadilisha dawa yoyote uliyoandikiwa bila kuzungumza na daktari wako.',
+  'safety.blocked': 'Siwezi kutoa ushauri salama kuhusu hili hapa. Tafadhali zungumza na daktari au mfamasia kuhusu dalili na dawa zako.',
+  'disclaimer.symptoms': 'Tafadhali muone daktari kwa uchunguzi na matibabu ya kitaalamu.',
+  'disclaimer.assessment': 'Tafadhali muone daktari kwa ushauri wa afya unaokufaa.',
+  'disclaimer.fitness': 'Tafadhali muone daktari kabla ya kuanza mpango wowote wa mazoezi.',
+  'disclaimer.meal': 'Tafadhali muone daktari au mtaalamu wa lishe kabla ya kuanza mpango wowote wa lishe.',
+  'disclaimer.question': 'Tafadhali muone daktari kwa ushauri wa afya unaokufaa.',
+
+  // Stored answers shown back to the user
+  'answer.male': 'mwanaume',
+  'answer.female': 'mwanamke',
+  'answer.other': 'nyingine',
+  'answer.regular': 'kawaida',
+  'answer.irregular': 'si kawaida',
+  'answer.none': 'hakuna',
+  'answer.daily': 'kila siku',
+  'answer.mon': 'Jumatatu',
+  'answer.tue': 'Jumanne',
+  'answer.wed': 'Jumatano',
+  'answer.thu': 'Alhamisi',
+  'answer.fri': 'Ijumaa',
+  'answer.sat': 'Jumamosi',
+  'answer.sun': 'Jumapili',
+  'answer.mild': 'kidogo',
+  'answer.moderate': 'wastani',
+  'answer.severe': 'kali',
+  'answer.weight loss': 'kupunguza uzito',
+  'answer.muscle gain': 'kuongeza misuli',
+  'answer.general fitness': 'siha kwa ujumla',
+  'answer.general health': 'afya kwa ujumla',
+  'answer.beginner': 'mwanzo',
+  'answer.intermediate': 'kati',
+  'answer.advanced': 'juu',
+  'answer.vegetarian': 'mboga tu',
+  'answer.vegan': 'bila mazao ya wanyama',
+  'answer.omnivore': 'kila kitu',
+  'answer.excellent': 'bora sana',
+  'answer.good': 'nzuri',
+  'answer.fair': 'wastani',
+  'answer.poor': 'mbaya',
+  'answer.often': 'mara nyingi',
+  'answer.sometimes': 'wakati mwingine',
+  'answer.rarely': 'mara chache',
+  'answer.never': 'kamwe',
+  'answer.yes': 'ndiyo',
+  'answer.no': 'hapana',
+  'answer.accept': 'kubali',
+  'answer.deny': 'kataa',
+  'answer.now': 'sasa',
+  'answer.later': 'baadaye',
+  'answer.keep': 'bakiza',
+  'answer.en': 'English',
+  'answer.sw': 'Kiswahili',
+  'answer.auto': 'otomatiki'
+};
+
+// Swahili answers accepted for enumerated questions, keyed by the canonical English answer
+const answers = {
+  en: ['kiingereza'],
+  sw: ['kiswahili'],
+  auto: ['otomatiki'],
+  yes: ['ndiyo', 'ndio'],
+  no: ['hapana'],
+  accept: ['kubali', 'nakubali'],
+  deny: ['kataa', 'nakataa'],
+  none: ['hakuna'],
+  keep: ['bakiza'],
+  retry: ['jaribu tena'],
+  resume: ['endelea'],
+  restart: ['anza upya'],
+  more: ['zaidi'],
+  done: ['maliza'],
+  add: ['ongeza'],
+  update: ['badilisha'],
+  edit: ['hariri'],
+  pause: ['simamisha'],
+  delete: ['futa'],
+  cancel: ['ghairi'],
+  withdraw: ['ondoa'],
+  now: ['sasa'],
+  later: ['baadaye'],
+  never: ['kamwe', 'hapana kamwe'],
+  taken: ['nimetumia', 'nimemeza'],
+  skip: ['ruka'],
+  snooze: ['ahirisha'],
+  ongoing: ['endelevu'],
+  daily: ['kila siku'],
+  mon: ['jumatatu'],
+  tue: ['jumanne'],
+  wed: ['jumatano'],
+  thu: ['alhamisi'],
+  fri: ['ijumaa'],
+  sat: ['jumamosi'],
+  sun: ['jumapili'],
+  male: ['mwanaume', 'kiume'],
+  female: ['mwanamke', 'kike'],
+  other: ['nyingine', 'mengineyo'],
+  regular: ['kawaida'],
+  irregular: ['si kawaida', 'isiyo ya kawaida'],
+  mild: ['kidogo', 'hafifu'],
+  moderate: ['wastani', 'kiasi'],
+  severe: ['kali', 'kali sana'],
+  excellent: ['bora sana'],
+  good: ['nzuri'],
+  fair: ['wastani', 'kiasi'],
+  poor: ['mbaya'],
+  often: ['mara nyingi'],
+  sometimes: ['wakati mwingine'],
+  rarely: ['mara chache'],
+  'weight loss': ['kupunguza uzito'],
+  'muscle gain': ['kuongeza misuli'],
+  'general fitness': ['siha kwa ujumla'],
+  'general health': ['afya kwa ujumla'],
+  beginner: ['mwanzo', 'mwanzilishi'],
+  intermediate: ['kati'],
+  advanced: ['juu'],
+  vegetarian: ['mboga tu'],
+  vegan: ['bila mazao ya wanyama'],
+  omnivore: ['kila kitu'],
+  'once daily': ['mara moja kwa siku'],
+  'twice daily': ['mara mbili kwa siku'],
+  'three times daily': ['mara tatu kwa siku'],
+  'four times daily': ['mara nne kwa siku']
+};
+
+// Common words used to recognise Swahili in free text
+const markers = [
+  'na', 'ya', 'wa', 'za', 'kwa', 'ni', 'si', 'nina', 'sina', 'mimi', 'wewe', 'yangu', 'wangu', 'changu', 'je', 'nini', 'gani',
+  'habari', 'jambo', 'asante', 'tafadhali', 'sawa', 'ndiyo', 'ndio', 'hapana', 'hakuna', 'kubali', 'kataa', 'naomba',
+  'maumivu', 'kichwa', 'homa', 'tumbo', 'kikohozi', 'siku', 'wiki', 'leo', 'jana', 'tangu', 'sana', 'kidogo', 'dawa', 'daktari'
+];
+
+module.exports = {
+  messages,
+  answers,
+  markers
+};
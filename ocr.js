@@ -0,0 +1,55 @@
+const { execFile } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+require('dotenv').config();
+
+// Photos are read by the engine named in OCR_ENGINE: "tesseract" runs the local tesseract binary, and "none", the
+// default, or any name not listed here turns photo input off.
+// OCR_LANGUAGES takes tesseract's language codes, e.g. "eng+swa".
+const OCR_ENGINE = (process.env.OCR_ENGINE || 'none').trim().toLowerCase();
+const OCR_TIMEOUT_MS = parseInt(process.env.OCR_TIMEOUT_MS || '30000');
+const OCR_LANGUAGES = process.env.OCR_LANGUAGES || 'eng';
+const TESSERACT_BIN = process.env.TESSERACT_BIN || 'tesseract';
+
+const ENGINES = {
+  tesseract: {
+    recognize: async ({ image }) => {
+      const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'photo-'));
+      try {
+        const input = path.join(dir, 'input');
+        await fs.promises.writeFile(input, image);
+        return await new Promise((resolve, reject) => {
+          execFile(TESSERACT_BIN, [input, 'stdout', '-l', OCR_LANGUAGES], { timeout: OCR_TIMEOUT_MS, maxBuffer: 1024 * 1024 }, (err, stdout, stderr) => {
+            if (err) {
+              const detail = err.killed ? `timed out after ${OCR_TIMEOUT_MS} ms` : (stderr || err.message).trim().split('\n').pop();
+              reject(new Error(`tesseract failed: ${detail}`));
+              return;
+            }
+            resolve(stdout);
+          });
+        });
+      } finally {
+        await fs.promises.rm(dir, { recursive: true, force: true });
+      }
+    }
+  }
+};
+
+function isEnabled() {
+  return Boolean(ENGINES[OCR_ENGINE]);
+}
+
+// The text in a photo, line by line, read with the configured engine
+async function recognizeText(image) {
+  const engine = ENGINES[OCR_ENGINE];
+  if (!engine) {
+    throw new Error(`OCR engine ${OCR_ENGINE} is not available`);
+  }
+  return engine.recognize({ image });
+}
+
+module.exports = {
+  isEnabled,
+  recognizeText
+};
@@ -0,0 +1,43 @@
+// Longest free-text answer passed to the model; onboarding answers can be long and only the gist is needed
+const MAX_FIELD_LENGTH = 200;
+
+function calculateBmi(heightCm, weightKg) {
+  const height = parseFloat(heightCm) / 100;
+  const weight = parseFloat(weightKg);
+  if (!height || !weight) return null;
+  return Math.round((weight / (height * height)) * 10) / 10;
+}
+
+function describeBmi(bmi) {
+  if (bmi < 18.5) return 'underweight';
+  if (bmi < 25) return 'healthy weight';
+  if (bmi < 30) return 'overweight';
+  return 'obese';
+}
+
+function describeField(value) {
+  const text = (value || '').trim();
+  if (!text || text.toLowerCase() === 'none') return 'none reported';
+  return text.length > MAX_FIELD_LENGTH ? `${text.slice(0, MAX_FIELD_LENGTH)}…` : text;
+}
+
+// Summarises the profile for AI prompts. Name, location and contact details are left out on purpose:
+// the model only needs what changes the advice.
+function buildProfileContext(profile) {
+  if (!profile) return '';
+  const bmi = calculateBmi(profile.height_cm, profile.weight_kg);
+  const lines = [
+    `- Age: ${profile.age}`,
+    `- Sex: ${profile.sex}`,
+    `- BMI: ${bmi === null ? 'unknown' : `${bmi.toFixed(1)} (${describeBmi(bmi)})`}`,
+    `- Allergies: ${describeField(profile.allergies)}`,
+    `- Chronic Conditions: ${describeField(profile.chronic_conditions)}`,
+    `- Current Medications: ${describeField(profile.medications)}`,
+    `- Medical History: ${describeField(profile.medical_history)}`
+  ];
+  return `User Profile:\n${lines.join('\n')}`;
+}
+
+module.exports = {
+  buildProfileContext
+};
@@ -0,0 +1,114 @@
+const { findMedications } = require('./interactions');
+const { t } = require('./i18n');
+
+// Guardrail applied to AI text before it is saved or sent. Each sentence is checked on its own: claims of
+// certainty are softened, prescription dosing and advice to stop medication are replaced with a safe
+// sentence, and a reply that is mostly unsafe is blocked outright. Every change is returned as an
+// intervention so it can be recorded for review.
+
+// Ingredients that are sold over the counter, where general dosing advice is acceptable
+const OTC_INGREDIENTS = ['paracetamol', 'ibuprofen', 'aspirin', 'caffeine'];
+
+// Nutrients and supplements measured in the same units as medicines, common in meal plans
+const NON_DRUG_TERMS = /\b(?:vitamins?|vitamini|sodium|salt|chumvi|potassium|calcium|iron|zinc|magnesium|folic|folate|omega|fib(?:er|re)|protein|protini|sugars?|sukari|cholesterol|caffeine|alcohol|water|maji)\b/i;
+
+const DOSE_PATTERN = /\b\d+(?:[.,]\d+)?\s*(?:mg|mcg|µg|micrograms?|milligrams?|iu|units?)\b/i;
+const DOSE_SCHEDULE_PATTERN = /\b(?:once|twice|three times|four times)\s+(?:a|per)\s+day\b|\bevery\s+\d+\s+hours\b|\bmara\s+(?:moja|mbili|tatu|nne)\s+kwa\s+siku\b|\bkila\s+saa\s+\d+\b/i;
+
+const STOP_MEDICATION_PATTERNS = [
+  /\b(?:stop|quit|discontinue|come off|cut out)\s+(?:taking\s+|using\s+)?(?:(?:your|the|all|any|this|these|those)\s+)?(?:[a-z-]+\s+){0,3}(?:medications?|medicines?|pills|tablets|treatment|prescriptions?|insulin|drugs)\b|\byou\s+(?:do not|don't|no longer)\s+need\s+(?:to take\s+)?(?:your\s+|any\s+)?(?:medications?|medicines?|pills|tablets|insulin)\b/i,
+  // Swahili, e.g. "acha kutumia dawa zako za kisukari"
+  /\b(?:acha|kuacha|sitisha|kusitisha)\s+(?:kutumia\s+|kunywa\s+|kumeza\s+)?(?:[a-z-]+\s+){0,3}?(?:dawa|vidonge|insulini)\b|\bhuhitaji\s+(?:tena\s+)?(?:kutumia\s+)?(?:dawa|vidonge|insulini)\b/i
+];
+const SAFE_STOP_PATTERNS = [
+  /\b(?:do not|don't|never)\s+stop\b|\b(?:without|unless|until|before|ask|talk to|speak to|speak with|consult|check with)\b.*\b(?:doctor|pharmacist|prescriber|healthcare)\b/i,
+  /\b(?:usiache|usisitishe)\b|\b(?:bila|kabla|hadi|mpaka|muulize|wasiliana|zungumza)\b.*\b(?:daktari|mfamasia)\b/i
+];
+
+const CERTAINTY_REWRITES = [
+  { pattern: /\byou (?:definitely|certainly|clearly|surely|undoubtedly) have\b/gi, replacement: 'you may have' },
+  { pattern: /\byou (?:definitely |certainly |clearly )?are suffering from\b/gi, replacement: 'you may be experiencing' },
+  { pattern: /\b(this|it|that)(?: is|['’]s) (?:definitely|certainly|clearly|surely|undoubtedly|almost certainly)\b/gi, replacement: '$1 may be' },
+  { pattern: /\b(?:i can confirm|i am certain|i['’]m certain|i am sure|i['’]m sure|without (?:a|any) doubt|there is no doubt)(?: that)?,?\s*/gi, replacement: 'it is possible that ' },
+  { pattern: /\byour diagnosis is\b/gi, replacement: 'one possibility is' },
+  { pattern: /\bwill (?:definitely|certainly)\b/gi, replacement: 'may' },
+  { pattern: /\b(?:bila shaka|hakika|kwa uhakika) una\b/gi, replacement: 'huenda una' },
+  { pattern: /\butambuzi wako ni\b/gi, replacement: 'uwezekano mmoja ni' }
+];
+
+// Longest excerpt kept with an intervention
+const MAX_EXCERPT_LENGTH = 200;
+
+function excerpt(text) {
+  return text.length > MAX_EXCERPT_LENGTH ? `${text.slice(0, MAX_EXCERPT_LENGTH)}…` : text;
+}
+
+function hasPrescriptionDosing(sentence) {
+  const ingredients = findMedications(sentence).flatMap(medicine => medicine.ingredients);
+  const prescription = ingredients.some(ingredient => !OTC_INGREDIENTS.includes(ingredient));
+  if (prescription) return DOSE_PATTERN.test(sentence) || DOSE_SCHEDULE_PATTERN.test(sentence);
+  // A dose of an unknown medicine is treated as prescription dosing
+  return ingredients.length === 0 && DOSE_PATTERN.test(sentence) && !NON_DRUG_TERMS.test(sentence);
+}
+
+function advisesStoppingMedication(sentence) {
+  return STOP_MEDICATION_PATTERNS.some(pattern => pattern.test(sentence)) &&
+    !SAFE_STOP_PATTERNS.some(pattern => pattern.test(sentence));
+}
+
+function softenCertainty(sentence) {
+  let rewritten = sentence;
+  for (const { pattern, replacement } of CERTAINTY_REWRITES) {
+    rewritten = rewritten.replace(pattern, replacement);
+  }
+  // Keep the sentence capitalised when the rewrite starts it
+  return rewritten.replace(/^(\W*)([a-z])/, (match, prefix, letter) =>
+    /^\W*[A-Z]/.test(sentence) ? `${prefix}${letter.toUpperCase()}` : match);
+}
+
+// Returns { text, interventions } where each intervention is { rule, action, excerpt }; replacement
+// sentences are written in the given language
+function reviewText(text, language = 'en') {
+  if (!text) return { text, interventions: [] };
+  // Odd indices hold the separators, so bullets and line breaks survive the rewrite
+  const parts = text.split(/((?<=[.!?])[ \t]+|\n+)/);
+  const interventions = [];
+  let sentences = 0;
+  let removed = 0;
+  for (let index = 0; index < parts.length; index += 2) {
+    const part = parts[index];
+    if (!part.trim()) continue;
+    sentences++;
+    // Bullets and numbering are kept when a sentence is replaced
+    const [, prefix, sentence] = part.match(/^(\s*(?:[-*•]\s+|\d+[.)]\s+)?)([\s\S]*)$/);
+    if (hasPrescriptionDosing(sentence)) {
+      interventions.push({ rule: 'prescription_dosing', action: 'replaced', excerpt: excerpt(sentence) });
+      parts[index] = `${prefix}${t(language, 'safety.dosing')}`;
+      removed++;
+    } else if (advisesStoppingMedication(sentence)) {
+      interventions.push({ rule: 'stop_medication', action: 'replaced', excerpt: excerpt(sentence) });
+      parts[index] = `${prefix}${t(language, 'safety.stop_medication')}`;
+      removed++;
+    } else {
+      const softened = softenCertainty(sentence);
+      if (softened !== sentence) {
+        interventions.push({ rule: 'certainty', action: 'rewritten', excerpt: excerpt(sentence) });
+        parts[index] = `${prefix}${softened}`;
+      }
+    }
+  }
+  if (removed >= 2 && removed * 2 > sentences) {
+    interventions.push({ rule: 'unsafe_reply', action: 'blocked', excerpt: excerpt(text) });
+    return { text: t(language, 'safety.blocked'), interventions };
+  }
+  return { text: parts.join(''), interventions };
+}
+
+function addDisclaimer(text, task, language = 'en') {
+  return `${text.trim()}\n\n⚠️ *${t(language, `disclaimer.${task}`)}*`;
+}
+
+module.exports = {
+  reviewText,
+  addDisclaimer
+};
@@ -0,0 +1,65 @@
+const { execFile } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+require('dotenv').config();
+
+// Voice notes are transcribed by the engine named in STT_ENGINE: "whisper" runs a local whisper.cpp binary, and
+// "none", the default, or any name not listed here turns voice input off. whisper.cpp only reads 16 kHz WAV, so
+// WhatsApp's Ogg/Opus audio is converted with ffmpeg first.
+const STT_ENGINE = (process.env.STT_ENGINE || 'none').trim().toLowerCase();
+const STT_TIMEOUT_MS = parseInt(process.env.STT_TIMEOUT_MS || '60000');
+const WHISPER_CPP_BIN = process.env.WHISPER_CPP_BIN || 'whisper-cli';
+const WHISPER_CPP_MODEL = process.env.WHISPER_CPP_MODEL || 'models/ggml-base.bin';
+const WHISPER_CPP_THREADS = parseInt(process.env.WHISPER_CPP_THREADS || '1');
+const FFMPEG_BIN = process.env.FFMPEG_BIN || 'ffmpeg';
+
+function run(command, args) {
+  return new Promise((resolve, reject) => {
+    execFile(command, args, { timeout: STT_TIMEOUT_MS, maxBuffer: 1024 * 1024 }, (err, stdout, stderr) => {
+      if (err) {
+        const detail = err.killed ? `timed out after ${STT_TIMEOUT_MS} ms` : (stderr || err.message).trim().split('\n').pop();
+        reject(new Error(`${path.basename(command)} failed: ${detail}`));
+        return;
+      }
+      resolve(stdout);
+    });
+  });
+}
+
+const ENGINES = {
+  whisper: {
+    transcribe: async ({ audio, language }) => {
+      const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'voice-'));
+      try {
+        const input = path.join(dir, 'input');
+        const wav = path.join(dir, 'input.wav');
+        await fs.promises.writeFile(input, audio);
+        await run(FFMPEG_BIN, ['-hide_banner', '-loglevel', 'error', '-i', input, '-ar', '16000', '-ac', '1', '-c:a', 'pcm_s16le', wav]);
+        // -nt drops timestamps and -np the progress output, leaving only the transcript on stdout
+        const stdout = await run(WHISPER_CPP_BIN, ['-m', WHISPER_CPP_MODEL, '-f', wav, '-l', language || 'auto', '-t', String(WHISPER_CPP_THREADS), '-nt', '-np']);
+        return stdout.replace(/\[[^\]]*\]/g, ' ').replace(/\s+/g, ' ').trim();
+      } finally {
+        await fs.promises.rm(dir, { recursive: true, force: true });
+      }
+    }
+  }
+};
+
+function isEnabled() {
+  return Boolean(ENGINES[STT_ENGINE]);
+}
+
+// The transcript, empty when nothing was said; the engine detects the language unless given one, e.g. "sw"
+async function transcribe(audio, { language } = {}) {
+  const engine = ENGINES[STT_ENGINE];
+  if (!engine) {
+    throw new Error(`Speech-to-text engine ${STT_ENGINE} is not available`);
+  }
+  return engine.transcribe({ audio, language });
+}
+
+module.exports = {
+  isEnabled,
+  transcribe
+};
@@ -0,0 +1,188 @@
+// Fallback zone for users whose time zone could not be inferred
+const DEFAULT_TIMEZONE = process.env.DEFAULT_TIMEZONE || 'UTC';
+
+// Calling codes of single-zone countries; codes shared by several zones (e.g. +1, +7, +61) are
+// left out so the location answer decides instead
+const CALLING_CODE_TIMEZONES = {
+  '20': 'Africa/Cairo',
+  '27': 'Africa/Johannesburg',
+  '30': 'Europe/Athens',
+  '31': 'Europe/Amsterdam',
+  '32': 'Europe/Brussels',
+  '33': 'Europe/Paris',
+  '34': 'Europe/Madrid',
+  '39': 'Europe/Rome',
+  '41': 'Europe/Zurich',
+  '44': 'Europe/London',
+  '46': 'Europe/Stockholm',
+  '47': 'Europe/Oslo',
+  '49': 'Europe/Berlin',
+  '81': 'Asia/Tokyo',
+  '82': 'Asia/Seoul',
+  '86': 'Asia/Shanghai',
+  '90': 'Europe/Istanbul',
+  '91': 'Asia/Kolkata',
+  '92': 'Asia/Karachi',
+  '211': 'Africa/Juba',
+  '212': 'Africa/Casablanca',
+  '221': 'Africa/Dakar',
+  '233': 'Africa/Accra',
+  '234': 'Africa/Lagos',
+  '237': 'Africa/Douala',
+  '250': 'Africa/Kigali',
+  '251': 'Africa/Addis_Ababa',
+  '252': 'Africa/Mogadishu',
+  '253': 'Africa/Djibouti',
+  '254': 'Africa/Nairobi',
+  '255': 'Africa/Dar_es_Salaam',
+  '256': 'Africa/Kampala',
+  '257': 'Africa/Bujumbura',
+  '258': 'Africa/Maputo',
+  '260': 'Africa/Lusaka',
+  '263': 'Africa/Harare',
+  '265': 'Africa/Blantyre',
+  '266': 'Africa/Maseru',
+  '267': 'Africa/Gaborone',
+  '268': 'Africa/Mbabane',
+  '353': 'Europe/Dublin',
+  '966': 'Asia/Riyadh',
+  '971': 'Asia/Dubai',
+  '974': 'Asia/Qatar'
+};
+
+// Cities and countries users commonly give as their location
+const LOCATION_TIMEZONES = {
+  'nairobi': 'Africa/Nairobi',
+  'mombasa': 'Africa/Nairobi',
+  'kisumu': 'Africa/Nairobi',
+  'nakuru': 'Africa/Nairobi',
+  'eldoret': 'Africa/Nairobi',
+  'kenya': 'Africa/Nairobi',
+  'kampala': 'Africa/Kampala',
+  'uganda': 'Africa/Kampala',
+  'dar es salaam': 'Africa/Dar_es_Salaam',
+  'arusha': 'Africa/Dar_es_Salaam',
+  'tanzania': 'Africa/Dar_es_Salaam',
+  'kigali': 'Africa/Kigali',
+  'rwanda': 'Africa/Kigali',
+  'addis ababa': 'Africa/Addis_Ababa',
+  'ethiopia': 'Africa/Addis_Ababa',
+  'lagos': 'Africa/Lagos',
+  'abuja': 'Africa/Lagos',
+  'nigeria': 'Africa/Lagos',
+  'accra': 'Africa/Accra',
+  'ghana': 'Africa/Accra',
+  'johannesburg': 'Africa/Johannesburg',
+  'cape town': 'Africa/Johannesburg',
+  'south africa': 'Africa/Johannesburg',
+  'cairo': 'Africa/Cairo',
+  'london': 'Europe/London',
+  'new york': 'America/New_York',
+  'boston': 'America/New_York',
+  'washington': 'America/New_York',
+  'atlanta': 'America/New_York',
+  'toronto': 'America/Toronto',
+  'chicago': 'America/Chicago',
+  'houston': 'America/Chicago',
+  'dallas': 'America/Chicago',
+  'denver': 'America/Denver',
+  'los angeles': 'America/Los_Angeles',
+  'san francisco': 'America/Los_Angeles',
+  'seattle': 'America/Los_Angeles',
+  'vancouver': 'America/Vancouver',
+  'dubai': 'Asia/Dubai',
+  'mumbai': 'Asia/Kolkata',
+  'delhi': 'Asia/Kolkata',
+  'sydney': 'Australia/Sydney',
+  'melbourne': 'Australia/Melbourne',
+  'perth': 'Australia/Perth'
+};
+
+function isValidTimezone(timeZone) {
+  if (!timeZone || !timeZone.includes('/') && timeZone !== 'UTC') return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+
+// Accepts an IANA name in any case (e.g. "africa/lagos") or a known city/country
+function resolveTimezone(input) {
+  const text = (input || '').trim();
+  if (text.toUpperCase() === 'UTC') return 'UTC';
+  const canonical = text.split('/').map(part => part.split('_').map(word => word.charAt(0).toUpperCase() + word.slice(1).toLowerCase()).join('_')).join('/');
+  if (isValidTimezone(text)) return new Intl.DateTimeFormat('en-US', { timeZone: text }).resolvedOptions().timeZone;
+  if (isValidTimezone(canonical)) return new Intl.DateTimeFormat('en-US', { timeZone: canonical }).resolvedOptions().timeZone;
+
+  const location = text.toLowerCase();
+  const match = Object.keys(LOCATION_TIMEZONES)
+    .sort((a, b) => b.length - a.length)
+    .find(name => location.includes(name));
+  return match ? LOCATION_TIMEZONES[match] : null;
+}
+
+function inferTimezone(whatsappId, location) {
+  const fromLocation = resolveTimezone(location);
+  if (fromLocation) return fromLocation;
+
+  const number = (whatsappId || '').split('@')[0];
+  for (const length of [3, 2]) {
+    const zone = CALLING_CODE_TIMEZONES[number.slice(0, length)];
+    if (zone) return zone;
+  }
+  return DEFAULT_TIMEZONE;
+}
+
+function getDateParts(date, timeZone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  }).formatToParts(date);
+  return Object.fromEntries(parts.map(part => [part.type, part.value]));
+}
+
+function getTimezoneOffsetMs(date, timeZone) {
+  const p = getDateParts(date, timeZone);
+  const asUtc = Date.UTC(Number(p.year), Number(p.month) - 1, Number(p.day), Number(p.hour), Number(p.minute), Number(p.second));
+  return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+// Converts a wall-clock date ("YYYY-MM-DD") and time ("HH:MM[:SS]") in timeZone to an absolute Date
+function zonedTimeToDate(dateString, timeString, timeZone) {
+  const [year, month, day] = dateString.split('-').map(Number);
+  const [hour, minute, second = 0] = timeString.split(':').map(Number);
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute, second);
+  const offset = getTimezoneOffsetMs(new Date(wallClock), timeZone);
+  const result = wallClock - offset;
+  // Re-check the offset at the result in case the guess crossed a DST change
+  const correctedOffset = getTimezoneOffsetMs(new Date(result), timeZone);
+  return new Date(correctedOffset === offset ? result : wallClock - correctedOffset);
+}
+
+function formatDateInTimezone(date, timeZone) {
+  const p = getDateParts(new Date(date), timeZone);
+  return `${p.year}-${p.month}-${p.day}`;
+}
+
+function formatDateTimeInTimezone(date, timeZone) {
+  const p = getDateParts(new Date(date), timeZone);
+  return `${p.year}-${p.month}-${p.day} ${p.hour}:${p.minute}`;
+}
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  isValidTimezone,
+  resolveTimezone,
+  inferTimezone,
+  zonedTimeToDate,
+  formatDateInTimezone,
+  formatDateTimeInTimezone
+};
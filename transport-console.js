@@ -0,0 +1,114 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const readline = require('readline');
+require('dotenv').config();
+
+// Chats on stdin/stdout as the single user CONSOLE_USER_ID, for trying the bot without a phone. Media is sent
+// with "/photo <file>" and "/voice <file>"; documents the bot sends are saved to CONSOLE_DOWNLOAD_DIR.
+// Fixed-choice questions come as numbered lists.
+const CONSOLE_USER_ID = process.env.CONSOLE_USER_ID || 'console:local';
+const CONSOLE_DOWNLOAD_DIR = process.env.CONSOLE_DOWNLOAD_DIR || os.tmpdir();
+
+const USER_ID_PREFIX = 'console:';
+const MEDIA_COMMAND = /^\/(photo|voice)\s+(.+)$/i;
+const MIME_TYPES = {
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.webp': 'image/webp',
+  '.ogg': 'audio/ogg',
+  '.opus': 'audio/ogg',
+  '.mp3': 'audio/mpeg',
+  '.m4a': 'audio/mp4',
+  '.wav': 'audio/wav'
+};
+
+function print(text) {
+  console.log(`\nbot> ${text.split('\n').join('\n     ')}\n`);
+}
+
+async function show(content) {
+  if (typeof content === 'string') {
+    print(content);
+    return;
+  }
+  if (content.document) {
+    const file = path.join(CONSOLE_DOWNLOAD_DIR, path.basename(content.document.filename));
+    await fs.promises.writeFile(file, Buffer.from(content.document.data, 'base64'));
+    print(`[document saved to ${file}]${content.caption ? `\n${content.caption}` : ''}`);
+    return;
+  }
+  throw new Error('Unsupported message content');
+}
+
+// The fields of the bot's message shape for a typed line or a media command
+function readContent(line) {
+  const media = line.match(MEDIA_COMMAND);
+  if (!media) return { type: 'chat', body: line };
+  const file = path.resolve(media[2].trim());
+  const mimetype = MIME_TYPES[path.extname(file).toLowerCase()] || 'application/octet-stream';
+  return { type: media[1].toLowerCase() === 'voice' ? 'ptt' : 'image', body: '', file, mimetype };
+}
+
+function wrapMessage(line) {
+  const { type, body, file, mimetype } = readContent(line);
+  return {
+    from: CONSOLE_USER_ID,
+    body,
+    type,
+    hasMedia: Boolean(file),
+    duration: undefined,
+    selectedChoice: null,
+    interactive: false,
+    reply: show,
+    downloadMedia: async () => ({ mimetype, data: (await fs.promises.readFile(file)).toString('base64') }),
+    sendTyping: async () => print('...'),
+    clearTyping: async () => {}
+  };
+}
+
+function createTransport({ logger }) {
+  let rl = null;
+
+  return {
+    name: 'console',
+    owns: userId => userId.startsWith(USER_ID_PREFIX),
+    start: async ({ onReady, onMessage }) => {
+      if (!CONSOLE_USER_ID.startsWith(USER_ID_PREFIX)) {
+        throw new Error(`CONSOLE_USER_ID must start with "${USER_ID_PREFIX}"`);
+      }
+      await onReady();
+      rl = readline.createInterface({ input: process.stdin, output: process.stdout, prompt: 'you> ' });
+      // One line at a time, so answers reach the flow in the order they were typed
+      let queue = Promise.resolve();
+      rl.on('line', (line) => {
+        if (!line.trim()) {
+          rl.prompt();
+          return;
+        }
+        queue = queue
+          .then(() => onMessage(wrapMessage(line.trim())))
+          .catch(err => logger.error(`Error handling console message: ${err.message}`))
+          .then(() => rl.prompt());
+      });
+      rl.on('close', () => logger.info('Console input closed'));
+      console.log(`Chatting as ${CONSOLE_USER_ID}. Type /help to see what the bot can do.`);
+      rl.prompt();
+    },
+    // Unprompted messages, e.g. reminders, only reach the console user
+    sendMessage: async (userId, content) => {
+      if (userId !== CONSOLE_USER_ID) {
+        throw new Error(`Console transport can only message ${CONSOLE_USER_ID}`);
+      }
+      await show(content);
+    },
+    stop: async () => {
+      if (rl) rl.close();
+    }
+  };
+}
+
+module.exports = {
+  createTransport
+};
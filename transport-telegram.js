@@ -0,0 +1,195 @@
+require('dotenv').config();
+
+// Chats with users through the Telegram bot whose token (from @BotFather) is in TELEGRAM_BOT_TOKEN, fetching
+// updates by long polling so no public URL is needed. Only private chats are answered. Fixed-choice questions
+// are shown as inline keyboards.
+const TELEGRAM_BOT_TOKEN = process.env.TELEGRAM_BOT_TOKEN;
+const TELEGRAM_POLL_TIMEOUT_S = parseInt(process.env.TELEGRAM_POLL_TIMEOUT_S || '30');
+const TELEGRAM_TIMEOUT_MS = parseInt(process.env.TELEGRAM_TIMEOUT_MS || '15000');
+
+const API_URL = `https://api.telegram.org/bot${TELEGRAM_BOT_TOKEN}`;
+const FILE_URL = `https://api.telegram.org/file/bot${TELEGRAM_BOT_TOKEN}`;
+const USER_ID_PREFIX = 'telegram:';
+// Wait after a failed poll, so an outage doesn't turn into a tight loop
+const POLL_RETRY_MS = 5000;
+// A chat action shows for five seconds, so it is repeated while we're still working
+const TYPING_REPEAT_MS = 4500;
+
+function toUserId(chatId) {
+  return `${USER_ID_PREFIX}${chatId}`;
+}
+
+function toChatId(userId) {
+  return userId.slice(USER_ID_PREFIX.length);
+}
+
+async function callApi(method, { json, form, timeoutMs = TELEGRAM_TIMEOUT_MS } = {}) {
+  const response = await fetch(`${API_URL}/${method}`, {
+    method: 'POST',
+    headers: json ? { 'Content-Type': 'application/json' } : undefined,
+    body: json ? JSON.stringify(json) : form,
+    signal: AbortSignal.timeout(timeoutMs)
+  });
+  const body = await response.json().catch(() => ({}));
+  if (!response.ok || !body.ok) {
+    throw new Error(`Telegram ${method} returned HTTP ${response.status}${body.description ? `: ${body.description}` : ''}`);
+  }
+  return body.result;
+}
+
+function toKeyboard(choices) {
+  return { inline_keyboard: choices.map(({ id, title }) => [{ text: title, callback_data: id }]) };
+}
+
+async function send(userId, content) {
+  const chatId = toChatId(userId);
+  if (typeof content === 'string') {
+    return callApi('sendMessage', { json: { chat_id: chatId, text: content } });
+  }
+  if (content.buttons || content.list) {
+    const choices = content.buttons || content.list.rows;
+    return callApi('sendMessage', { json: { chat_id: chatId, text: content.text, reply_markup: toKeyboard(choices) } });
+  }
+  if (content.document) {
+    const { mimetype, data, filename } = content.document;
+    const form = new FormData();
+    form.append('chat_id', chatId);
+    form.append('document', new Blob([Buffer.from(data, 'base64')], { type: mimetype }), filename);
+    if (content.caption) form.append('caption', content.caption);
+    return callApi('sendDocument', { form });
+  }
+  throw new Error('Unsupported message content');
+}
+
+async function downloadFile(fileId, mimetype) {
+  const file = await callApi('getFile', { json: { file_id: fileId } });
+  const response = await fetch(`${FILE_URL}/${file.file_path}`, { signal: AbortSignal.timeout(TELEGRAM_TIMEOUT_MS) });
+  if (!response.ok) {
+    throw new Error(`Telegram file download returned HTTP ${response.status}`);
+  }
+  return { mimetype, data: Buffer.from(await response.arrayBuffer()).toString('base64') };
+}
+
+// The fields of the bot's message shape that differ by Telegram message kind
+function readContent(message) {
+  if (message.voice) {
+    return { type: 'ptt', body: '', duration: message.voice.duration, file: { id: message.voice.file_id, mimetype: message.voice.mime_type || 'audio/ogg' } };
+  }
+  if (message.audio) {
+    return { type: 'audio', body: '', duration: message.audio.duration, file: { id: message.audio.file_id, mimetype: message.audio.mime_type || 'audio/mpeg' } };
+  }
+  if (message.photo) {
+    // Sizes are listed smallest first
+    const photo = message.photo[message.photo.length - 1];
+    return { type: 'image', body: message.caption || '', file: { id: photo.file_id, mimetype: 'image/jpeg' } };
+  }
+  return { type: message.text !== undefined ? 'chat' : 'unknown', body: message.text || '' };
+}
+
+function wrapMessage(message, selectedChoice = null) {
+  const { type, body, duration, file } = readContent(message);
+  const userId = toUserId(message.chat.id);
+  let typingTimer = null;
+  const sendChatAction = () => callApi('sendChatAction', { json: { chat_id: message.chat.id, action: 'typing' } });
+  return {
+    from: userId,
+    body,
+    type,
+    hasMedia: Boolean(file),
+    duration,
+    selectedChoice,
+    interactive: true,
+    reply: content => send(userId, content),
+    downloadMedia: () => downloadFile(file.id, file.mimetype),
+    sendTyping: async () => {
+      await sendChatAction();
+      typingTimer = setInterval(() => sendChatAction().catch(() => {}), TYPING_REPEAT_MS);
+    },
+    clearTyping: async () => {
+      clearInterval(typingTimer);
+    }
+  };
+}
+
+// A tapped inline keyboard button arrives as a callback query on the message that showed the keyboard
+function wrapCallbackQuery(query) {
+  const buttons = ((query.message.reply_markup || {}).inline_keyboard || []).flat();
+  const button = buttons.find(candidate => candidate.callback_data === query.data);
+  return wrapMessage({ chat: query.message.chat, text: button ? button.text : query.data }, query.data);
+}
+
+function createTransport({ logger }) {
+  let running = false;
+  let offset = 0;
+  let handleMessage = null;
+  // The update being handled for each chat, so a chat's messages are handled in order
+  const chatQueues = new Map();
+
+  function dispatch(update) {
+    const query = update.callback_query;
+    if (query) {
+      // Stops the spinner on the tapped button
+      callApi('answerCallbackQuery', { json: { callback_query_id: query.id } })
+        .catch(err => logger.error(`Error answering Telegram callback query: ${err.message}`));
+      if (!query.message) return;
+    }
+    const chat = query ? query.message.chat : update.message && update.message.chat;
+    if (!chat) return;
+    if (chat.type !== 'private') {
+      logger.info(`Ignored Telegram update ${update.update_id} from a ${chat.type} chat`);
+      return;
+    }
+    // Chats are handled side by side, so one slow AI answer doesn't hold up other users
+    const message = query ? wrapCallbackQuery(query) : wrapMessage(update.message);
+    const queued = (chatQueues.get(chat.id) || Promise.resolve())
+      .then(() => handleMessage(message))
+      .catch(err => logger.error(`Error handling Telegram update ${update.update_id}: ${err.message}`));
+    chatQueues.set(chat.id, queued);
+    queued.then(() => {
+      if (chatQueues.get(chat.id) === queued) chatQueues.delete(chat.id);
+    });
+  }
+
+  async function poll() {
+    while (running) {
+      try {
+        const updates = await callApi('getUpdates', {
+          json: { offset, timeout: TELEGRAM_POLL_TIMEOUT_S, allowed_updates: ['message', 'callback_query'] },
+          timeoutMs: TELEGRAM_POLL_TIMEOUT_S * 1000 + TELEGRAM_TIMEOUT_MS
+        });
+        for (const update of updates) {
+          offset = update.update_id + 1;
+          dispatch(update);
+        }
+      } catch (err) {
+        if (!running) return;
+        logger.error(`Error polling Telegram: ${err.message}`);
+        await new Promise(resolve => setTimeout(resolve, POLL_RETRY_MS));
+      }
+    }
+  }
+
+  return {
+    name: 'telegram',
+    owns: userId => userId.startsWith(USER_ID_PREFIX),
+    start: async ({ onReady, onMessage }) => {
+      if (!TELEGRAM_BOT_TOKEN) {
+        throw new Error('TELEGRAM_BOT_TOKEN must be set for the telegram transport');
+      }
+      const bot = await callApi('getMe');
+      handleMessage = onMessage;
+      await onReady();
+      running = true;
+      poll();
+      logger.info(`Polling Telegram as @${bot.username}`);
+    },
+    sendMessage: send,
+    stop: async () => {
+      running = false;
+    }
+  };
+}
+
+module.exports = {
+  createTransport
+};
@@ -0,0 +1,270 @@
+const crypto = require('crypto');
+require('dotenv').config();
+
+// Receives messages from the WhatsApp Business Cloud API as webhooks on the bot's HTTP server and replies through
+// the Graph API, with no browser session. In the Meta app, point the webhook at WHATSAPP_CLOUD_WEBHOOK_PATH with
+// WHATSAPP_CLOUD_VERIFY_TOKEN and subscribe to "messages". Requests not signed with WHATSAPP_CLOUD_APP_SECRET are
+// rejected, since anyone who can reach the webhook could otherwise write as any user.
+const WHATSAPP_CLOUD_TOKEN = process.env.WHATSAPP_CLOUD_TOKEN;
+const WHATSAPP_CLOUD_PHONE_NUMBER_ID = process.env.WHATSAPP_CLOUD_PHONE_NUMBER_ID;
+const WHATSAPP_CLOUD_VERIFY_TOKEN = process.env.WHATSAPP_CLOUD_VERIFY_TOKEN;
+const WHATSAPP_CLOUD_APP_SECRET = process.env.WHATSAPP_CLOUD_APP_SECRET;
+const WHATSAPP_CLOUD_API_VERSION = process.env.WHATSAPP_CLOUD_API_VERSION || 'v21.0';
+const WHATSAPP_CLOUD_WEBHOOK_PATH = process.env.WHATSAPP_CLOUD_WEBHOOK_PATH || '/webhooks/whatsapp';
+const WHATSAPP_CLOUD_TIMEOUT_MS = parseInt(process.env.WHATSAPP_CLOUD_TIMEOUT_MS || '15000');
+
+const GRAPH_URL = `https://graph.facebook.com/${WHATSAPP_CLOUD_API_VERSION}`;
+const MAX_BODY_BYTES = 1024 * 1024;
+// Meta redelivers a webhook it thinks failed, so recently seen message ids are skipped
+const SEEN_MESSAGE_LIMIT = 1000;
+// Longer titles are rejected by the API
+const MAX_BUTTON_TITLE = 20;
+const MAX_ROW_TITLE = 24;
+
+// Cloud API numbers are bare digits; the bot keeps the whatsapp-web.js form so both adapters share users
+function toUserId(waId) {
+  return `${waId}@c.us`;
+}
+
+function toRecipient(userId) {
+  return userId.replace(/@c\.us$/, '');
+}
+
+function truncate(text, length) {
+  return text.length > length ? `${text.slice(0, length - 1)}…` : text;
+}
+
+async function graphRequest(url, { method = 'GET', json, form } = {}) {
+  const headers = { Authorization: `Bearer ${WHATSAPP_CLOUD_TOKEN}` };
+  if (json) headers['Content-Type'] = 'application/json';
+  const response = await fetch(url.startsWith('https://') ? url : `${GRAPH_URL}/${url}`, {
+    method,
+    headers,
+    body: json ? JSON.stringify(json) : form,
+    signal: AbortSignal.timeout(WHATSAPP_CLOUD_TIMEOUT_MS)
+  });
+  if (!response.ok) {
+    const detail = await response.json().then(body => body.error && body.error.message).catch(() => null);
+    throw new Error(`Graph API returned HTTP ${response.status}${detail ? `: ${detail}` : ''}`);
+  }
+  return response;
+}
+
+async function uploadMedia({ mimetype, data, filename }) {
+  const form = new FormData();
+  form.append('messaging_product', 'whatsapp');
+  form.append('type', mimetype);
+  form.append('file', new Blob([Buffer.from(data, 'base64')], { type: mimetype }), filename);
+  const response = await graphRequest(`${WHATSAPP_CLOUD_PHONE_NUMBER_ID}/media`, { method: 'POST', form });
+  return (await response.json()).id;
+}
+
+// Converts transport content to the fields of a Cloud API message
+async function toCloudMessage(content) {
+  if (typeof content === 'string') {
+    return { type: 'text', text: { body: content } };
+  }
+  if (content.buttons) {
+    const buttons = content.buttons.map(({ id, title }) => ({ type: 'reply', reply: { id, title: truncate(title, MAX_BUTTON_TITLE) } }));
+    return { type: 'interactive', interactive: { type: 'button', body: { text: content.text }, action: { buttons } } };
+  }
+  if (content.list) {
+    const rows = content.list.rows.map(({ id, title }) => ({ id, title: truncate(title, MAX_ROW_TITLE) }));
+    return {
+      type: 'interactive',
+      interactive: {
+        type: 'list',
+        body: { text: content.text },
+        action: { button: truncate(content.list.button, MAX_BUTTON_TITLE), sections: [{ title: truncate(content.list.title, MAX_ROW_TITLE), rows }] }
+      }
+    };
+  }
+  if (content.document) {
+    const id = await uploadMedia(content.document);
+    return { type: 'document', document: { id, filename: content.document.filename, caption: content.caption } };
+  }
+  throw new Error('Unsupported message content');
+}
+
+async function send(userId, content, replyTo) {
+  const message = { messaging_product: 'whatsapp', to: toRecipient(userId), ...await toCloudMessage(content) };
+  if (replyTo) message.context = { message_id: replyTo };
+  await graphRequest(`${WHATSAPP_CLOUD_PHONE_NUMBER_ID}/messages`, { method: 'POST', json: message });
+}
+
+async function downloadMedia(mediaId) {
+  const info = await (await graphRequest(mediaId)).json();
+  const response = await graphRequest(info.url);
+  return { mimetype: info.mime_type, data: Buffer.from(await response.arrayBuffer()).toString('base64') };
+}
+
+// The fields of the bot's message shape that differ by Cloud API message type
+function readContent(message) {
+  switch (message.type) {
+    case 'text':
+      return { type: 'chat', body: message.text.body };
+    case 'interactive': {
+      const reply = message.interactive.button_reply || message.interactive.list_reply || {};
+      return { type: 'chat', body: reply.title || '', selectedChoice: reply.id || null };
+    }
+    // A quick-reply button on a template message
+    case 'button':
+      return { type: 'chat', body: message.button.text, selectedChoice: message.button.payload || null };
+    case 'audio':
+      return { type: message.audio.voice ? 'ptt' : 'audio', body: '', mediaId: message.audio.id };
+    case 'image':
+      return { type: 'image', body: message.image.caption || '', mediaId: message.image.id };
+    default:
+      return { type: message.type, body: '' };
+  }
+}
+
+function wrapMessage(message) {
+  const { type, body, selectedChoice = null, mediaId } = readContent(message);
+  const userId = toUserId(message.from);
+  return {
+    from: userId,
+    body,
+    type,
+    hasMedia: Boolean(mediaId),
+    // Not included in the webhook
+    duration: undefined,
+    selectedChoice,
+    interactive: true,
+    reply: content => send(userId, content, message.id),
+    downloadMedia: () => downloadMedia(mediaId),
+    // Marks the message read and shows typing until the reply is sent, or for at most 25 seconds
+    sendTyping: () => graphRequest(`${WHATSAPP_CLOUD_PHONE_NUMBER_ID}/messages`, {
+      method: 'POST',
+      json: { messaging_product: 'whatsapp', status: 'read', message_id: message.id, typing_indicator: { type: 'text' } }
+    }),
+    clearTyping: async () => {}
+  };
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(new Error('Webhook body too large'));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => resolve(Buffer.concat(chunks)));
+    req.on('error', reject);
+  });
+}
+
+function hasValidSignature(req, body) {
+  const expected = `sha256=${crypto.createHmac('sha256', WHATSAPP_CLOUD_APP_SECRET).update(body).digest('hex')}`;
+  const received = String(req.headers['x-hub-signature-256'] || '');
+  return received.length === expected.length && crypto.timingSafeEqual(Buffer.from(received), Buffer.from(expected));
+}
+
+function createTransport({ logger }) {
+  let accepting = false;
+  let handleMessage = null;
+  const seenMessageIds = new Set();
+
+  function isNewMessage(id) {
+    if (seenMessageIds.has(id)) return false;
+    seenMessageIds.add(id);
+    if (seenMessageIds.size > SEEN_MESSAGE_LIMIT) {
+      seenMessageIds.delete(seenMessageIds.values().next().value);
+    }
+    return true;
+  }
+
+  // Meta's subscription check
+  function verify(url, res) {
+    const params = url.searchParams;
+    if (params.get('hub.mode') === 'subscribe' && WHATSAPP_CLOUD_VERIFY_TOKEN && params.get('hub.verify_token') === WHATSAPP_CLOUD_VERIFY_TOKEN) {
+      res.writeHead(200, { 'Content-Type': 'text/plain' });
+      res.end(params.get('hub.challenge') || '');
+      logger.info('WhatsApp Cloud API webhook verified');
+      return;
+    }
+    res.writeHead(403);
+    res.end();
+    logger.warn('Rejected WhatsApp Cloud API webhook verification');
+  }
+
+  async function receive(req, res) {
+    let payload;
+    try {
+      const body = await readBody(req);
+      if (!hasValidSignature(req, body)) {
+        res.writeHead(401);
+        res.end();
+        logger.warn('Rejected WhatsApp Cloud API webhook with a bad signature');
+        return;
+      }
+      payload = JSON.parse(body.toString('utf8'));
+    } catch (err) {
+      res.writeHead(400);
+      res.end();
+      logger.error(`Error reading WhatsApp Cloud API webhook: ${err.message}`);
+      return;
+    }
+    // Meta retries until the webhook is acknowledged, so it is answered before the messages are handled
+    res.writeHead(200);
+    res.end();
+
+    const messages = (payload.entry || [])
+      .flatMap(entry => entry.changes || [])
+      .filter(change => change.field === 'messages' && change.value)
+      .flatMap(change => change.value.messages || []);
+    for (const message of messages) {
+      if (!isNewMessage(message.id)) continue;
+      try {
+        await handleMessage(wrapMessage(message));
+      } catch (err) {
+        logger.error(`Error handling WhatsApp Cloud API message ${message.id}: ${err.message}`);
+      }
+    }
+  }
+
+  return {
+    name: 'whatsapp-cloud',
+    owns: userId => /@c\.us$/.test(userId),
+    start: async ({ onReady, onMessage }) => {
+      if (!WHATSAPP_CLOUD_TOKEN || !WHATSAPP_CLOUD_PHONE_NUMBER_ID || !WHATSAPP_CLOUD_APP_SECRET) {
+        throw new Error('WHATSAPP_CLOUD_TOKEN, WHATSAPP_CLOUD_PHONE_NUMBER_ID and WHATSAPP_CLOUD_APP_SECRET must be set for the whatsapp-cloud transport');
+      }
+      handleMessage = onMessage;
+      await onReady();
+      accepting = true;
+      logger.info(`Receiving WhatsApp Cloud API webhooks on ${WHATSAPP_CLOUD_WEBHOOK_PATH}`);
+    },
+    handleRequest: (req, res) => {
+      const url = new URL(req.url, 'http://localhost');
+      if (url.pathname !== WHATSAPP_CLOUD_WEBHOOK_PATH) return false;
+      if (req.method === 'GET') {
+        verify(url, res);
+      } else if (req.method !== 'POST') {
+        res.writeHead(405);
+        res.end();
+      } else if (!accepting) {
+        // Not set up yet; Meta delivers the messages again later
+        res.writeHead(503);
+        res.end();
+      } else {
+        receive(req, res);
+      }
+      return true;
+    },
+    sendMessage: (userId, content) => send(userId, content),
+    stop: async () => {
+      accepting = false;
+    }
+  };
+}
+
+module.exports = {
+  createTransport
+};
@@ -0,0 +1,87 @@
+const { Client, LocalAuth, MessageMedia, Buttons, List } = require('whatsapp-web.js');
+const qrcode = require('qrcode-terminal');
+require('dotenv').config();
+
+// Drives WhatsApp Web in headless Chromium, logged in by scanning the QR code printed on first start.
+// Buttons and list messages only show on some WhatsApp accounts, so they are opt-in
+const INTERACTIVE_REPLIES = process.env.INTERACTIVE_REPLIES === 'true';
+
+// Converts transport content to what whatsapp-web.js sends, with its send options
+function toWhatsAppContent(content) {
+  if (typeof content === 'string') return [content, {}];
+  if (content.buttons) {
+    return [new Buttons(content.text, content.buttons.map(({ id, title }) => ({ id, body: title }))), {}];
+  }
+  if (content.list) {
+    return [new List(content.text, content.list.button, [{ title: content.list.title, rows: content.list.rows }]), {}];
+  }
+  if (content.document) {
+    const { mimetype, data, filename } = content.document;
+    return [new MessageMedia(mimetype, data, filename), { sendMediaAsDocument: true, caption: content.caption }];
+  }
+  throw new Error('Unsupported message content');
+}
+
+function wrapMessage(message) {
+  let chat = null;
+  return {
+    from: message.from,
+    body: message.body,
+    type: message.type,
+    hasMedia: message.hasMedia,
+    duration: message.duration,
+    // A tapped button or list row carries the canonical option as its id
+    selectedChoice: message.selectedButtonId || message.selectedRowId || null,
+    interactive: INTERACTIVE_REPLIES,
+    reply: async (content) => message.reply(...toWhatsAppContent(content)),
+    downloadMedia: () => message.downloadMedia(),
+    sendTyping: async () => {
+      chat = await message.getChat();
+      await chat.sendStateTyping();
+    },
+    clearTyping: async () => {
+      if (chat) await chat.clearState();
+    }
+  };
+}
+
+function createTransport({ logger }) {
+  const client = new Client({
+    authStrategy: new LocalAuth(),
+    puppeteer: {
+      args: ['--no-sandbox', '--disable-setuid-sandbox'],
+      headless: true
+    }
+  });
+
+  return {
+    name: 'whatsapp-web',
+    owns: userId => /@c\.us$/.test(userId),
+    start: async ({ onReady, onMessage }) => {
+      client.on('qr', (qr) => {
+        logger.info('QR code event fired');
+        console.log('QR Code Event Fired');
+        qrcode.generate(qr, { small: true }, (code) => {
+          logger.info('QR Code:\n' + code);
+          console.log('QR Code:\n' + code);
+        });
+        console.log('Scan the QR code with your WhatsApp app.');
+      });
+      // 'ready' fires again after a reconnect
+      client.on('ready', () => onReady());
+      client.on('message', message => onMessage(wrapMessage(message))
+        .catch(err => logger.error(`Error handling WhatsApp message from ${message.from}: ${err.message}`)));
+      client.initialize().catch(err => {
+        logger.error(`Failed to initialize WhatsApp client: ${err.message}`);
+        process.exit(1);
+      });
+    },
+    sendMessage: async (userId, content) => client.sendMessage(userId, ...toWhatsAppContent(content)),
+    // Closes the Puppeteer browser
+    stop: () => client.destroy()
+  };
+}
+
+module.exports = {
+  createTransport
+};
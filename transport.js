@@ -0,0 +1,84 @@
+require('dotenv').config();
+
+// Users reach the bot through the transports named in TRANSPORTS (e.g. "whatsapp-web,telegram"): "whatsapp-web"
+// drives a WhatsApp Web session in headless Chromium, "whatsapp-cloud" receives WhatsApp Business Cloud API
+// webhooks on the HTTP server, "telegram" polls a Telegram bot and "console" chats on stdin/stdout.
+//
+// Every adapter hands the bot the same message shape, so the handlers don't know where a message came from:
+//   from, body, type ('chat', 'ptt', 'audio', 'image'), hasMedia, duration, selectedChoice, interactive,
+//   reply(content), downloadMedia() -> { mimetype, data (base64) }, sendTyping(), clearTyping()
+// where interactive says whether the buttons and list below can be shown, and sends the same content shapes:
+//   a string
+//   { text, buttons: [{ id, title }] } or { text, list: { button, title, rows: [{ id, title }] } }
+//   { document: { mimetype, data (base64), filename }, caption }
+// User ids carry the transport: WhatsApp ids end in "@c.us" (both WhatsApp adapters use the same ids, so a user
+// keeps their data when we move between them), the others start with "telegram:" or "console:".
+const TRANSPORT_NAMES = (process.env.TRANSPORTS || 'whatsapp-web').split(',').map(name => name.trim().toLowerCase()).filter(Boolean);
+
+// Required on first use, so whatsapp-web.js and Chromium are only loaded when that transport is on
+const ADAPTERS = {
+  'whatsapp-web': () => require('./transport-whatsapp-web'),
+  'whatsapp-cloud': () => require('./transport-whatsapp-cloud'),
+  telegram: () => require('./transport-telegram'),
+  console: () => require('./transport-console')
+};
+
+let transports = [];
+
+// Creates and starts the configured transports. onReady runs once, when every transport can send and receive, so
+// missed reminders only go out through connected transports, and inbound messages wait for it to finish
+async function startTransports({ logger, onReady, onMessage }) {
+  const unknown = TRANSPORT_NAMES.filter(name => !ADAPTERS[name]);
+  if (unknown.length > 0 || TRANSPORT_NAMES.length === 0) {
+    throw new Error(`Unknown transport in TRANSPORTS: ${unknown.join(', ') || '(empty)'}`);
+  }
+  transports = TRANSPORT_NAMES.map(name => ADAPTERS[name]().createTransport({ logger }));
+
+  // WhatsApp Web reports ready again after a reconnect; by then the shared setup has already run
+  const waiting = new Set(transports);
+  let allReady;
+  const setup = new Promise(resolve => { allReady = resolve; }).then(() => onReady());
+  const reportReady = (transport) => {
+    if (waiting.delete(transport)) {
+      logger.info(`${transport.name} transport is ready`);
+      if (waiting.size === 0) allReady();
+    }
+    return setup;
+  };
+
+  // Started side by side, since the polling and console transports wait for the others to be ready
+  await Promise.all(transports.map(transport => transport.start({
+    onReady: () => reportReady(transport),
+    onMessage: message => setup.then(() => onMessage(message))
+  })));
+}
+
+// The transport a user id belongs to; the first configured one wins when two claim it
+function findTransport(userId) {
+  const transport = transports.find(candidate => candidate.owns(userId));
+  if (!transport) {
+    throw new Error(`No transport configured for ${userId}`);
+  }
+  return transport;
+}
+
+// Sends a message the user didn't prompt, e.g. a reminder
+async function sendMessage(userId, content) {
+  return findTransport(userId).sendMessage(userId, content);
+}
+
+// Lets transports that receive webhooks answer requests on the shared HTTP server; true when one did
+function handleRequest(req, res) {
+  return transports.some(transport => transport.handleRequest && transport.handleRequest(req, res));
+}
+
+async function stopTransports() {
+  await Promise.all(transports.map(transport => transport.stop()));
+}
+
+module.exports = {
+  startTransports,
+  sendMessage,
+  handleRequest,
+  stopTransports
+};
@@ -0,0 +1,222 @@
+const fs = require('fs');
+
+// Rule-based emergency detection that runs before any AI call. Phrases are matched on whole words after
+// lowercasing and stripping accents and punctuation, so "Can't breathe!" matches "cant breathe". Phrases describe
+// something happening now rather than naming a condition, so "had a stroke in 2019" or "signs of a heart attack"
+// don't escalate, and a match is ignored when negated or placed in the past (see NEGATION_CUES and PAST_CUES).
+// TRIAGE_RULES_FILE may point to a JSON file of the same shape to add phrases, languages or categories;
+// its labels and guidance may be plain strings or translations keyed by language.
+const EMERGENCY_RULES = {
+  chest_pain: {
+    label: { en: 'possible heart attack', sw: 'huenda ni mshtuko wa moyo' },
+    guidance: {
+      en: 'Stop what you are doing, sit down, rest and keep still while you wait for help.',
+      sw: 'Acha unachofanya, keti chini, pumzika na utulie huku ukisubiri msaada.'
+    },
+    phrases: {
+      en: ['chest pain', 'pain in my chest', 'chest tightness', 'tight chest', 'crushing chest', 'having a heart attack'],
+      sw: ['maumivu ya kifua', 'kifua kinauma', 'nina mshtuko wa moyo', 'ana mshtuko wa moyo'],
+      fr: ['douleur thoracique', 'douleur a la poitrine', 'je fais une crise cardiaque', 'fait une crise cardiaque']
+    }
+  },
+  breathing: {
+    label: { en: 'severe breathing difficulty', sw: 'shida kubwa ya kupumua' },
+    guidance: {
+      en: 'Sit upright, loosen tight clothing and use your reliever inhaler if you have one.',
+      sw: 'Keti wima, legeza nguo zinazobana na utumie pampu yako ya kupumulia kama unayo.'
+    },
+    phrases: {
+      en: ['cant breathe', 'cannot breathe', 'can not breathe', 'struggling to breathe', 'unable to breathe', 'im choking', 'i am choking', 'is choking'],
+      sw: ['siwezi kupumua', 'nashindwa kupumua', 'nakabwa'],
+      fr: ['je ne peux pas respirer', 'je narrive pas a respirer', 'jetouffe', 'il etouffe', 'elle etouffe']
+    }
+  },
+  stroke: {
+    label: { en: 'possible stroke', sw: 'huenda ni kiharusi' },
+    guidance: {
+      en: 'Note the time the symptoms started. Do not eat or drink anything, and lie on your side if you feel drowsy.',
+      sw: 'Kumbuka saa dalili zilipoanza. Usile wala kunywa chochote, na ulale kwa ubavu ukihisi usingizi.'
+    },
+    phrases: {
+      en: ['having a stroke', 'face drooping', 'face is drooping', 'slurred speech', 'cant speak properly', 'sudden numbness', 'one side of my body', 'cant move my arm'],
+      sw: ['nina kiharusi', 'amepata kiharusi', 'uso umepinda', 'mdomo umepinda', 'siwezi kuongea vizuri'],
+      fr: ['je fais un avc', 'fait un avc', 'visage paralyse', 'bouche deformee', 'difficulte a parler']
+    }
+  },
+  severe_bleeding: {
+    label: { en: 'severe bleeding', sw: 'kutokwa na damu nyingi' },
+    guidance: {
+      en: 'Press firmly on the wound with a clean cloth and keep pressing. Raise the injured part above the heart if you can.',
+      sw: 'Bonyeza jeraha kwa nguvu kwa kitambaa safi na uendelee kubonyeza. Inua sehemu iliyoumia juu ya usawa wa moyo ikiwezekana.'
+    },
+    phrases: {
+      en: ['severe bleeding', 'heavy bleeding', 'bleeding heavily', 'bleeding wont stop', 'bleeding will not stop', 'vomiting blood', 'coughing up blood'],
+      sw: ['damu nyingi', 'kutokwa na damu nyingi', 'damu haikomi', 'natapika damu', 'nakohoa damu'],
+      fr: ['saignement abondant', 'saigne beaucoup', 'vomis du sang', 'crache du sang']
+    }
+  },
+  suicidal_ideation: {
+    label: { en: 'thoughts of suicide or self-harm', sw: 'mawazo ya kujiua au kujidhuru' },
+    guidance: {
+      en: 'You are not alone and you deserve support right now. Please stay with someone you trust, and move away from anything you could use to hurt yourself.',
+      sw: 'Hauko peke yako na unastahili msaada sasa hivi. Tafadhali kaa na mtu unayemwamini, na ujiweke mbali na chochote unachoweza kutumia kujidhuru.'
+    },
+    phrases: {
+      en: ['feeling suicidal', 'im suicidal', 'i am suicidal', 'thinking about suicide', 'thoughts of suicide', 'commit suicide', 'kill myself', 'end my life', 'want to die', 'take my own life', 'want to hurt myself', 'going to hurt myself', 'thinking of hurting myself', 'self harming'],
+      sw: ['nataka kujiua', 'nafikiria kujiua', 'nataka kufa', 'nataka kujidhuru'],
+      fr: ['me suicider', 'me tuer', 'envie de mourir', 'mettre fin a mes jours']
+    }
+  },
+  anaphylaxis: {
+    label: { en: 'possible severe allergic reaction (anaphylaxis)', sw: 'huenda ni mzio mkali (anaphylaxis)' },
+    guidance: {
+      en: 'Use an adrenaline auto-injector (EpiPen) now if you have one. Lie down with your legs raised, or sit up if breathing is hard.',
+      sw: 'Tumia sindano ya adrenalini (EpiPen) sasa kama unayo. Lala chini ukiinua miguu, au keti kama kupumua ni kugumu.'
+    },
+    phrases: {
+      en: ['having anaphylaxis', 'anaphylactic shock', 'throat is closing', 'throat closing', 'swollen throat', 'tongue swelling', 'swollen tongue', 'lips swelling'],
+      sw: ['koo linafunga', 'koo limevimba', 'ulimi umevimba', 'midomo imevimba'],
+      fr: ['choc anaphylactique', 'gorge qui se ferme', 'langue gonflee', 'levres gonflees']
+    }
+  },
+  seizure: {
+    label: { en: 'seizure', sw: 'kifafa' },
+    guidance: {
+      en: 'Move hard objects away and do not hold the person down or put anything in their mouth. Once it stops, roll them onto their side.',
+      sw: 'Ondoa vitu vigumu karibu, usimshike mtu kwa nguvu wala kumwekea chochote mdomoni. Kikiisha, mlaze kwa ubavu.'
+    },
+    phrases: {
+      en: ['having a seizure', 'having seizures', 'having convulsions', 'convulsing', 'having a fit'],
+      sw: ['ana kifafa sasa', 'anapata kifafa', 'ana degedege', 'anatetemeka bila kujitambua'],
+      fr: ['fait une crise depilepsie', 'fait des convulsions', 'il convulse', 'elle convulse']
+    }
+  },
+  obstetric: {
+    label: { en: 'possible pregnancy emergency', sw: 'huenda ni dharura ya ujauzito' },
+    guidance: {
+      en: 'Lie on your left side and have someone take you to the nearest maternity unit straight away.',
+      sw: 'Lala kwa ubavu wa kushoto na mtu akupeleke wodi ya wazazi iliyo karibu mara moja.'
+    },
+    phrases: {
+      en: ['pregnant and bleeding', 'bleeding while pregnant', 'bleeding during pregnancy', 'water broke', 'waters broke', 'baby is not moving', 'baby not moving', 'bleeding after birth', 'bleeding after delivery'],
+      sw: ['mjamzito na damu', 'damu wakati wa ujauzito', 'chupa imepasuka', 'maji yamevunjika', 'mtoto hachezi tumboni', 'damu baada ya kujifungua'],
+      fr: ['enceinte et je saigne', 'saignement pendant la grossesse', 'perdu les eaux', 'bebe ne bouge plus']
+    }
+  }
+};
+
+// Emergency numbers by WhatsApp calling code; 112 works from most mobile phones elsewhere
+const EMERGENCY_NUMBERS = {
+  '1': { country: 'United States/Canada', numbers: '911' },
+  '27': { country: 'South Africa', numbers: '10177 or 112' },
+  '33': { country: 'France', numbers: '15 or 112' },
+  '44': { country: 'United Kingdom', numbers: '999 or 112' },
+  '49': { country: 'Germany', numbers: '112' },
+  '61': { country: 'Australia', numbers: '000' },
+  '91': { country: 'India', numbers: '112' },
+  '233': { country: 'Ghana', numbers: '112' },
+  '234': { country: 'Nigeria', numbers: '112' },
+  '250': { country: 'Rwanda', numbers: '912' },
+  '251': { country: 'Ethiopia', numbers: '907' },
+  '254': { country: 'Kenya', numbers: '999 or 112' },
+  '255': { country: 'Tanzania', numbers: '112' },
+  '256': { country: 'Uganda', numbers: '999 or 112' },
+  '353': { country: 'Ireland', numbers: '112 or 999' },
+  '971': { country: 'United Arab Emirates', numbers: '998 or 999' }
+};
+
+const DEFAULT_EMERGENCY_NUMBERS = { country: null, numbers: '112' };
+
+// Words right in front of a phrase that make it absent, e.g. "no seizures" or "not chest pain". Only adjacent
+// words count, so "Im not ok, chest pain" still escalates: a missed emergency costs more than a false alarm.
+const NEGATION_CUES = ['no', 'not', 'never', 'without', 'free of', 'dont have', 'do not have', 'doesnt have', 'sina', 'hana', 'hakuna', 'bila', 'pas de', 'sans', 'jamais'];
+// Explicit time markers after a phrase that place it in the past, e.g. "chest pain 3 years ago" or "in 2019"
+const PAST_CUES = /^ (?:(?:\S+ ){0,2}(?:ago|years? back|iliyopita)|in (?:19|20)\d\d|last (?:year|month|week)|zamani|il y a) /;
+// Questions asking about a condition rather than reporting one, e.g. "what are the signs of a heart attack?"; a
+// question that also mentions the writer or someone close to them, e.g. "my son", is a report
+const QUESTION_TOPICS = / (?:signs? of|symptoms? of|causes? of|risk of|dalili za|ishara za|chanzo cha|signes de|symptomes de|causes de) /;
+const FIRST_PERSON = / (?:i|im|ive|id|me|my|mine|myself|we|our|us|mimi|nina|yangu|wangu|changu|langu|je|jai|moi|mon|ma|mes|nous) /;
+
+function normalize(text) {
+  return ` ${(text || '')
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/['’`]/g, '')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim()} `;
+}
+
+// Picks the translation for the language, falling back to English
+function localize(text, language) {
+  if (typeof text === 'string') return text;
+  return text[language] || text.en;
+}
+
+function loadRules() {
+  const rules = JSON.parse(JSON.stringify(EMERGENCY_RULES));
+  if (!process.env.TRIAGE_RULES_FILE) return rules;
+  const custom = JSON.parse(fs.readFileSync(process.env.TRIAGE_RULES_FILE, 'utf8'));
+  for (const [category, rule] of Object.entries(custom)) {
+    if (!rules[category]) {
+      rules[category] = { label: rule.label, guidance: rule.guidance, phrases: {} };
+    }
+    for (const [language, phrases] of Object.entries(rule.phrases || {})) {
+      rules[category].phrases[language] = [...(rules[category].phrases[language] || []), ...phrases];
+    }
+  }
+  return rules;
+}
+
+const rules = loadRules();
+
+function isInformationalQuestion(text, normalized) {
+  return text.trim().endsWith('?') && QUESTION_TOPICS.test(normalized) && !FIRST_PERSON.test(normalized);
+}
+
+// Whether a phrase found at index is negated by the word in front of it or placed in the past by the words after it
+function isNegated(normalized, index, length) {
+  const before = normalized.slice(0, index + 1);
+  return NEGATION_CUES.some(cue => before.endsWith(` ${cue} `)) || PAST_CUES.test(normalized.slice(index + length - 1));
+}
+
+// Whether the phrase occurs in the text in a way that reports it happening now
+function mentionsNow(normalized, phrase) {
+  const target = normalize(phrase);
+  let index = normalized.indexOf(target);
+  while (index !== -1) {
+    if (!isNegated(normalized, index, target.length)) return true;
+    index = normalized.indexOf(target, index + 1);
+  }
+  return false;
+}
+
+// Returns the first emergency category found in the text, or null. The label and guidance are in
+// the given language, e.g. the one the emergency was reported in.
+function detectEmergency(text, language = 'en') {
+  const normalized = normalize(text);
+  if (isInformationalQuestion(text || '', normalized)) return null;
+  for (const [category, rule] of Object.entries(rules)) {
+    for (const [phraseLanguage, phrases] of Object.entries(rule.phrases)) {
+      const phrase = phrases.find(candidate => mentionsNow(normalized, candidate));
+      if (phrase) {
+        return { category, label: localize(rule.label, language), guidance: localize(rule.guidance, language), phrase, language: phraseLanguage };
+      }
+    }
+  }
+  return null;
+}
+
+function getEmergencyNumbers(whatsappId) {
+  const number = (whatsappId || '').split('@')[0];
+  for (const length of [3, 2, 1]) {
+    const entry = EMERGENCY_NUMBERS[number.slice(0, length)];
+    if (entry) return entry;
+  }
+  return DEFAULT_EMERGENCY_NUMBERS;
+}
+
+module.exports = {
+  detectEmergency,
+  getEmergencyNumbers
+};